@@ -0,0 +1,318 @@
+import React, { useState, useEffect } from 'react'
+import AdminLogin from './components/AdminLogin.jsx'
+import ScoreHistogram from './components/ScoreHistogram.jsx'
+import SubmissionsChart from './components/SubmissionsChart.jsx'
+import SubmissionsTable from './components/SubmissionsTable.jsx'
+import SubmissionDetail from './components/SubmissionDetail.jsx'
+import AttributionTable from './components/AttributionTable.jsx'
+
+const API_BASE_URL = '/api'
+
+// Overview figures shown as stat tiles
+const OVERVIEW_TILES = [
+  { id: 'totalSubmissions', label: 'Submissions' },
+  { id: 'uniqueDomains', label: 'Unique domains' },
+  { id: 'averageScore', label: 'Average score' },
+  { id: 'contacts', label: 'Contacts' },
+  { id: 'last24Hours', label: 'Last 24 hours' },
+  { id: 'last7Days', label: 'Last 7 days' }
+]
+
+// Error thrown for a missing or expired session, so the dashboard can return to the login screen
+class UnauthorizedError extends Error {}
+
+function AdminApp() {
+  const [user, setUser] = useState(null)
+  const [loginError, setLoginError] = useState('')
+  const [stats, setStats] = useState(null)
+  const [submissions, setSubmissions] = useState([])
+  const [nextCursor, setNextCursor] = useState(null)
+  const [attribution, setAttribution] = useState([])
+  const [attributionGroupBy, setAttributionGroupBy] = useState('source')
+  const [selected, setSelected] = useState(null)
+  const [error, setError] = useState('')
+  const [isLoading, setIsLoading] = useState(true)
+  const [isExporting, setIsExporting] = useState(false)
+
+  // Call an admin endpoint; the httpOnly session cookie is sent by the browser
+  const adminFetch = async (path, options = {}) => {
+    const response = await fetch(`${API_BASE_URL}/admin${path}`, {
+      ...options,
+      credentials: 'same-origin',
+      headers: options.body ? { 'Content-Type': 'application/json' } : undefined
+    })
+
+    if (response.status === 401) {
+      throw new UnauthorizedError('Your session has ended, please sign in again.')
+    }
+
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}))
+      throw new Error(data.message || data.error || `Request failed (${response.status})`)
+    }
+
+    return response
+  }
+
+  // Return to the login screen (after ending the session on the server when signing out)
+  const resetSession = (message = '') => {
+    setUser(null)
+    setStats(null)
+    setSubmissions([])
+    setNextCursor(null)
+    setAttribution([])
+    setSelected(null)
+    setLoginError(message)
+  }
+
+  const handleLogout = async () => {
+    try {
+      await adminFetch('/auth/logout', { method: 'POST' })
+    } catch (err) {
+      console.error('❌ Logout error:', err)
+    }
+    resetSession()
+  }
+
+  // Load the overview and the latest submissions
+  const loadDashboard = async () => {
+    setIsLoading(true)
+    setError('')
+
+    try {
+      const [statsResponse, submissionsResponse, attributionResponse] = await Promise.all([
+        adminFetch('/leads'),
+        adminFetch('/submissions'),
+        adminFetch(`/attribution?groupBy=${attributionGroupBy}`)
+      ])
+
+      const page = await submissionsResponse.json()
+      setStats((await statsResponse.json()).data)
+      setSubmissions(page.submissions)
+      setNextCursor(page.nextCursor)
+      setAttribution((await attributionResponse.json()).rows)
+      return true
+    } catch (err) {
+      if (err instanceof UnauthorizedError) {
+        resetSession(err.message)
+      } else {
+        console.error('❌ Dashboard error:', err)
+        setError(err.message || 'Unable to load the dashboard.')
+      }
+      return false
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  // Resume an existing session
+  useEffect(() => {
+    const resume = async () => {
+      try {
+        const response = await adminFetch('/auth/me')
+        setUser((await response.json()).user)
+        await loadDashboard()
+      } catch (err) {
+        if (!(err instanceof UnauthorizedError)) setLoginError(err.message)
+        setIsLoading(false)
+      }
+    }
+    resume()
+  }, [])
+
+  const handleLogin = async (email, password) => {
+    setLoginError('')
+    try {
+      const response = await fetch(`${API_BASE_URL}/admin/auth/login`, {
+        method: 'POST',
+        credentials: 'same-origin',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ email, password })
+      })
+      const data = await response.json().catch(() => ({}))
+
+      if (!response.ok) {
+        setLoginError(data.message || 'Sign-in failed.')
+        return
+      }
+
+      setUser(data.user)
+      await loadDashboard()
+    } catch (err) {
+      console.error('❌ Login error:', err)
+      setLoginError('Unable to reach the server.')
+    }
+  }
+
+  // Append the next page of submissions
+  const handleLoadMore = async () => {
+    setIsLoading(true)
+    try {
+      const response = await adminFetch(`/submissions?cursor=${encodeURIComponent(nextCursor)}`)
+      const page = await response.json()
+      setSubmissions(current => [...current, ...page.submissions])
+      setNextCursor(page.nextCursor)
+    } catch (err) {
+      if (err instanceof UnauthorizedError) return resetSession(err.message)
+      setError(err.message || 'Unable to load more submissions.')
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  // Regroup the attribution report by source, medium or campaign
+  const handleAttributionGroupBy = async (groupBy) => {
+    setAttributionGroupBy(groupBy)
+    try {
+      const response = await adminFetch(`/attribution?groupBy=${groupBy}`)
+      setAttribution((await response.json()).rows)
+    } catch (err) {
+      if (err instanceof UnauthorizedError) return resetSession(err.message)
+      setError(err.message || 'Unable to load the attribution report.')
+    }
+  }
+
+  // Drill down into one submission
+  const handleSelect = async (id) => {
+    if (selected?.id === id) return
+
+    try {
+      const response = await adminFetch(`/submissions/${id}`)
+      setSelected(await response.json())
+    } catch (err) {
+      if (err instanceof UnauthorizedError) return resetSession(err.message)
+      setError(err.message || 'Unable to load this submission.')
+    }
+  }
+
+  // Download the CSV export
+  const handleExport = async () => {
+    setIsExporting(true)
+    try {
+      const response = await adminFetch('/leads/export')
+      const filename = response.headers.get('Content-Disposition')?.match(/filename="([^"]+)"/)?.[1] || 'leads.csv'
+      const href = URL.createObjectURL(await response.blob())
+
+      const link = document.createElement('a')
+      link.href = href
+      link.download = filename
+      link.click()
+      URL.revokeObjectURL(href)
+    } catch (err) {
+      if (err instanceof UnauthorizedError) return resetSession(err.message)
+      setError(err.message || 'Export failed.')
+    } finally {
+      setIsExporting(false)
+    }
+  }
+
+  return (
+    <div className="container" style={{ maxWidth: '1100px' }}>
+      <div className="text-center mb-4">
+        <h1 style={{ color: 'white', marginBottom: '1rem' }}>
+          Rate My Website Admin
+        </h1>
+      </div>
+
+      {!stats && !user && !isLoading && (
+        <AdminLogin onLogin={handleLogin} error={loginError} />
+      )}
+
+      {!stats && (user || isLoading) && (
+        <div className="card text-center">
+          {isLoading ? (
+            <><span className="spinner"></span> Loading dashboard...</>
+          ) : (
+            <>
+              <div className="error-message mb-2">{error}</div>
+              <button onClick={() => loadDashboard()} className="btn btn-primary">Try Again</button>
+              {' '}
+              <button onClick={handleLogout} className="btn btn-secondary">Sign Out</button>
+            </>
+          )}
+        </div>
+      )}
+
+      {stats && (
+        <>
+          {/* Toolbar */}
+          <div className="mb-2" style={{ display: 'flex', flexWrap: 'wrap', gap: '0.75rem', justifyContent: 'flex-end', alignItems: 'center' }}>
+            <span style={{ color: 'white', fontSize: '14px', marginRight: 'auto' }}>
+              Signed in as {user.name || user.email} ({user.role})
+            </span>
+            <button onClick={() => loadDashboard()} className="btn btn-secondary" disabled={isLoading}>
+              🔄 Refresh
+            </button>
+            {user.role !== 'viewer' && (
+              <button onClick={handleExport} className="btn btn-secondary" disabled={isExporting}>
+                {isExporting ? 'Exporting...' : '📄 Export CSV'}
+              </button>
+            )}
+            <button onClick={handleLogout} className="btn btn-secondary">
+              Sign Out
+            </button>
+          </div>
+
+          {error && (
+            <div className="card error-message">{error}</div>
+          )}
+
+          {/* Overview */}
+          <div className="mb-3" style={{ display: 'flex', flexWrap: 'wrap', gap: '1rem' }}>
+            {OVERVIEW_TILES.map(tile => (
+              <div key={tile.id} className="card" style={{ flex: '1 1 150px', marginBottom: 0, padding: '1.25rem', textAlign: 'center' }}>
+                <div style={{ fontSize: '28px', fontWeight: 'bold', color: '#ff6b35' }}>{stats.overview[tile.id]}</div>
+                <div style={{ fontSize: '14px', color: '#6b7280' }}>{tile.label}</div>
+              </div>
+            ))}
+          </div>
+
+          {/* Charts */}
+          <div className="mb-3" style={{ display: 'flex', flexWrap: 'wrap', gap: '1rem' }}>
+            <div className="card" style={{ flex: '1 1 400px', marginBottom: 0 }}>
+              <ScoreHistogram buckets={stats.scoreDistribution} />
+            </div>
+            <div className="card" style={{ flex: '1 1 400px', marginBottom: 0 }}>
+              <SubmissionsChart days={stats.submissionsOverTime} />
+            </div>
+          </div>
+
+          {/* Attribution */}
+          <div className="card">
+            <AttributionTable
+              report={attribution}
+              groupBy={attributionGroupBy}
+              onGroupByChange={handleAttributionGroupBy}
+            />
+          </div>
+
+          {/* Drill-down */}
+          {selected && (
+            <div className="card">
+              <SubmissionDetail submission={selected} onClose={() => setSelected(null)} />
+            </div>
+          )}
+
+          {/* Submissions */}
+          <div className="card">
+            <h3>Submissions</h3>
+            <SubmissionsTable
+              submissions={submissions}
+              selectedId={selected?.id}
+              onSelect={handleSelect}
+            />
+            {nextCursor && (
+              <div className="text-center mt-2">
+                <button onClick={handleLoadMore} className="btn btn-secondary" disabled={isLoading}>
+                  {isLoading ? 'Loading...' : 'Load more'}
+                </button>
+              </div>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default AdminApp
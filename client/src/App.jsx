@@ -1,14 +1,220 @@
-import React, { useState } from 'react'
+import React, { useState, useEffect } from 'react'
+import ProgressTimeline from './components/ProgressTimeline.jsx'
+import SeoAuditResults from './components/SeoAuditResults.jsx'
+import ComparisonReport from './components/ComparisonReport.jsx'
+import ScoreTrend from './components/ScoreTrend.jsx'
+import ContactForm from './components/ContactForm.jsx'
 
 // TODO: Update this to your Railway backend URL when deployed
 // For development, this will proxy through Vite to localhost:3000
 const API_BASE_URL = import.meta.env.DEV ? '/api' : '/api';
 
+// How often to check on a queued analysis job
+const JOB_POLL_INTERVAL_MS = 2000
+
+// Button labels for each analysis job stage
+const STAGE_LABELS = {
+  queued: 'Waiting in queue...',
+  crawling: 'Crawling website...',
+  analyzing: 'Analyzing with AI...',
+  saving: 'Saving results...'
+}
+
+// Button labels while a competitor comparison runs
+const COMPARISON_STAGE_LABELS = {
+  queued: 'Waiting in queue...',
+  crawling: 'Analyzing websites...',
+  analyzing: 'Comparing with AI...'
+}
+
+// Competitor URLs accepted by the comparison endpoint
+const MAX_COMPETITORS = 4
+
+// Report export formats offered under the results
+const EXPORT_FORMATS = [
+  { id: 'markdown', label: 'Markdown' },
+  { id: 'html', label: 'HTML' },
+  { id: 'json', label: 'JSON' }
+]
+
+// Remembers that this browser already left contact details, so it isn't asked again
+const CONTACT_STORAGE_KEY = 'rmw-contact-saved'
+
+// UTM parameters and referrer of the page the visitor landed on, kept for the session
+const ATTRIBUTION_STORAGE_KEY = 'rmw-attribution'
+const UTM_PARAMS = {
+  utm_source: 'utmSource',
+  utm_medium: 'utmMedium',
+  utm_campaign: 'utmCampaign',
+  utm_term: 'utmTerm',
+  utm_content: 'utmContent'
+}
+
+// Attribution of this visit; a landing URL with UTM parameters replaces what the session stored
+const captureAttribution = () => {
+  try {
+    const stored = JSON.parse(sessionStorage.getItem(ATTRIBUTION_STORAGE_KEY) || 'null')
+    const params = new URLSearchParams(window.location.search)
+    const utm = Object.fromEntries(Object.entries(UTM_PARAMS)
+      .filter(([param]) => params.get(param))
+      .map(([param, field]) => [field, params.get(param)]))
+
+    // Navigating within the app isn't a referral
+    const referrer = document.referrer && new URL(document.referrer).origin !== window.location.origin
+      ? document.referrer
+      : null
+
+    if (stored && Object.keys(utm).length === 0) return stored
+
+    const attribution = { ...utm, ...(referrer && { landingReferrer: referrer }) }
+    sessionStorage.setItem(ATTRIBUTION_STORAGE_KEY, JSON.stringify(attribution))
+    return attribution
+  } catch (err) {
+    return {}
+  }
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+// Share slug of a /report/:slug permalink, if the page is one
+const getReportSlug = () => window.location.pathname.match(/^\/report\/([^/]+)\/?$/)?.[1] || null
+
 function App() {
   const [url, setUrl] = useState('')
   const [isAnalyzing, setIsAnalyzing] = useState(false)
+  const [jobStage, setJobStage] = useState('')
+  const [progressEvents, setProgressEvents] = useState([])
+  const [analysisStartedAt, setAnalysisStartedAt] = useState(null)
+  const [now, setNow] = useState(Date.now())
   const [analysisResult, setAnalysisResult] = useState(null)
   const [error, setError] = useState('')
+  const [rubrics, setRubrics] = useState([])
+  const [rubricId, setRubricId] = useState('')
+  const [competitors, setCompetitors] = useState([])
+  const [comparisonResult, setComparisonResult] = useState(null)
+  const [scoreHistory, setScoreHistory] = useState([])
+  const [isLoadingReport, setIsLoadingReport] = useState(false)
+  const [linkCopied, setLinkCopied] = useState(false)
+  // Contact capture: 'off', 'optional' (after the results) or 'gated' (before them)
+  const [leadCaptureMode, setLeadCaptureMode] = useState('off')
+  const [hasLeftContact, setHasLeftContact] = useState(() => localStorage.getItem(CONTACT_STORAGE_KEY) === 'true')
+  const [isResultGated, setIsResultGated] = useState(false)
+  const [contactStatus, setContactStatus] = useState('')
+  const [attribution] = useState(captureAttribution)
+
+  // Load the available scoring rubrics once
+  useEffect(() => {
+    fetch(`${API_BASE_URL}/analyze/rubrics`)
+      .then(response => response.ok ? response.json() : { rubrics: [] })
+      .then(data => {
+        setRubrics(data.rubrics || [])
+        setRubricId(data.rubrics?.find(rubric => rubric.isDefault)?.id || '')
+      })
+      .catch(err => console.warn('⚠️  Could not load scoring rubrics:', err))
+  }, [])
+
+  // Load how the results page asks for contact details
+  useEffect(() => {
+    fetch(`${API_BASE_URL}/leads/config`)
+      .then(response => response.ok ? response.json() : { mode: 'off' })
+      .then(data => setLeadCaptureMode(data.mode || 'off'))
+      .catch(err => console.warn('⚠️  Could not load contact capture settings:', err))
+  }, [])
+
+  // Open shared report permalinks, and follow browser back/forward between reports and the form
+  useEffect(() => {
+    const showCurrentPath = () => {
+      const slug = getReportSlug()
+      setError('')
+      setComparisonResult(null)
+
+      if (slug) {
+        loadReport(slug)
+      } else {
+        setAnalysisResult(null)
+      }
+    }
+
+    showCurrentPath()
+    window.addEventListener('popstate', showCurrentPath)
+    return () => window.removeEventListener('popstate', showCurrentPath)
+  }, [])
+
+  // Load earlier analyses of the same domain (scored with the same rubric) for the trend chart
+  useEffect(() => {
+    setScoreHistory([])
+    if (!analysisResult) return
+
+    const domain = new URL(analysisResult.url).hostname.replace(/^www\./, '')
+    const rubricQuery = analysisResult.rubric ? `?rubric=${encodeURIComponent(analysisResult.rubric.id)}` : ''
+
+    fetch(`${API_BASE_URL}/sites/${encodeURIComponent(domain)}/history${rubricQuery}`)
+      .then(response => response.ok ? response.json() : { history: [] })
+      .then(data => setScoreHistory(data.history || []))
+      .catch(err => console.warn('⚠️  Could not load score history:', err))
+  }, [analysisResult])
+
+  // Tick the elapsed-time display while an analysis is running
+  useEffect(() => {
+    if (!isAnalyzing) return
+    const timer = setInterval(() => setNow(Date.now()), 250)
+    return () => clearInterval(timer)
+  }, [isAnalyzing])
+
+  // Load a stored analysis by its share slug
+  const loadReport = async (slug) => {
+    setIsLoadingReport(true)
+    setAnalysisResult(null)
+
+    try {
+      const response = await fetch(`${API_BASE_URL}/reports/${encodeURIComponent(slug)}`)
+      const data = await response.json()
+
+      if (!response.ok) {
+        throw new Error(data.message || data.error || 'Report not found')
+      }
+
+      setAnalysisResult(data)
+      setUrl(data.url)
+    } catch (err) {
+      console.error('❌ Report error:', err)
+      setError(err.message || 'Unable to load this report.')
+    } finally {
+      setIsLoadingReport(false)
+    }
+  }
+
+  // Copy the report permalink for sharing
+  const handleCopyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(`${window.location.origin}${analysisResult.report.url}`)
+      setLinkCopied(true)
+      setTimeout(() => setLinkCopied(false), 2000)
+    } catch (err) {
+      console.warn('⚠️  Could not copy link:', err)
+    }
+  }
+
+  // Save contact details against the current report
+  const handleContactSubmit = async (contact) => {
+    const response = await fetch(`${API_BASE_URL}/leads`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ ...contact, reportSlug: analysisResult.report.slug })
+    })
+    const data = await response.json()
+
+    if (!response.ok) {
+      throw new Error(data.message || data.error || 'Unable to save your details')
+    }
+
+    localStorage.setItem(CONTACT_STORAGE_KEY, 'true')
+    setHasLeftContact(true)
+    setContactStatus(isResultGated ? '' : 'saved')
+    setIsResultGated(false)
+  }
 
   // URL validation regex
   const URL_REGEX = /^https?:\/\/(www\.)?[-a-zA-Z0-9@:%._\+~#=]{1,256}\.[a-zA-Z0-9()]{1,6}\b([-a-zA-Z0-9()@:%_\+.~#?&//=]*)$/
@@ -25,12 +231,15 @@ function App() {
     return null
   }
 
-  const handleAnalyze = async (e) => {
-    e.preventDefault()
+  // Start an analysis; options.force bypasses the server's analysis cache
+  const handleAnalyze = async (e, options = {}) => {
+    e?.preventDefault()
     
     // Clear previous results
     setError('')
     setAnalysisResult(null)
+    setComparisonResult(null)
+    setContactStatus('')
     
     // Validate URL
     const validationError = validateUrl(url)
@@ -39,17 +248,34 @@ function App() {
       return
     }
 
+    const competitorUrls = competitors.map(competitor => competitor.trim()).filter(Boolean)
+    const competitorError = competitorUrls.map(validateUrl).find(Boolean)
+    if (competitorError) {
+      setError(`Competitor: ${competitorError}`)
+      return
+    }
+    const isComparison = competitorUrls.length > 0
+
     setIsAnalyzing(true)
+    setProgressEvents([])
+    setAnalysisStartedAt(Date.now())
+    setNow(Date.now())
 
     try {
       console.log('🔍 Starting analysis for:', url)
       
-      const response = await fetch(`${API_BASE_URL}/analyze`, {
+      const response = await fetch(`${API_BASE_URL}/analyze${isComparison ? '/compare' : ''}`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify({ url: url.trim() })
+        body: JSON.stringify({
+          url: url.trim(),
+          ...(isComparison && { competitors: competitorUrls }),
+          ...(rubricId && { rubric: rubricId }),
+          ...(options.force && { force: true }),
+          attribution
+        })
       })
 
       const data = await response.json()
@@ -58,14 +284,89 @@ function App() {
         throw new Error(data.message || data.error || 'Analysis failed')
       }
 
-      console.log('✅ Analysis completed:', data)
-      setAnalysisResult(data)
+      setJobStage(data.stage)
+      const result = await followJob(data.jobId)
+
+      console.log('✅ Analysis completed:', result)
+      if (isComparison) {
+        setComparisonResult(result)
+      } else {
+        setAnalysisResult(result)
+        // Ask for contact details before showing results, unless this browser already left them
+        setIsResultGated(leadCaptureMode === 'gated' && !hasLeftContact && Boolean(result.report))
+        // Give the result a permalink so refreshing or sharing keeps it
+        if (result.report) {
+          window.history.pushState(null, '', result.report.url)
+        }
+      }
 
     } catch (err) {
       console.error('❌ Analysis error:', err)
       setError(err.message || 'Something went wrong. Please try again.')
     } finally {
       setIsAnalyzing(false)
+      setJobStage('')
+    }
+  }
+
+  // Stream job progress over Server-Sent Events, falling back to polling if unavailable
+  const followJob = (jobId) => {
+    if (typeof window.EventSource === 'undefined') {
+      return waitForJob(jobId)
+    }
+
+    return new Promise((resolve, reject) => {
+      const source = new EventSource(`${API_BASE_URL}/analyze/jobs/${jobId}/events`)
+
+      source.onmessage = (message) => {
+        const event = JSON.parse(message.data)
+
+        setProgressEvents(events => [...events, event])
+        if (event.type === 'stage') {
+          setJobStage(event.stage)
+        }
+
+        if (event.stage === 'done' && event.type === 'stage') {
+          source.close()
+          resolve(event.data.result)
+        } else if (event.stage === 'failed' && event.type === 'stage') {
+          source.close()
+          reject(new Error(event.data.error?.message || 'Analysis failed'))
+        }
+      }
+
+      source.onerror = () => {
+        // Stream blocked or dropped (e.g. by a proxy) - keep going by polling
+        console.warn('⚠️  Progress stream unavailable, polling job status instead')
+        source.close()
+        waitForJob(jobId).then(resolve, reject)
+      }
+    })
+  }
+
+  // Poll the analysis job until it finishes, returning its result
+  const waitForJob = async (jobId) => {
+    while (true) {
+      await sleep(JOB_POLL_INTERVAL_MS)
+
+      const response = await fetch(`${API_BASE_URL}/analyze/jobs/${jobId}`)
+      const data = await response.json()
+
+      if (!response.ok) {
+        throw new Error(data.message || data.error || 'Analysis failed')
+      }
+
+      const { job } = data
+      setJobStage(job.stage)
+      setProgressEvents(job.events || [])
+
+      if (job.stage === 'done') {
+        return job.result
+      }
+
+      if (job.stage === 'failed') {
+        throw new Error(job.error?.message || 'Analysis failed')
+      }
     }
   }
 
@@ -76,6 +377,19 @@ function App() {
     return 'score-poor'
   }
 
+  // Maximum points of a category, from the rubric the result was scored with
+  const getCategoryMax = (category) => {
+    return category.maxScore ??
+      analysisResult?.rubric?.categories.find(item => item.name === category.name)?.maxScore
+  }
+
+  const getCategoryColor = (score, maxScore) => {
+    const ratio = maxScore ? score / maxScore : 0
+    if (ratio >= 0.75) return '#10b981'
+    if (ratio >= 0.5) return '#f59e0b'
+    return '#ef4444'
+  }
+
   const getScoreLabel = (score) => {
     if (score >= 80) return 'Excellent'
     if (score >= 65) return 'Good'
@@ -86,7 +400,21 @@ function App() {
   const handleNewAnalysis = () => {
     setUrl('')
     setAnalysisResult(null)
+    setComparisonResult(null)
+    setCompetitors([])
     setError('')
+    setIsResultGated(false)
+    setContactStatus('')
+    if (window.location.pathname !== '/') {
+      window.history.pushState(null, '', '/')
+    }
+  }
+
+  // Competitor URLs turn the analysis into a comparison
+  const isComparing = competitors.some(competitor => competitor.trim())
+
+  const updateCompetitor = (index, value) => {
+    setCompetitors(current => current.map((competitor, i) => i === index ? value : competitor))
   }
 
   return (
@@ -122,7 +450,14 @@ function App() {
       </div>
 
       {/* Main Analysis Form */}
-      {!analysisResult && (
+      {/* Shared report loading */}
+      {isLoadingReport && (
+        <div className="card text-center">
+          <span className="spinner"></span> Loading report...
+        </div>
+      )}
+
+      {!analysisResult && !comparisonResult && !isLoadingReport && (
         <div className="card">
           <div className="card-header">
             <h2>Rate My Website</h2>
@@ -150,6 +485,71 @@ function App() {
               )}
             </div>
 
+            {rubrics.length > 1 && (
+              <div className="form-group">
+                <label className="form-label" htmlFor="rubric">Scoring rubric</label>
+                <select
+                  id="rubric"
+                  value={rubricId}
+                  onChange={(e) => setRubricId(e.target.value)}
+                  className="form-input"
+                  disabled={isAnalyzing}
+                >
+                  {rubrics.map(rubric => (
+                    <option key={rubric.id} value={rubric.id}>
+                      {rubric.name}{rubric.description ? ` - ${rubric.description}` : ''}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
+
+            {/* Optional competitors for a side-by-side comparison */}
+            {competitors.length > 0 && (
+              <div className="form-group">
+                <label className="form-label">Competitors</label>
+                {competitors.map((competitor, index) => (
+                  <div key={index} style={{ display: 'flex', gap: '0.5rem', marginBottom: '0.5rem' }}>
+                    <input
+                      type="url"
+                      value={competitor}
+                      onChange={(e) => updateCompetitor(index, e.target.value)}
+                      placeholder="https://competitor.com/"
+                      className="form-input"
+                      disabled={isAnalyzing}
+                    />
+                    <button
+                      type="button"
+                      onClick={() => setCompetitors(current => current.filter((_, i) => i !== index))}
+                      className="btn btn-secondary"
+                      disabled={isAnalyzing}
+                      aria-label="Remove competitor"
+                    >
+                      ✕
+                    </button>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {competitors.length < MAX_COMPETITORS && (
+              <button
+                type="button"
+                onClick={() => setCompetitors(current => [...current, ''])}
+                disabled={isAnalyzing}
+                style={{
+                  background: 'none',
+                  border: 'none',
+                  color: '#ff6b35',
+                  cursor: 'pointer',
+                  marginBottom: '1rem',
+                  padding: 0
+                }}
+              >
+                + Compare with a competitor
+              </button>
+            )}
+
             <button 
               type="submit" 
               className="btn btn-primary"
@@ -159,7 +559,11 @@ function App() {
               {isAnalyzing ? (
                 <>
                   <span className="spinner"></span>
-                  Analyzing...
+                  {(isComparing ? COMPARISON_STAGE_LABELS : STAGE_LABELS)[jobStage] || 'Analyzing...'}
+                </>
+              ) : isComparing ? (
+                <>
+                  ⚔️ Compare
                 </>
               ) : (
                 <>
@@ -169,6 +573,15 @@ function App() {
             </button>
           </form>
 
+          {isAnalyzing && progressEvents.length > 0 && (
+            <ProgressTimeline
+              events={progressEvents}
+              startedAt={analysisStartedAt}
+              now={now}
+              comparison={isComparing}
+            />
+          )}
+
           {/*<p style={{ 
             textAlign: 'center', 
             fontSize: '14px', 
@@ -181,8 +594,48 @@ function App() {
         </div>
       )}
 
+      {/* Competitor Comparison */}
+      {comparisonResult && (
+        <div className="card">
+          <div className="card-header text-center">
+            <h2>Competitor Comparison</h2>
+            <p style={{ color: '#6b7280', marginBottom: 0 }}>
+              {comparisonResult.primary.url} • {comparisonResult.rubric.name} rubric
+            </p>
+          </div>
+
+          <ComparisonReport result={comparisonResult} />
+
+          <div className="text-center">
+            <button
+              onClick={handleNewAnalysis}
+              className="btn btn-primary"
+            >
+              🔍 Analyze Another Website
+            </button>
+          </div>
+
+          <p style={{
+            textAlign: 'center',
+            fontSize: '12px',
+            color: '#9ca3af',
+            marginTop: '1rem',
+            marginBottom: 0
+          }}>
+            Comparison completed on {new Date(comparisonResult.timestamp).toLocaleString()}
+          </p>
+        </div>
+      )}
+
+      {/* Contact details required before the results */}
+      {analysisResult && isResultGated && (
+        <div className="card">
+          <ContactForm gated onSubmit={handleContactSubmit} />
+        </div>
+      )}
+
       {/* Analysis Results */}
-      {analysisResult && (
+      {analysisResult && !isResultGated && (
         <div className="card">
           <div className="card-header">
             <div className="text-center">
@@ -193,6 +646,11 @@ function App() {
               <p style={{ color: '#6b7280' }}>
                 Analysis for: <strong>{analysisResult.url}</strong>
               </p>
+              {analysisResult.metadata?.pages?.length > 1 && (
+                <p style={{ color: '#9ca3af', fontSize: '14px' }}>
+                  Pages analyzed: {analysisResult.metadata.pages.map(page => page.label).join(', ')}
+                </p>
+              )}
             </div>
           </div>
 
@@ -224,17 +682,50 @@ function App() {
                     <h4 style={{ margin: 0 }}>{category.name}</h4>
                     <span style={{ 
                       fontWeight: 'bold', 
-                      color: category.score >= 15 ? '#10b981' : category.score >= 10 ? '#f59e0b' : '#ef4444' 
+                      color: getCategoryColor(category.score, getCategoryMax(category))
                     }}>
-                      {category.score}/{category.name.includes('Conversion') ? '25' : category.name.includes('Technical') ? '15' : '20'}
+                      {category.score}/{getCategoryMax(category)}
                     </span>
                   </div>
                   <p style={{ margin: 0, color: '#4b5563' }}>{category.feedback}</p>
+                  {category.auditScore !== undefined && (
+                    <p style={{ margin: '0.5rem 0 0', fontSize: '12px', color: '#9ca3af' }}>
+                      Blended from AI review ({category.aiScore}) and technical SEO audit ({category.auditScore})
+                    </p>
+                  )}
                 </div>
               ))}
             </div>
           )}
 
+          {/* Score reconciliation notes */}
+          {analysisResult.analysis.scoringNotes && analysisResult.analysis.scoringNotes.length > 0 && (
+            <div className="mb-3" style={{
+              padding: '0.75rem 1rem',
+              background: '#fffbeb',
+              borderRadius: '8px',
+              fontSize: '14px',
+              color: '#92400e'
+            }}>
+              <strong>Scoring adjustments</strong>
+              <ul style={{ margin: '0.5rem 0 0', paddingLeft: '1.25rem' }}>
+                {analysisResult.analysis.scoringNotes.map((note, index) => (
+                  <li key={index}>{note.message}</li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {/* Score trend, once the domain has prior results */}
+          {scoreHistory.length > 1 && (
+            <ScoreTrend history={scoreHistory} />
+          )}
+
+          {/* Technical SEO Audit */}
+          {analysisResult.analysis.seoAudit && (
+            <SeoAuditResults audit={analysisResult.analysis.seoAudit} />
+          )}
+
           {/* Recommendations */}
           {analysisResult.analysis.recommendations && analysisResult.analysis.recommendations.length > 0 && (
             <div className="mb-3">
@@ -263,7 +754,7 @@ function App() {
                       {rec.priority} Priority
                     </span>
                     <span style={{ fontSize: '12px', color: '#6b7280' }}>
-                      Effort: {rec.effort}
+                      {rec.page && `${rec.page} page • `}Effort: {rec.effort}
                     </span>
                   </div>
                   <p style={{ fontWeight: '500', marginBottom: '0.5rem' }}>{rec.action}</p>
@@ -273,16 +764,81 @@ function App() {
             </div>
           )}
 
+          {/* Cached result notice */}
+          {analysisResult.cache?.hit && (
+            <div className="mb-3" style={{
+              display: 'flex',
+              justifyContent: 'space-between',
+              alignItems: 'center',
+              gap: '1rem',
+              padding: '0.75rem 1rem',
+              background: '#eff6ff',
+              borderRadius: '8px',
+              fontSize: '14px',
+              color: '#1e40af'
+            }}>
+              <span>
+                {analysisResult.cache.type === 'content'
+                  ? 'The website content has not changed, so the previous AI analysis was reused'
+                  : 'Showing a recent analysis of this website'}
+                {' '}from {new Date(analysisResult.cache.analyzedAt).toLocaleString()}.
+              </span>
+              <button
+                onClick={() => handleAnalyze(null, { force: true })}
+                className="btn btn-secondary"
+              >
+                🔄 Refresh Analysis
+              </button>
+            </div>
+          )}
+
           {/* Action Buttons */}
-          <div className="text-center">
+          <div className="text-center" style={{ display: 'flex', flexWrap: 'wrap', gap: '0.75rem', justifyContent: 'center' }}>
             <button 
               onClick={handleNewAnalysis}
               className="btn btn-primary"
             >
               🔍 Analyze Another Website
             </button>
+            {analysisResult.report && (
+              <a
+                href={`${API_BASE_URL}/reports/${analysisResult.report.slug}/pdf`}
+                className="btn btn-secondary"
+                style={{ textDecoration: 'none' }}
+                download
+              >
+                📄 Download PDF
+              </a>
+            )}
+            {analysisResult.report && (
+              <button
+                onClick={handleCopyLink}
+                className="btn btn-secondary"
+              >
+                {linkCopied ? '✅ Link Copied' : '🔗 Copy Share Link'}
+              </button>
+            )}
           </div>
 
+          {/* Export formats */}
+          {analysisResult.report && (
+            <p style={{ textAlign: 'center', fontSize: '14px', color: '#6b7280', marginTop: '1rem', marginBottom: 0 }}>
+              Export:{' '}
+              {EXPORT_FORMATS.map((format, index) => (
+                <React.Fragment key={format.id}>
+                  {index > 0 && ' • '}
+                  <a
+                    href={`${API_BASE_URL}/reports/${analysisResult.report.slug}/export?format=${format.id}`}
+                    style={{ color: '#ff6b35' }}
+                    download
+                  >
+                    {format.label}
+                  </a>
+                </React.Fragment>
+              ))}
+            </p>
+          )}
+
           {/* Timestamp */}
           <p style={{ 
             textAlign: 'center', 
@@ -292,9 +848,23 @@ function App() {
             marginBottom: 0 
           }}>
             Analysis completed on {new Date(analysisResult.timestamp).toLocaleString()}
+            {analysisResult.rubric && ` • ${analysisResult.rubric.name} rubric v${analysisResult.rubric.version}`}
           </p>
         </div>
       )}
+
+      {/* Optional contact details after the results */}
+      {analysisResult && !isResultGated && analysisResult.report && leadCaptureMode === 'optional' &&
+        (contactStatus === 'saved' ? (
+          <div className="card text-center">
+            <h2>✅ Thanks!</h2>
+            <p style={{ color: '#6b7280', marginBottom: 0 }}>We'll be in touch about your website soon.</p>
+          </div>
+        ) : !hasLeftContact && contactStatus !== 'dismissed' && (
+          <div className="card">
+            <ContactForm onSubmit={handleContactSubmit} onSkip={() => setContactStatus('dismissed')} />
+          </div>
+        ))}
     </div>
   )
 }
@@ -0,0 +1,71 @@
+import React, { useState } from 'react'
+
+function AdminLogin({ onLogin, error }) {
+  const [email, setEmail] = useState('')
+  const [password, setPassword] = useState('')
+  const [isChecking, setIsChecking] = useState(false)
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    if (!email.trim() || !password) return
+
+    setIsChecking(true)
+    await onLogin(email.trim(), password)
+    setIsChecking(false)
+    setPassword('')
+  }
+
+  return (
+    <div className="card" style={{ maxWidth: '420px', margin: '0 auto' }}>
+      <div className="card-header">
+        <h2>🔒 Admin Dashboard</h2>
+        <p style={{ color: '#6b7280', marginBottom: 0 }}>
+          Sign in with your admin account to view leads and submissions.
+        </p>
+      </div>
+
+      <form onSubmit={handleSubmit}>
+        <div className="form-group">
+          <label className="form-label" htmlFor="admin-email">Email</label>
+          <input
+            id="admin-email"
+            type="email"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            className="form-input"
+            autoComplete="username"
+            disabled={isChecking}
+            autoFocus
+          />
+        </div>
+
+        <div className="form-group">
+          <label className="form-label" htmlFor="admin-password">Password</label>
+          <input
+            id="admin-password"
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            className={`form-input ${error ? 'error' : ''}`}
+            autoComplete="current-password"
+            disabled={isChecking}
+          />
+          {error && (
+            <div className="error-message">{error}</div>
+          )}
+        </div>
+
+        <button type="submit" className="btn btn-primary" disabled={isChecking} style={{ width: '100%' }}>
+          {isChecking ? (
+            <>
+              <span className="spinner"></span>
+              Signing in...
+            </>
+          ) : 'Sign In'}
+        </button>
+      </form>
+    </div>
+  )
+}
+
+export default AdminLogin
@@ -0,0 +1,67 @@
+import React from 'react'
+
+const DIMENSIONS = [
+  { id: 'source', label: 'Source' },
+  { id: 'medium', label: 'Medium' },
+  { id: 'campaign', label: 'Campaign' }
+]
+
+const cellStyle = {
+  padding: '0.5rem 0.75rem',
+  borderBottom: '1px solid #f3f4f6',
+  textAlign: 'left',
+  fontSize: '14px'
+}
+
+// Submissions, contacts and average score per traffic source, medium or campaign
+function AttributionTable({ report, groupBy, onGroupByChange }) {
+  const dimension = DIMENSIONS.find(item => item.id === groupBy)
+
+  return (
+    <div>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '1rem' }}>
+        <h3 style={{ marginBottom: 0 }}>Attribution</h3>
+        <select
+          value={groupBy}
+          onChange={(e) => onGroupByChange(e.target.value)}
+          className="form-input"
+          style={{ width: 'auto' }}
+          aria-label="Group attribution by"
+        >
+          {DIMENSIONS.map(item => (
+            <option key={item.id} value={item.id}>By {item.label.toLowerCase()}</option>
+          ))}
+        </select>
+      </div>
+
+      {report.length === 0 ? (
+        <p style={{ color: '#6b7280' }}>No attributed submissions yet.</p>
+      ) : (
+        <div className="mt-2" style={{ overflowX: 'auto' }}>
+          <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+            <thead>
+              <tr style={{ color: '#6b7280' }}>
+                <th style={cellStyle}>{dimension.label}</th>
+                <th style={cellStyle}>Submissions</th>
+                <th style={cellStyle}>Contacts</th>
+                <th style={cellStyle}>Average score</th>
+              </tr>
+            </thead>
+            <tbody>
+              {report.map(row => (
+                <tr key={row[groupBy]}>
+                  <td style={cellStyle}>{row[groupBy]}</td>
+                  <td style={cellStyle}>{row.submissions}</td>
+                  <td style={cellStyle}>{row.contacts}</td>
+                  <td style={cellStyle}>{row.averageScore}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default AttributionTable
@@ -0,0 +1,150 @@
+import React from 'react'
+
+// Bar colors: the primary site stands out, competitors share muted tones
+const PRIMARY_COLOR = '#ff6b35'
+const COMPETITOR_COLORS = ['#6366f1', '#0ea5e9', '#14b8a6', '#a855f7']
+
+const POSITION_STYLES = {
+  leads: { label: 'Leads', background: '#f0fdf4', color: '#16a34a' },
+  even: { label: 'Even', background: '#f3f4f6', color: '#4b5563' },
+  lags: { label: 'Lags', background: '#fef2f2', color: '#dc2626' }
+}
+
+const getDomain = (url) => {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '')
+  } catch (error) {
+    return url
+  }
+}
+
+function ComparisonReport({ result }) {
+  const { primary, competitors, comparison } = result
+  const analyzed = [primary, ...competitors.filter(competitor => competitor.success)]
+  const failed = competitors.filter(competitor => !competitor.success)
+  const colorOf = (url) => url === primary.url
+    ? PRIMARY_COLOR
+    : COMPETITOR_COLORS[analyzed.findIndex(site => site.url === url) - 1] || '#9ca3af'
+
+  return (
+    <div>
+      {/* Overall scores */}
+      <div className="mb-3" style={{ display: 'flex', flexWrap: 'wrap', gap: '1rem', justifyContent: 'center' }}>
+        {analyzed.map(site => (
+          <div key={site.url} style={{
+            flex: '1 1 140px',
+            padding: '1rem',
+            textAlign: 'center',
+            borderRadius: '8px',
+            background: '#f9fafb',
+            borderTop: `4px solid ${colorOf(site.url)}`
+          }}>
+            <div style={{ fontSize: '32px', fontWeight: 'bold', color: colorOf(site.url) }}>
+              {site.analysis.score}
+            </div>
+            <div style={{ fontWeight: '500', wordBreak: 'break-all' }}>{getDomain(site.url)}</div>
+            <div style={{ fontSize: '12px', color: '#6b7280' }}>
+              {site.url === primary.url ? 'Your website' : 'Competitor'}
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {failed.length > 0 && (
+        <p style={{ fontSize: '14px', color: '#b45309' }}>
+          Not included: {failed.map(competitor => `${getDomain(competitor.url)} (${competitor.error.message})`).join('; ')}
+        </p>
+      )}
+
+      <div className="mb-3">
+        <h3>How You Stack Up</h3>
+        <p>{comparison.summary}</p>
+      </div>
+
+      {/* Per-category bars */}
+      <div className="mb-3">
+        <h3>Category Comparison</h3>
+        {comparison.categories.map(category => {
+          const position = POSITION_STYLES[category.position]
+
+          return (
+            <div key={category.name} style={{
+              marginBottom: '1.5rem',
+              padding: '1rem',
+              background: '#f9fafb',
+              borderRadius: '8px'
+            }}>
+              <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '0.75rem' }}>
+                <h4 style={{ margin: 0 }}>{category.name}</h4>
+                <span style={{
+                  padding: '2px 8px',
+                  borderRadius: '4px',
+                  fontSize: '12px',
+                  fontWeight: 'bold',
+                  background: position.background,
+                  color: position.color
+                }}>
+                  {position.label}
+                </span>
+              </div>
+
+              {category.scores.map(entry => (
+                <div key={entry.url} style={{ display: 'flex', alignItems: 'center', gap: '0.75rem', marginBottom: '0.35rem' }}>
+                  <span style={{
+                    width: '140px',
+                    flexShrink: 0,
+                    fontSize: '13px',
+                    fontWeight: entry.url === primary.url ? 'bold' : 'normal',
+                    overflow: 'hidden',
+                    textOverflow: 'ellipsis',
+                    whiteSpace: 'nowrap'
+                  }}>
+                    {getDomain(entry.url)}
+                  </span>
+                  <div style={{ flex: 1, height: '10px', background: '#e5e7eb', borderRadius: '5px' }}>
+                    <div style={{
+                      width: `${(entry.score / category.maxScore) * 100}%`,
+                      height: '100%',
+                      background: colorOf(entry.url),
+                      borderRadius: '5px'
+                    }} />
+                  </div>
+                  <span style={{ width: '48px', textAlign: 'right', fontSize: '13px', color: '#4b5563' }}>
+                    {entry.score}/{category.maxScore}
+                  </span>
+                </div>
+              ))}
+
+              <p style={{ margin: '0.75rem 0 0', color: '#4b5563' }}>{category.insight}</p>
+            </div>
+          )
+        })}
+      </div>
+
+      {/* Ranked gaps */}
+      <div className="mb-3">
+        <h3>Gaps to Close</h3>
+        {comparison.gaps.length === 0 ? (
+          <p style={{ color: '#16a34a' }}>Your website matches or leads every competitor in all categories.</p>
+        ) : comparison.gaps.map(gap => (
+          <div key={gap.category} style={{
+            marginBottom: '1rem',
+            padding: '1rem',
+            border: '1px solid #e5e7eb',
+            borderRadius: '8px'
+          }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '0.5rem' }}>
+              <span style={{ fontWeight: 'bold' }}>#{gap.rank} {gap.category}</span>
+              <span style={{ fontSize: '12px', color: '#dc2626' }}>
+                {gap.gap} point{gap.gap === 1 ? '' : 's'} behind {getDomain(gap.leader)} ({gap.primaryScore} vs {gap.leaderScore})
+              </span>
+            </div>
+            <p style={{ fontWeight: '500', margin: 0 }}>{gap.action}</p>
+          </div>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+export default ComparisonReport
@@ -0,0 +1,125 @@
+import React, { useState } from 'react'
+
+// Same loose check as the server: one @, no spaces, a dot in the domain
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/
+
+function ContactForm({ gated, onSubmit, onSkip }) {
+  const [contact, setContact] = useState({ name: '', email: '', company: '', consent: false })
+  const [isSubmitting, setIsSubmitting] = useState(false)
+  const [error, setError] = useState('')
+
+  const update = (field, value) => setContact(current => ({ ...current, [field]: value }))
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setError('')
+
+    if (!EMAIL_REGEX.test(contact.email.trim())) {
+      setError('Please enter a valid email address')
+      return
+    }
+
+    if (!contact.consent) {
+      setError('Please agree to be contacted about your results')
+      return
+    }
+
+    setIsSubmitting(true)
+    try {
+      await onSubmit(contact)
+    } catch (err) {
+      setError(err.message || 'Unable to save your details. Please try again.')
+      setIsSubmitting(false)
+    }
+  }
+
+  return (
+    <form onSubmit={handleSubmit}>
+      <div className="card-header">
+        <h2>{gated ? '🎉 Your report is ready' : '💬 Want help acting on these results?'}</h2>
+        <p style={{ color: '#6b7280', marginBottom: 0 }}>
+          {gated
+            ? 'Tell us where to reach you and we\'ll show your full analysis.'
+            : 'Leave your details and we\'ll get in touch with ideas for your website.'}
+        </p>
+      </div>
+
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0 1rem' }}>
+        <div className="form-group" style={{ flex: '1 1 200px' }}>
+          <label className="form-label" htmlFor="contact-name">Name</label>
+          <input
+            id="contact-name"
+            type="text"
+            value={contact.name}
+            onChange={(e) => update('name', e.target.value)}
+            className="form-input"
+            maxLength={100}
+            autoComplete="name"
+            disabled={isSubmitting}
+          />
+        </div>
+        <div className="form-group" style={{ flex: '1 1 200px' }}>
+          <label className="form-label" htmlFor="contact-company">Company</label>
+          <input
+            id="contact-company"
+            type="text"
+            value={contact.company}
+            onChange={(e) => update('company', e.target.value)}
+            className="form-input"
+            maxLength={200}
+            autoComplete="organization"
+            disabled={isSubmitting}
+          />
+        </div>
+      </div>
+
+      <div className="form-group">
+        <label className="form-label" htmlFor="contact-email">Email *</label>
+        <input
+          id="contact-email"
+          type="email"
+          value={contact.email}
+          onChange={(e) => update('email', e.target.value)}
+          className={`form-input ${error ? 'error' : ''}`}
+          maxLength={254}
+          autoComplete="email"
+          required
+          disabled={isSubmitting}
+        />
+      </div>
+
+      <label style={{ display: 'flex', gap: '0.5rem', alignItems: 'flex-start', fontSize: '14px', color: '#374151', marginBottom: '1rem' }}>
+        <input
+          type="checkbox"
+          checked={contact.consent}
+          onChange={(e) => update('consent', e.target.checked)}
+          disabled={isSubmitting}
+          style={{ marginTop: '3px' }}
+        />
+        I agree to be contacted about my website analysis.
+      </label>
+
+      {error && (
+        <div className="error-message mb-2">{error}</div>
+      )}
+
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.75rem', justifyContent: 'center' }}>
+        <button type="submit" className="btn btn-primary" disabled={isSubmitting}>
+          {isSubmitting ? (
+            <>
+              <span className="spinner"></span>
+              Saving...
+            </>
+          ) : gated ? '📊 Show My Results' : '📨 Get in Touch'}
+        </button>
+        {onSkip && (
+          <button type="button" onClick={onSkip} className="btn btn-secondary" disabled={isSubmitting}>
+            No thanks
+          </button>
+        )}
+      </div>
+    </form>
+  )
+}
+
+export default ContactForm
@@ -0,0 +1,123 @@
+import React from 'react'
+
+// Pipeline steps shown in the timeline, in order
+const ANALYSIS_STEPS = [
+  { stage: 'queued', label: 'Queued' },
+  { stage: 'crawling', label: 'Crawling website' },
+  { stage: 'analyzing', label: 'Analyzing with AI' },
+  { stage: 'saving', label: 'Saving results' }
+]
+
+// Steps of a competitor comparison job
+const COMPARISON_STEPS = [
+  { stage: 'queued', label: 'Queued' },
+  { stage: 'crawling', label: 'Analyzing each website' },
+  { stage: 'analyzing', label: 'Comparing with AI' }
+]
+
+const formatSeconds = (ms) => `${Math.max(0, ms / 1000).toFixed(1)}s`
+
+// Describe the progress updates published during a step
+const describeUpdate = (event) => {
+  switch (event.type) {
+    case 'crawled': {
+      const characters = `Fetched ${event.data.contentLength.toLocaleString()} characters`
+      const pages = event.data.pages || []
+      if (pages.length > 1) {
+        return `${characters} from ${pages.length} pages (${pages.map(page => page.label).join(', ')})`
+      }
+      return event.data.title ? `${characters} from "${event.data.title}"` : characters
+    }
+    case 'audited':
+      return `SEO audit: ${event.data.pass} passed, ${event.data.warn} warnings, ${event.data.fail} failed`
+    case 'cached':
+      return event.data.type === 'content'
+        ? 'Content unchanged - reusing the previous AI analysis'
+        : `Reusing the analysis from ${new Date(event.data.analyzedAt).toLocaleString()}`
+    case 'analyzed':
+      return `Preliminary score: ${event.data.score}/100`
+    case 'saved':
+      return `Results saved for ${event.data.domain}`
+    case 'site_analyzed':
+      return `${event.data.url}: ${event.data.score}/100${event.data.cached ? ' (cached)' : ''}`
+    case 'site_failed':
+      return `${event.data.url}: skipped - ${event.data.message}`
+    case 'compared':
+      return `Leads in ${event.data.leads}, lags in ${event.data.lags} categories`
+    default:
+      return null
+  }
+}
+
+function ProgressTimeline({ events, startedAt, now, comparison = false }) {
+  const steps = comparison ? COMPARISON_STEPS : ANALYSIS_STEPS
+  const stageStarts = {}
+  events
+    .filter(event => event.type === 'stage')
+    .forEach(event => { stageStarts[event.stage] = new Date(event.at).getTime() })
+
+  const currentStage = events.filter(event => event.type === 'stage').pop()?.stage
+  const currentIndex = steps.findIndex(step => step.stage === currentStage)
+  const analyzed = events.find(event => event.type === 'analyzed')
+
+  return (
+    <div className="mt-3" aria-live="polite">
+      <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '0.75rem' }}>
+        <h4 style={{ margin: 0 }}>Progress</h4>
+        <span style={{ fontSize: '14px', color: '#6b7280' }}>
+          Elapsed: {formatSeconds(now - startedAt)}
+        </span>
+      </div>
+
+      <ol style={{ listStyle: 'none' }}>
+        {steps.map((step, index) => {
+          const stepStart = stageStarts[step.stage]
+          const nextStart = steps.slice(index + 1).map(next => stageStarts[next.stage]).find(Boolean)
+          const status = index < currentIndex || (stepStart && nextStart) ? 'complete'
+            : index === currentIndex ? 'active'
+            : 'pending'
+          const updates = events
+            .filter(event => event.type !== 'stage' && event.stage === step.stage)
+            .map(describeUpdate)
+            .filter(Boolean)
+
+          return (
+            <li key={step.stage} style={{
+              display: 'flex',
+              gap: '0.75rem',
+              padding: '0.5rem 0',
+              borderBottom: index < steps.length - 1 ? '1px solid #f3f4f6' : 'none',
+              opacity: status === 'pending' ? 0.5 : 1
+            }}>
+              <span style={{ width: '1.5rem', textAlign: 'center' }}>
+                {status === 'complete' ? '✅' : status === 'active' ? '⏳' : '•'}
+              </span>
+              <div style={{ flex: 1 }}>
+                <div style={{ display: 'flex', justifyContent: 'space-between' }}>
+                  <span style={{ fontWeight: status === 'active' ? 'bold' : 'normal' }}>{step.label}</span>
+                  {stepStart && (
+                    <span style={{ fontSize: '12px', color: '#6b7280' }}>
+                      {formatSeconds((nextStart || now) - stepStart)}
+                    </span>
+                  )}
+                </div>
+                {updates.map((update, updateIndex) => (
+                  <div key={updateIndex} style={{ fontSize: '14px', color: '#6b7280' }}>{update}</div>
+                ))}
+              </div>
+            </li>
+          )
+        })}
+      </ol>
+
+      {/* Partial result while the final response is being prepared */}
+      {analyzed?.data.summary && (
+        <p style={{ marginTop: '1rem', marginBottom: 0, fontSize: '14px', color: '#4b5563' }}>
+          {analyzed.data.summary}
+        </p>
+      )}
+    </div>
+  )
+}
+
+export default ProgressTimeline
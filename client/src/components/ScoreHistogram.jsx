@@ -0,0 +1,69 @@
+import React from 'react'
+
+// Chart drawing area (SVG units)
+const WIDTH = 500
+const HEIGHT = 200
+const PADDING = { top: 16, right: 8, bottom: 28, left: 32 }
+
+// Score band colors, at the resolution of the 10-point buckets
+const getBucketColor = (min) => {
+  if (min >= 80) return '#10b981'
+  if (min >= 60) return '#3b82f6'
+  if (min >= 40) return '#f59e0b'
+  return '#ef4444'
+}
+
+// Number of analyses per 10-point score bucket
+function ScoreHistogram({ buckets }) {
+  const plotWidth = WIDTH - PADDING.left - PADDING.right
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom
+  const maxCount = Math.max(1, ...buckets.map(bucket => bucket.count))
+  const barWidth = plotWidth / buckets.length
+
+  return (
+    <div>
+      <h3>Score Distribution</h3>
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} style={{ width: '100%', height: 'auto' }} role="img" aria-label="Score distribution histogram">
+        {[0, 0.5, 1].map(ratio => (
+          <g key={ratio}>
+            <line
+              x1={PADDING.left}
+              x2={WIDTH - PADDING.right}
+              y1={PADDING.top + plotHeight * (1 - ratio)}
+              y2={PADDING.top + plotHeight * (1 - ratio)}
+              stroke="#f3f4f6"
+            />
+            <text x={PADDING.left - 6} y={PADDING.top + plotHeight * (1 - ratio) + 4} fontSize="11" fill="#9ca3af" textAnchor="end">
+              {Math.round(maxCount * ratio)}
+            </text>
+          </g>
+        ))}
+
+        {buckets.map((bucket, index) => {
+          const height = (bucket.count / maxCount) * plotHeight
+          const x = PADDING.left + index * barWidth
+
+          return (
+            <g key={bucket.min}>
+              <rect
+                x={x + 3}
+                y={PADDING.top + plotHeight - height}
+                width={barWidth - 6}
+                height={height}
+                rx="3"
+                fill={getBucketColor(bucket.min)}
+              >
+                <title>{`${bucket.min}-${bucket.max}: ${bucket.count} analyses`}</title>
+              </rect>
+              <text x={x + barWidth / 2} y={HEIGHT - 8} fontSize="11" fill="#9ca3af" textAnchor="middle">
+                {bucket.min}
+              </text>
+            </g>
+          )
+        })}
+      </svg>
+    </div>
+  )
+}
+
+export default ScoreHistogram
@@ -0,0 +1,87 @@
+import React from 'react'
+
+// Chart drawing area (SVG units)
+const WIDTH = 600
+const HEIGHT = 220
+const PADDING = { top: 16, right: 16, bottom: 28, left: 36 }
+
+const OVERALL_COLOR = '#ff6b35'
+const CATEGORY_COLORS = ['#6366f1', '#0ea5e9', '#14b8a6', '#a855f7', '#eab308', '#64748b']
+
+const formatDate = (value) => new Date(value).toLocaleDateString(undefined, { month: 'short', day: 'numeric' })
+
+// Overall score over time, with category scores as a percentage of their maximum
+function ScoreTrend({ history }) {
+  const plotWidth = WIDTH - PADDING.left - PADDING.right
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom
+  const x = (index) => PADDING.left + (history.length === 1 ? plotWidth / 2 : (index / (history.length - 1)) * plotWidth)
+  const y = (percent) => PADDING.top + plotHeight - (percent / 100) * plotHeight
+  const toPath = (values) => values
+    .map((value, index) => value === null ? null : `${x(index)},${y(value)}`)
+    .filter(Boolean)
+    .join(' ')
+
+  const categoryNames = [...new Set(history.flatMap(point => point.categories.map(category => category.name)))]
+  const categorySeries = categoryNames.map((name, index) => ({
+    name,
+    color: CATEGORY_COLORS[index % CATEGORY_COLORS.length],
+    values: history.map(point => {
+      const category = point.categories.find(item => item.name === name)
+      return category && category.maxScore ? (category.score / category.maxScore) * 100 : null
+    })
+  }))
+
+  const first = history[0]
+  const latest = history[history.length - 1]
+  const change = latest.score - first.score
+
+  return (
+    <div className="mb-3">
+      <h3>Score Trend</h3>
+      <p style={{ color: '#6b7280', fontSize: '14px' }}>
+        {history.length} analyses since {new Date(first.analyzedAt).toLocaleDateString()}:
+        overall score {change === 0 ? 'unchanged' : `${change > 0 ? 'up' : 'down'} ${Math.abs(change)} points`}
+        {' '}({first.score} → {latest.score}).
+      </p>
+
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} style={{ width: '100%', height: 'auto' }} role="img" aria-label="Score trend chart">
+        {[0, 25, 50, 75, 100].map(tick => (
+          <g key={tick}>
+            <line x1={PADDING.left} x2={WIDTH - PADDING.right} y1={y(tick)} y2={y(tick)} stroke="#f3f4f6" />
+            <text x={PADDING.left - 8} y={y(tick) + 4} fontSize="11" fill="#9ca3af" textAnchor="end">{tick}</text>
+          </g>
+        ))}
+
+        {categorySeries.map(series => (
+          <polyline
+            key={series.name}
+            points={toPath(series.values)}
+            fill="none"
+            stroke={series.color}
+            strokeWidth="1.5"
+            strokeDasharray="4 3"
+          />
+        ))}
+
+        <polyline points={toPath(history.map(point => point.score))} fill="none" stroke={OVERALL_COLOR} strokeWidth="3" />
+        {history.map((point, index) => (
+          <circle key={point.id} cx={x(index)} cy={y(point.score)} r="4" fill={OVERALL_COLOR}>
+            <title>{`${new Date(point.analyzedAt).toLocaleString()}: ${point.score}/100`}</title>
+          </circle>
+        ))}
+
+        <text x={PADDING.left} y={HEIGHT - 8} fontSize="11" fill="#9ca3af">{formatDate(first.analyzedAt)}</text>
+        <text x={WIDTH - PADDING.right} y={HEIGHT - 8} fontSize="11" fill="#9ca3af" textAnchor="end">{formatDate(latest.analyzedAt)}</text>
+      </svg>
+
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.75rem', fontSize: '12px', color: '#4b5563' }}>
+        <span><span style={{ color: OVERALL_COLOR }}>━</span> Overall score</span>
+        {categorySeries.map(series => (
+          <span key={series.name}><span style={{ color: series.color }}>┅</span> {series.name} (% of max)</span>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+export default ScoreTrend
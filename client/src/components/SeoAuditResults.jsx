@@ -0,0 +1,60 @@
+import React from 'react'
+
+// Badge colors for each finding status
+const STATUS_STYLES = {
+  pass: { label: 'Pass', background: '#f0fdf4', color: '#16a34a' },
+  warn: { label: 'Warning', background: '#fffbeb', color: '#d97706' },
+  fail: { label: 'Fail', background: '#fef2f2', color: '#dc2626' }
+}
+
+// Show failures first, then warnings, then passed checks
+const STATUS_ORDER = ['fail', 'warn', 'pass']
+
+function SeoAuditResults({ audit }) {
+  const findings = [...audit.findings].sort(
+    (a, b) => STATUS_ORDER.indexOf(a.status) - STATUS_ORDER.indexOf(b.status)
+  )
+
+  return (
+    <div className="mb-3">
+      <h3>Technical SEO Audit</h3>
+      <p style={{ color: '#6b7280', fontSize: '14px' }}>
+        Checked directly from the page HTML: {audit.counts.pass} passed, {audit.counts.warn} warnings, {audit.counts.fail} failed.
+      </p>
+
+      {findings.map(finding => {
+        const style = STATUS_STYLES[finding.status]
+
+        return (
+          <div key={finding.id} style={{
+            display: 'flex',
+            alignItems: 'flex-start',
+            gap: '0.75rem',
+            padding: '0.75rem 0',
+            borderBottom: '1px solid #f3f4f6'
+          }}>
+            <span style={{
+              flexShrink: 0,
+              minWidth: '64px',
+              textAlign: 'center',
+              padding: '2px 8px',
+              borderRadius: '4px',
+              fontSize: '12px',
+              fontWeight: 'bold',
+              background: style.background,
+              color: style.color
+            }}>
+              {style.label}
+            </span>
+            <div>
+              <div style={{ fontWeight: '500' }}>{finding.check}</div>
+              <div style={{ fontSize: '14px', color: '#6b7280' }}>{finding.message}</div>
+            </div>
+          </div>
+        )
+      })}
+    </div>
+  )
+}
+
+export default SeoAuditResults
@@ -0,0 +1,93 @@
+import React from 'react'
+
+const PRIORITY_COLORS = { High: '#dc2626', Medium: '#d97706', Low: '#16a34a' }
+
+const getCategoryColor = (score, maxScore) => {
+  const ratio = maxScore ? score / maxScore : 0
+  if (ratio >= 0.75) return '#10b981'
+  if (ratio >= 0.5) return '#f59e0b'
+  return '#ef4444'
+}
+
+// Full stored analysis of one submission, as opened from the submissions table
+function SubmissionDetail({ submission, onClose }) {
+  const { analysis, rubric, lead, report, attribution } = submission
+  const getCategoryMax = (category) => category.maxScore ??
+    rubric?.categories.find(item => item.name === category.name)?.maxScore
+
+  return (
+    <div>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', gap: '1rem' }}>
+        <div>
+          <h3 style={{ marginBottom: '0.25rem' }}>{submission.url}</h3>
+          <p style={{ color: '#6b7280', fontSize: '14px', margin: 0 }}>
+            Score {analysis.score}/100 • {new Date(submission.timestamp).toLocaleString()}
+            {rubric && ` • ${rubric.name} rubric v${rubric.version}`}
+            {report && (
+              <>
+                {' • '}
+                <a href={report.url} target="_blank" rel="noreferrer" style={{ color: '#ff6b35' }}>Open report</a>
+              </>
+            )}
+          </p>
+        </div>
+        <button onClick={onClose} className="btn btn-secondary" aria-label="Close submission">✕</button>
+      </div>
+
+      {lead && (
+        <div className="mt-2" style={{ padding: '0.75rem 1rem', background: '#f9fafb', borderRadius: '8px', fontSize: '14px' }}>
+          <strong>Lead:</strong> {[lead.name, lead.email, lead.company].filter(Boolean).join(' • ')}
+          {' '}({lead.status}{lead.owner ? `, owner ${lead.owner}` : ''})
+        </div>
+      )}
+
+      {attribution && (attribution.utmSource || attribution.landingReferrer) && (
+        <div className="mt-2" style={{ fontSize: '14px', color: '#4b5563' }}>
+          <strong>Attribution:</strong>{' '}
+          {[attribution.utmSource, attribution.utmMedium, attribution.utmCampaign].filter(Boolean).join(' / ') || 'no UTM parameters'}
+          {attribution.landingReferrer && ` • via ${attribution.landingReferrer}`}
+        </div>
+      )}
+
+      {analysis.summary && (
+        <p className="mt-2">{analysis.summary}</p>
+      )}
+
+      {analysis.categories.length > 0 && (
+        <div className="mt-2">
+          <h4>Categories</h4>
+          {analysis.categories.map(category => (
+            <div key={category.name} style={{ padding: '0.5rem 0', borderBottom: '1px solid #f3f4f6' }}>
+              <div style={{ display: 'flex', justifyContent: 'space-between' }}>
+                <strong>{category.name}</strong>
+                <span style={{ fontWeight: 'bold', color: getCategoryColor(category.score, getCategoryMax(category)) }}>
+                  {category.score}/{getCategoryMax(category) ?? '?'}
+                </span>
+              </div>
+              <div style={{ fontSize: '14px', color: '#4b5563' }}>{category.feedback}</div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {analysis.recommendations.length > 0 && (
+        <div className="mt-2">
+          <h4>Recommendations</h4>
+          {analysis.recommendations.map((recommendation, index) => (
+            <div key={index} style={{ padding: '0.5rem 0', borderBottom: '1px solid #f3f4f6', fontSize: '14px' }}>
+              <span style={{ fontWeight: 'bold', color: PRIORITY_COLORS[recommendation.priority] }}>
+                {recommendation.priority}
+              </span>
+              {' • '}Effort {recommendation.effort}
+              {recommendation.page && ` • ${recommendation.page} page`}
+              <div style={{ fontWeight: '500' }}>{recommendation.action}</div>
+              <div style={{ color: '#6b7280' }}>{recommendation.impact}</div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default SubmissionDetail
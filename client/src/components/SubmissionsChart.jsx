@@ -0,0 +1,74 @@
+import React from 'react'
+
+// Chart drawing area (SVG units)
+const WIDTH = 500
+const HEIGHT = 200
+const PADDING = { top: 16, right: 8, bottom: 28, left: 32 }
+
+const BAR_COLOR = '#ff6b35'
+
+// Days arrive as YYYY-MM-DD, so format them in UTC to avoid shifting a day
+const formatDate = (value) => new Date(value).toLocaleDateString(undefined, { month: 'short', day: 'numeric', timeZone: 'UTC' })
+
+// Submissions per day over the last 30 days
+function SubmissionsChart({ days }) {
+  const plotWidth = WIDTH - PADDING.left - PADDING.right
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom
+  const maxCount = Math.max(1, ...days.map(day => day.count))
+  const barWidth = plotWidth / Math.max(1, days.length)
+  const total = days.reduce((sum, day) => sum + day.count, 0)
+
+  return (
+    <div>
+      <h3>Submissions Over Time</h3>
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} style={{ width: '100%', height: 'auto' }} role="img" aria-label="Submissions per day chart">
+        {[0, 0.5, 1].map(ratio => (
+          <g key={ratio}>
+            <line
+              x1={PADDING.left}
+              x2={WIDTH - PADDING.right}
+              y1={PADDING.top + plotHeight * (1 - ratio)}
+              y2={PADDING.top + plotHeight * (1 - ratio)}
+              stroke="#f3f4f6"
+            />
+            <text x={PADDING.left - 6} y={PADDING.top + plotHeight * (1 - ratio) + 4} fontSize="11" fill="#9ca3af" textAnchor="end">
+              {Math.round(maxCount * ratio)}
+            </text>
+          </g>
+        ))}
+
+        {days.map((day, index) => {
+          const height = (day.count / maxCount) * plotHeight
+
+          return (
+            <rect
+              key={day.date}
+              x={PADDING.left + index * barWidth + 1}
+              y={PADDING.top + plotHeight - height}
+              width={Math.max(1, barWidth - 2)}
+              height={height}
+              rx="2"
+              fill={BAR_COLOR}
+            >
+              <title>
+                {`${formatDate(day.date)}: ${day.count} submissions${day.averageScore !== null ? `, average score ${day.averageScore}` : ''}`}
+              </title>
+            </rect>
+          )
+        })}
+
+        {days.length > 0 && (
+          <>
+            <text x={PADDING.left} y={HEIGHT - 8} fontSize="11" fill="#9ca3af">{formatDate(days[0].date)}</text>
+            <text x={WIDTH - PADDING.right} y={HEIGHT - 8} fontSize="11" fill="#9ca3af" textAnchor="end">
+              {formatDate(days[days.length - 1].date)}
+            </text>
+          </>
+        )}
+      </svg>
+      <p style={{ color: '#6b7280', fontSize: '12px', margin: 0 }}>{total} submissions in the last {days.length} days</p>
+    </div>
+  )
+}
+
+export default SubmissionsChart
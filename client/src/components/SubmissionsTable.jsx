@@ -0,0 +1,106 @@
+import React, { useState } from 'react'
+
+const COLUMNS = [
+  { id: 'domain', label: 'Domain', value: (row) => row.domain || '' },
+  { id: 'score', label: 'Score', value: (row) => row.score ?? -1 },
+  { id: 'lead', label: 'Lead', value: (row) => row.lead?.email || '' },
+  { id: 'submittedAt', label: 'Submitted', value: (row) => new Date(row.submittedAt).getTime() }
+]
+
+const cellStyle = {
+  padding: '0.5rem 0.75rem',
+  borderBottom: '1px solid #f3f4f6',
+  textAlign: 'left',
+  fontSize: '14px'
+}
+
+// Searchable, sortable list of stored analyses; clicking a row opens it
+function SubmissionsTable({ submissions, selectedId, onSelect }) {
+  const [search, setSearch] = useState('')
+  const [sort, setSort] = useState({ column: 'submittedAt', direction: 'desc' })
+
+  const query = search.trim().toLowerCase()
+  const column = COLUMNS.find(item => item.id === sort.column)
+  const rows = submissions
+    .filter(row => !query || [row.domain, row.url, row.summary, row.lead?.email]
+      .some(value => value && value.toLowerCase().includes(query)))
+    .sort((a, b) => {
+      const left = column.value(a)
+      const right = column.value(b)
+      const order = left < right ? -1 : left > right ? 1 : 0
+      return sort.direction === 'asc' ? order : -order
+    })
+
+  const toggleSort = (id) => {
+    setSort(current => ({
+      column: id,
+      direction: current.column === id && current.direction === 'desc' ? 'asc' : 'desc'
+    }))
+  }
+
+  return (
+    <div>
+      <input
+        type="search"
+        value={search}
+        onChange={(e) => setSearch(e.target.value)}
+        placeholder="Search domain, URL, summary or lead email"
+        className="form-input mb-2"
+      />
+
+      <div style={{ overflowX: 'auto' }}>
+        <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+          <thead>
+            <tr>
+              {COLUMNS.map(item => (
+                <th key={item.id} style={{ ...cellStyle, color: '#6b7280', fontWeight: '600' }}>
+                  <button
+                    type="button"
+                    onClick={() => toggleSort(item.id)}
+                    style={{ background: 'none', border: 'none', padding: 0, font: 'inherit', color: 'inherit', cursor: 'pointer' }}
+                  >
+                    {item.label}
+                    {sort.column === item.id && (sort.direction === 'asc' ? ' ▲' : ' ▼')}
+                  </button>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(row => (
+              <tr
+                key={row.id}
+                onClick={() => onSelect(row.id)}
+                style={{ cursor: 'pointer', background: row.id === selectedId ? '#fff7ed' : 'transparent' }}
+              >
+                <td style={cellStyle}>
+                  <div style={{ fontWeight: '500' }}>{row.domain}</div>
+                  <div style={{ fontSize: '12px', color: '#9ca3af' }}>{row.url}</div>
+                </td>
+                <td style={cellStyle}>
+                  {row.score ?? '-'}
+                  {row.scoreLabel && <div style={{ fontSize: '12px', color: '#9ca3af' }}>{row.scoreLabel}</div>}
+                </td>
+                <td style={cellStyle}>
+                  {row.lead ? (
+                    <>
+                      <div>{row.lead.email}</div>
+                      <div style={{ fontSize: '12px', color: '#9ca3af' }}>{row.lead.status}</div>
+                    </>
+                  ) : '-'}
+                </td>
+                <td style={{ ...cellStyle, whiteSpace: 'nowrap' }}>{new Date(row.submittedAt).toLocaleString()}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <p style={{ color: '#9ca3af', fontSize: '12px', marginTop: '0.5rem', marginBottom: 0 }}>
+        Showing {rows.length} of {submissions.length} submissions
+      </p>
+    </div>
+  )
+}
+
+export default SubmissionsTable
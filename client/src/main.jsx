@@ -1,6 +1,7 @@
 import React from 'react'
 import ReactDOM from 'react-dom/client'
 import App from './App.jsx'
+import AdminApp from './AdminApp.jsx'
 import './index.css'
 
 // Error boundary for the entire app
@@ -78,11 +79,14 @@ window.addEventListener('error', (event) => {
   // In production, you might want to send this to an error tracking service
 });
 
+// The admin dashboard lives under /admin, everything else is the public app
+const isAdminRoute = /^\/admin(\/|$)/.test(window.location.pathname)
+
 // Render the app with error boundary
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
     <ErrorBoundary>
-      <App />
+      {isAdminRoute ? <AdminApp /> : <App />}
     </ErrorBoundary>
   </React.StrictMode>,
 )
\ No newline at end of file
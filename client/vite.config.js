@@ -21,6 +21,7 @@ export default defineConfig({
       }
     }
   },
-  // For production build served by Express
-  base: './'
+  // For production build served by Express at the site root; absolute asset paths
+  // keep nested client routes like /report/:slug working
+  base: '/'
 })
\ No newline at end of file
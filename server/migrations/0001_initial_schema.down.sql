@@ -0,0 +1,3 @@
+-- Reverts 0001_initial_schema: website submissions
+
+DROP TABLE IF EXISTS website_submissions;
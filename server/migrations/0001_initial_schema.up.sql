@@ -0,0 +1,57 @@
+-- Website submissions: analyses, SEO audits, rubrics, cache keys and share links
+-- Migrations 0001-0006 are written idempotently (IF NOT EXISTS) so databases created
+-- before migrations existed are adopted as they are
+
+CREATE TABLE IF NOT EXISTS website_submissions (
+  id SERIAL PRIMARY KEY,
+  url VARCHAR(500) NOT NULL,
+  domain VARCHAR(255),
+
+  -- Analysis results
+  growth_score INTEGER,
+  analysis_summary TEXT,
+  analysis_categories JSONB,
+  recommendations JSONB,
+
+  -- Website metadata
+  content_length INTEGER,
+
+  -- Timestamps
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  analyzed_at TIMESTAMP
+);
+
+-- Every analysis is kept as a history record, so repeat analyses of a URL
+-- on the same day are no longer merged (spam is handled by the rate limiter)
+DROP INDEX IF EXISTS idx_submissions_url_date;
+
+-- Create other indexes for performance
+CREATE INDEX IF NOT EXISTS idx_submissions_domain ON website_submissions(domain);
+CREATE INDEX IF NOT EXISTS idx_submissions_score ON website_submissions(growth_score);
+CREATE INDEX IF NOT EXISTS idx_submissions_created ON website_submissions(created_at);
+CREATE INDEX IF NOT EXISTS idx_submissions_url ON website_submissions(url);
+CREATE INDEX IF NOT EXISTS idx_submissions_analyzed ON website_submissions(analyzed_at);
+CREATE INDEX IF NOT EXISTS idx_submissions_domain_analyzed ON website_submissions(domain, analyzed_at);
+
+-- Technical SEO audit findings
+ALTER TABLE website_submissions ADD COLUMN IF NOT EXISTS seo_audit JSONB;
+
+-- Scoring rubric the analysis was made with
+ALTER TABLE website_submissions ADD COLUMN IF NOT EXISTS rubric_id VARCHAR(50);
+ALTER TABLE website_submissions ADD COLUMN IF NOT EXISTS rubric_version VARCHAR(20);
+
+-- Adjustments made while reconciling category and overall scores
+ALTER TABLE website_submissions ADD COLUMN IF NOT EXISTS scoring_notes JSONB;
+
+-- Analysis cache lookups (see services/analysisCache.js)
+ALTER TABLE website_submissions ADD COLUMN IF NOT EXISTS normalized_url VARCHAR(500);
+ALTER TABLE website_submissions ADD COLUMN IF NOT EXISTS cache_key VARCHAR(64);
+ALTER TABLE website_submissions ADD COLUMN IF NOT EXISTS content_hash VARCHAR(64);
+ALTER TABLE website_submissions ADD COLUMN IF NOT EXISTS crawl_summary JSONB;
+CREATE INDEX IF NOT EXISTS idx_submissions_cache_key ON website_submissions(cache_key, analyzed_at);
+CREATE INDEX IF NOT EXISTS idx_submissions_content_hash ON website_submissions(content_hash, analyzed_at);
+
+-- Unguessable public id for shareable report links (existing rows get one too)
+-- gen_random_uuid() is built into PostgreSQL 13+
+ALTER TABLE website_submissions ADD COLUMN IF NOT EXISTS share_slug VARCHAR(32) UNIQUE
+  DEFAULT replace(gen_random_uuid()::text, '-', '');
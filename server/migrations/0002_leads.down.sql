@@ -0,0 +1,6 @@
+-- Reverts 0002_leads: contact capture and the lead pipeline
+
+ALTER TABLE website_submissions DROP COLUMN IF EXISTS lead_id;
+DROP TABLE IF EXISTS lead_status_changes;
+DROP TABLE IF EXISTS lead_notes;
+DROP TABLE IF EXISTS leads;
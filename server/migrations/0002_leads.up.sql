@@ -0,0 +1,42 @@
+-- Contact capture and the lead pipeline
+
+-- People who left their contact details, one row per email address
+CREATE TABLE IF NOT EXISTS leads (
+  id SERIAL PRIMARY KEY,
+  email VARCHAR(254) NOT NULL UNIQUE,
+  name VARCHAR(100),
+  company VARCHAR(200),
+  consent BOOLEAN NOT NULL DEFAULT FALSE,
+  consent_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Analyses a lead asked to be contacted about
+ALTER TABLE website_submissions ADD COLUMN IF NOT EXISTS lead_id INTEGER REFERENCES leads(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_submissions_lead ON website_submissions(lead_id);
+
+-- Sales pipeline: status, owner, notes and status history of each lead
+ALTER TABLE leads ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'new';
+ALTER TABLE leads ADD COLUMN IF NOT EXISTS owner VARCHAR(100);
+CREATE INDEX IF NOT EXISTS idx_leads_status ON leads(status, updated_at);
+
+CREATE TABLE IF NOT EXISTS lead_notes (
+  id SERIAL PRIMARY KEY,
+  lead_id INTEGER NOT NULL REFERENCES leads(id) ON DELETE CASCADE,
+  body TEXT NOT NULL,
+  author VARCHAR(100),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS idx_lead_notes_lead ON lead_notes(lead_id, created_at);
+
+CREATE TABLE IF NOT EXISTS lead_status_changes (
+  id SERIAL PRIMARY KEY,
+  lead_id INTEGER NOT NULL REFERENCES leads(id) ON DELETE CASCADE,
+  from_status VARCHAR(20),
+  to_status VARCHAR(20) NOT NULL,
+  changed_by VARCHAR(100),
+  changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS idx_lead_status_changes_lead ON lead_status_changes(lead_id, changed_at);
+CREATE INDEX IF NOT EXISTS idx_lead_status_changes_status ON lead_status_changes(to_status, changed_at);
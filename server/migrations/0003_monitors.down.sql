@@ -0,0 +1,4 @@
+-- Reverts 0003_monitors: scheduled site monitoring
+
+DROP TABLE IF EXISTS monitor_runs;
+DROP TABLE IF EXISTS monitors;
@@ -0,0 +1,33 @@
+-- Scheduled site monitoring
+
+-- Sites re-analyzed on a schedule (see services/monitor.js)
+CREATE TABLE IF NOT EXISTS monitors (
+  id SERIAL PRIMARY KEY,
+  url VARCHAR(500) NOT NULL,
+  rubric_id VARCHAR(50),
+  page_options JSONB,
+  frequency VARCHAR(20) NOT NULL,
+  interval_minutes INTEGER NOT NULL,
+  alert_threshold INTEGER NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'active',
+  next_run_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  last_run_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS idx_monitors_due ON monitors(status, next_run_at);
+
+-- One row per scheduled re-analysis, with the score drops it raised
+CREATE TABLE IF NOT EXISTS monitor_runs (
+  id SERIAL PRIMARY KEY,
+  monitor_id INTEGER NOT NULL REFERENCES monitors(id) ON DELETE CASCADE,
+  submission_id INTEGER REFERENCES website_submissions(id) ON DELETE SET NULL,
+  status VARCHAR(20) NOT NULL,
+  score INTEGER,
+  categories JSONB,
+  alerts JSONB,
+  error TEXT,
+  started_at TIMESTAMP NOT NULL,
+  finished_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS idx_monitor_runs_monitor ON monitor_runs(monitor_id, started_at);
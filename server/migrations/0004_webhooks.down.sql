@@ -0,0 +1,5 @@
+-- Reverts 0004_webhooks: outgoing webhooks
+
+DROP TABLE IF EXISTS webhook_attempts;
+DROP TABLE IF EXISTS webhook_deliveries;
+DROP TABLE IF EXISTS webhook_subscriptions;
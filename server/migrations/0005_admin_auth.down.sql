@@ -0,0 +1,5 @@
+-- Reverts 0005_admin_auth: admin accounts, sessions and audit log
+
+DROP TABLE IF EXISTS admin_audit_log;
+DROP TABLE IF EXISTS admin_sessions;
+DROP TABLE IF EXISTS admin_users;
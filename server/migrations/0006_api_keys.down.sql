@@ -0,0 +1,4 @@
+-- Reverts 0006_api_keys: API keys and usage counters
+
+DROP TABLE IF EXISTS api_key_usage;
+DROP TABLE IF EXISTS api_keys;
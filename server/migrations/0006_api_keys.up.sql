@@ -0,0 +1,25 @@
+-- API keys for programmatic access (see services/apiKeys.js)
+
+CREATE TABLE IF NOT EXISTS api_keys (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  prefix VARCHAR(20) NOT NULL,
+  key_hash CHAR(64) NOT NULL UNIQUE,
+  rate_limit_per_minute INTEGER NOT NULL,
+  daily_quota INTEGER NOT NULL,
+  monthly_quota INTEGER NOT NULL,
+  created_by VARCHAR(254),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  last_used_at TIMESTAMP,
+  revoked_at TIMESTAMP
+);
+
+-- One counter per key and minute, day or month window
+CREATE TABLE IF NOT EXISTS api_key_usage (
+  key_id INTEGER NOT NULL REFERENCES api_keys(id) ON DELETE CASCADE,
+  window_name VARCHAR(10) NOT NULL,
+  window_start TIMESTAMP NOT NULL,
+  count INTEGER NOT NULL DEFAULT 0,
+  PRIMARY KEY (key_id, window_name, window_start)
+);
@@ -0,0 +1,13 @@
+-- Reverts 0007_attribution: visitor attribution of analyses
+
+ALTER TABLE website_submissions
+  DROP COLUMN IF EXISTS utm_source,
+  DROP COLUMN IF EXISTS utm_medium,
+  DROP COLUMN IF EXISTS utm_campaign,
+  DROP COLUMN IF EXISTS utm_term,
+  DROP COLUMN IF EXISTS utm_content,
+  DROP COLUMN IF EXISTS landing_referrer,
+  DROP COLUMN IF EXISTS referrer_host,
+  DROP COLUMN IF EXISTS referrer,
+  DROP COLUMN IF EXISTS user_agent,
+  DROP COLUMN IF EXISTS ip_prefix;
@@ -0,0 +1,15 @@
+-- Visitor attribution of analyses
+
+-- UTM parameters and referrer of the landing page the visitor arrived on (see services/attribution.js)
+ALTER TABLE website_submissions ADD COLUMN utm_source VARCHAR(200);
+ALTER TABLE website_submissions ADD COLUMN utm_medium VARCHAR(200);
+ALTER TABLE website_submissions ADD COLUMN utm_campaign VARCHAR(200);
+ALTER TABLE website_submissions ADD COLUMN utm_term VARCHAR(200);
+ALTER TABLE website_submissions ADD COLUMN utm_content VARCHAR(200);
+ALTER TABLE website_submissions ADD COLUMN landing_referrer VARCHAR(500);
+ALTER TABLE website_submissions ADD COLUMN referrer_host VARCHAR(255);
+
+-- Request details; the IP address is truncated (last IPv4 octet, or all but a /48 of IPv6, zeroed)
+ALTER TABLE website_submissions ADD COLUMN referrer VARCHAR(500);
+ALTER TABLE website_submissions ADD COLUMN user_agent VARCHAR(255);
+ALTER TABLE website_submissions ADD COLUMN ip_prefix VARCHAR(45);
@@ -0,0 +1,4 @@
+-- Reverts 0008_submission_origin: submission origins
+
+DROP INDEX IF EXISTS idx_submissions_origin;
+ALTER TABLE website_submissions DROP COLUMN IF EXISTS origin;
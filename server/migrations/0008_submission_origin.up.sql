@@ -0,0 +1,5 @@
+-- Why each analysis was made: 'visitor' analyses are leads; 'competitor' analyses were made for a
+-- visitor's comparison and are left out of lead statistics, listings, exports and the attribution report
+
+ALTER TABLE website_submissions ADD COLUMN origin VARCHAR(20) NOT NULL DEFAULT 'visitor';
+CREATE INDEX idx_submissions_origin ON website_submissions(origin, created_at);
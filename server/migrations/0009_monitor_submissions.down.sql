@@ -0,0 +1,3 @@
+-- Reverts 0009_monitor_submissions: the 'monitor' origin of earlier monitor analyses
+
+UPDATE website_submissions SET origin = 'visitor' WHERE origin = 'monitor';
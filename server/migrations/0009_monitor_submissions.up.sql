@@ -0,0 +1,6 @@
+-- Scheduled re-analyses are not leads: mark the earlier ones, found through their monitor runs,
+-- with the 'monitor' origin
+
+UPDATE website_submissions
+SET origin = 'monitor'
+WHERE id IN (SELECT submission_id FROM monitor_runs WHERE submission_id IS NOT NULL);
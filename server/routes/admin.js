@@ -1,28 +1,204 @@
 const express = require('express');
+const rateLimit = require('express-rate-limit');
 const databaseService = require('../services/database');
+const monitorService = require('../services/monitor');
+const webhookService = require('../services/webhooks');
+const leadService = require('../services/leads');
+const reportService = require('../services/reports');
+const adminAuthService = require('../services/adminAuth');
+const apiKeyService = require('../services/apiKeys');
+const {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  parseSubmissionFilters,
+  encodeCursor,
+  decodeCursor
+} = require('../services/submissionFilters');
+const { EXPORT_FORMATS, createExportWriter } = require('../services/submissionExport');
+const rubricService = require('../services/rubrics');
+const { normalizePageOptions } = require('../services/funnelPages');
+const { ATTRIBUTION_DIMENSIONS } = require('../services/attribution');
 
 const router = express.Router();
 
-// Simple admin authentication
-// TODO: Replace with proper auth system in production
-const ADMIN_TOKEN = process.env.ADMIN_TOKEN || 'growth-analyzer-admin-2024';
+// Same URL check as the analyze endpoint
+const URL_REGEX = /^https?:\/\/(www\.)?[-a-zA-Z0-9@:%._\+~#=]{1,256}\.[a-zA-Z0-9()]{1,6}\b([-a-zA-Z0-9()@:%_\+.~#?&//=]*)$/;
+
+// Default drop (in points) that raises a monitor alert
+const DEFAULT_ALERT_THRESHOLD = parseInt(process.env.MONITOR_ALERT_THRESHOLD) || 10;
 
 /**
- * Middleware to check admin authentication
+ * Middleware requiring a signed-in admin with at least the given role (viewer < editor < owner).
+ * The session's account is available as req.admin.
+ * @param {string} role - Minimum role
  */
-const requireAdmin = (req, res, next) => {
-  const token = req.query.token || req.headers.authorization?.replace('Bearer ', '');
-  
-  if (!token || token !== ADMIN_TOKEN) {
-    return res.status(401).json({ 
-      error: 'Unauthorized',
-      message: 'Admin access required. Add ?token=YOUR_TOKEN to the URL.'
+const requireRole = (role) => async (req, res, next) => {
+  try {
+    const admin = await adminAuthService.getSession(adminAuthService.getSessionToken(req));
+
+    if (!admin) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Sign in to the admin dashboard to continue'
+      });
+    }
+
+    if (!adminAuthService.hasRole(admin.role, role)) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: `This action requires the ${role} role`
+      });
+    }
+
+    req.admin = admin;
+    next();
+
+  } catch (error) {
+    console.error('❌ Admin session error:', error);
+    res.status(500).json({
+      error: 'Authentication unavailable',
+      message: 'Unable to check the admin session'
     });
   }
-  
+};
+
+// Any signed-in admin (read-only access)
+const requireAdmin = requireRole('viewer');
+
+// Request fields never written to the audit log
+const AUDIT_REDACTED_FIELDS = ['password', 'secret'];
+
+/**
+ * Middleware recording a successful request in the admin audit log
+ * @param {string} action - Audit action, e.g. 'lead.update'
+ */
+const audited = (action) => (req, res, next) => {
+  const target = req.params.id ?? null;
+  const input = req.method === 'GET' ? req.query : req.body;
+  const details = Object.fromEntries(Object.entries(input || {})
+    .filter(([key]) => !AUDIT_REDACTED_FIELDS.includes(key)));
+
+  res.on('finish', () => {
+    if (res.statusCode < 400) {
+      adminAuthService.audit({ user: req.admin, action, target, details, ip: req.ip });
+    }
+  });
+
   next();
 };
 
+/**
+ * Normalized email of a sign-in attempt, as accounts are looked up
+ * @param {Object} req - Express request
+ * @returns {string} - Lowercase email
+ */
+const loginEmail = (req) => String(req.body?.email || '').trim().toLowerCase();
+
+// Login throttling: failed attempts per IP and email, per IP across all emails, and per email
+// across all IPs (so spreading guesses over many addresses doesn't help)
+const loginLimiters = [
+  { max: 5, keyGenerator: (req) => `${req.ip}:${loginEmail(req)}` },
+  { max: 20, keyGenerator: (req) => req.ip },
+  { max: 10, keyGenerator: (req) => `email:${loginEmail(req)}` }
+].map(options => rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  ...options,
+  skipSuccessfulRequests: true,
+  message: {
+    error: 'Too many login attempts',
+    message: 'Too many failed sign-ins, please try again in 15 minutes.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+}));
+
+/**
+ * POST /api/admin/auth/login - Sign in with email and password; sets the httpOnly session cookie
+ */
+router.post('/auth/login', loginLimiters, async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    if (typeof email !== 'string' || typeof password !== 'string' || !email.trim() || !password) {
+      return res.status(400).json({
+        error: 'Invalid login',
+        message: 'email and password are required'
+      });
+    }
+
+    const session = await adminAuthService.login(email, password, {
+      ip: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    if (!session) {
+      adminAuthService.audit({ email: email.trim().toLowerCase().slice(0, 254), action: 'auth.login_failed', ip: req.ip });
+      return res.status(401).json({
+        error: 'Invalid credentials',
+        message: 'The email or password is incorrect'
+      });
+    }
+
+    console.log(`🔐 Admin signed in: ${session.user.email} (${session.user.role})`);
+    adminAuthService.audit({ user: session.user, action: 'auth.login', ip: req.ip });
+
+    res.setHeader('Set-Cookie', adminAuthService.sessionCookie(session.token, session.expiresAt));
+    res.json({
+      success: true,
+      user: adminAuthService.toPublic(session.user),
+      expiresAt: session.expiresAt
+    });
+
+  } catch (error) {
+    console.error('❌ Admin login error:', error);
+    res.status(500).json({
+      error: 'Login failed',
+      message: 'Unable to sign in right now'
+    });
+  }
+});
+
+/**
+ * POST /api/admin/auth/logout - End the session and clear the cookie
+ */
+router.post('/auth/logout', async (req, res) => {
+  try {
+    const token = adminAuthService.getSessionToken(req);
+    const admin = await adminAuthService.getSession(token);
+
+    await adminAuthService.logout(token);
+    if (admin) {
+      adminAuthService.audit({ user: admin, action: 'auth.logout', ip: req.ip });
+    }
+
+    res.setHeader('Set-Cookie', adminAuthService.sessionCookie(''));
+    res.json({ success: true });
+
+  } catch (error) {
+    console.error('❌ Admin logout error:', error);
+    res.status(500).json({
+      error: 'Logout failed',
+      message: 'Unable to end the session'
+    });
+  }
+});
+
+/**
+ * GET /api/admin/auth/me - The signed-in account
+ */
+router.get('/auth/me', requireAdmin, (req, res) => {
+  res.json({
+    success: true,
+    user: {
+      id: req.admin.id,
+      email: req.admin.email,
+      name: req.admin.name,
+      role: req.admin.role
+    },
+    expiresAt: req.admin.expires_at
+  });
+});
+
 /**
  * GET /api/admin/leads - View lead statistics and recent submissions
  */
@@ -44,7 +220,12 @@ router.get('/leads', requireAdmin, async (req, res) => {
           goodScores: parseInt(stats.overview.good_scores) || 0,
           poorScores: parseInt(stats.overview.poor_scores) || 0,
           last24Hours: parseInt(stats.overview.last_24h) || 0,
-          last7Days: parseInt(stats.overview.last_7d) || 0
+          last7Days: parseInt(stats.overview.last_7d) || 0,
+          contacts: parseInt(stats.overview.contacts) || 0,
+          leadStatuses: Object.fromEntries(leadService.LEAD_STATUSES.map(status => [
+            status,
+            parseInt(stats.overview.lead_statuses?.[status]) || 0
+          ]))
         },
         recentSubmissions: stats.recentSubmissions.map(submission => ({
           domain: submission.domain,
@@ -52,7 +233,26 @@ router.get('/leads', requireAdmin, async (req, res) => {
           analyzedAt: submission.created_at,
           scoreCategory: submission.growth_score >= 80 ? 'Excellent' :
                        submission.growth_score >= 65 ? 'Good' :
-                       submission.growth_score >= 45 ? 'Fair' : 'Poor'
+                       submission.growth_score >= 45 ? 'Fair' : 'Poor',
+          contact: submission.contact_email ? {
+            leadId: submission.lead_id,
+            status: submission.lead_status,
+            owner: submission.lead_owner,
+            name: submission.contact_name,
+            email: submission.contact_email,
+            company: submission.contact_company,
+            consent: submission.contact_consent
+          } : null
+        })),
+        scoreDistribution: Array.from({ length: 10 }, (_, bucket) => ({
+          min: bucket * 10,
+          max: bucket === 9 ? 100 : bucket * 10 + 9,
+          count: parseInt(stats.scoreDistribution.find(row => parseInt(row.bucket) === bucket)?.count) || 0
+        })),
+        submissionsOverTime: stats.submissionsPerDay.map(day => ({
+          date: day.date,
+          count: parseInt(day.count) || 0,
+          averageScore: day.avg_score === null ? null : parseFloat(day.avg_score)
         }))
       }
     });
@@ -67,54 +267,1170 @@ router.get('/leads', requireAdmin, async (req, res) => {
 });
 
 /**
- * GET /api/admin/leads/export - Export leads as CSV
+ * GET /api/admin/submissions - Analyses, filtered and sorted, with cursor pagination
+ * Filters: domain (substring), minScore, maxScore, category (excellent|good|fair|poor),
+ * from, to (submission date), q (summary text), origin (visitor|competitor|monitor, default visitor);
+ * sort=created|score|domain, order=asc|desc, limit, cursor (nextCursor of the previous page)
  */
-router.get('/leads/export', requireAdmin, async (req, res) => {
+router.get('/submissions', requireAdmin, async (req, res) => {
   try {
-    console.log('📄 Admin exporting leads as CSV');
-    
-    // Get all submissions for export
-    const exportQuery = `
-      SELECT 
-        domain,
-        url,
-        growth_score,
-        analysis_summary,
-        created_at,
-        analyzed_at
-      FROM website_submissions 
-      ORDER BY created_at DESC
-    `;
-    
-    const result = await databaseService.pool.query(exportQuery);
-    const submissions = result.rows;
-    
-    // Generate CSV
-    const csvHeader = 'Domain,URL,Score,Summary,Submitted,Analyzed\n';
-    const csvRows = submissions.map(row => {
-      return [
-        row.domain,
-        row.url,
-        row.growth_score,
-        `"${row.analysis_summary?.substring(0, 100)?.replace(/"/g, '""') || ''}"`,
-        row.created_at?.toISOString(),
-        row.analyzed_at?.toISOString()
-      ].join(',');
-    }).join('\n');
-    
-    const csv = csvHeader + csvRows;
-    
-    // Send as downloadable file
-    res.setHeader('Content-Type', 'text/csv');
-    res.setHeader('Content-Disposition', `attachment; filename="growth-analyzer-leads-${new Date().toISOString().split('T')[0]}.csv"`);
-    res.send(csv);
-    
+    const { filters, error } = parseSubmissionFilters(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid filters',
+        message: error
+      });
+    }
+
+    const after = req.query.cursor ? decodeCursor(req.query.cursor, filters) : null;
+    if (req.query.cursor && !after) {
+      return res.status(400).json({
+        error: 'Invalid cursor',
+        message: 'The cursor is malformed or belongs to a different sort order'
+      });
+    }
+
+    const limit = parseLimit(req.query.limit, DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+    const rows = await databaseService.listSubmissions(filters, { after, limit });
+    const page = rows.slice(0, limit);
+
+    res.json({
+      success: true,
+      submissions: page.map(row => ({
+        id: row.id,
+        url: row.url,
+        domain: row.domain,
+        score: row.growth_score,
+        scoreLabel: reportService.getScoreLabel(row.growth_score),
+        summary: row.analysis_summary,
+        rubric: row.rubric_id,
+        submittedAt: row.created_at,
+        origin: row.origin,
+        lead: row.lead_id ? { id: row.lead_id, email: row.contact_email, status: row.lead_status } : null
+      })),
+      nextCursor: rows.length > limit ? encodeCursor(filters, page[page.length - 1]) : null
+    });
+
+  } catch (error) {
+    console.error('❌ Submission list error:', error);
+    res.status(500).json({
+      error: 'Submissions unavailable',
+      message: 'Unable to fetch submissions'
+    });
+  }
+});
+
+/**
+ * GET /api/admin/submissions/:id - A stored analysis in full, with its lead
+ */
+router.get('/submissions/:id(\\d+)', requireAdmin, async (req, res) => {
+  try {
+    const row = await databaseService.getSubmissionById(parseInt(req.params.id));
+
+    if (!row) {
+      return res.status(404).json({
+        error: 'Submission not found',
+        message: 'No submission exists with this id'
+      });
+    }
+
+    res.json({
+      success: true,
+      id: row.id,
+      ...reportService.toResponse(row),
+      lead: row.lead_id ? {
+        id: row.lead_id,
+        name: row.contact_name,
+        email: row.contact_email,
+        company: row.contact_company,
+        status: row.lead_status,
+        owner: row.lead_owner
+      } : null,
+      attribution: {
+        utmSource: row.utm_source,
+        utmMedium: row.utm_medium,
+        utmCampaign: row.utm_campaign,
+        utmTerm: row.utm_term,
+        utmContent: row.utm_content,
+        landingReferrer: row.landing_referrer,
+        referrer: row.referrer,
+        userAgent: row.user_agent,
+        ipPrefix: row.ip_prefix
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Submission lookup error:', error);
+    res.status(500).json({
+      error: 'Submission unavailable',
+      message: 'Unable to fetch this submission'
+    });
+  }
+});
+
+/**
+ * Parse an optional page size or day count from the query string, clamped to 1..max
+ * @param {string|undefined} value - Query value
+ * @param {number} fallback - Value when absent or not a number
+ * @param {number} max - Largest value allowed
+ * @returns {number} - Whole number between 1 and max
+ */
+const parseLimit = (value, fallback, max) => Math.min(Math.max(parseInt(value) || fallback, 1), max);
+
+/**
+ * Parse an optional date filter from the query string
+ * @param {string|undefined} value - Query value
+ * @returns {Date|null|undefined} - Date, null when absent, undefined when invalid
+ */
+const parseDateFilter = (value) => {
+  if (value === undefined || value === '') return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? undefined : date;
+};
+
+/**
+ * Trim an optional free-text field
+ * @param {*} value - Request value
+ * @param {number} maxLength - Longest accepted value
+ * @returns {string|null|undefined} - Trimmed text, null when empty, undefined when invalid
+ */
+const cleanText = (value, maxLength) => {
+  if (value === null || value === undefined) return null;
+  if (typeof value !== 'string' || value.trim().length > maxLength) return undefined;
+  return value.trim() || null;
+};
+
+/**
+ * GET /api/admin/leads/contacts - Leads with contact details, filterable by status and owner
+ */
+router.get('/leads/contacts', requireAdmin, async (req, res) => {
+  try {
+    const { status, owner } = req.query;
+    const limit = parseLimit(req.query.limit, 50, 200);
+
+    if (status !== undefined && !leadService.LEAD_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: 'Invalid status',
+        message: `status must be one of: ${leadService.LEAD_STATUSES.join(', ')}`
+      });
+    }
+
+    const leads = await databaseService.listLeads({ status: status || null, owner: owner || null, limit });
+
+    res.json({
+      success: true,
+      leads: leads.map(lead => leadService.toAdmin(lead))
+    });
+
+  } catch (error) {
+    console.error('❌ Lead list error:', error);
+    res.status(500).json({
+      error: 'Leads unavailable',
+      message: 'Unable to fetch leads'
+    });
+  }
+});
+
+/**
+ * GET /api/admin/leads/status-history - Status changes across leads
+ * Filters: lead, status (new status), changedBy, since, until, limit
+ */
+router.get('/leads/status-history', requireAdmin, async (req, res) => {
+  try {
+    const { lead, status, changedBy } = req.query;
+    const since = parseDateFilter(req.query.since);
+    const until = parseDateFilter(req.query.until);
+    const limit = parseLimit(req.query.limit, 100, 500);
+
+    if (status !== undefined && !leadService.LEAD_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: 'Invalid status',
+        message: `status must be one of: ${leadService.LEAD_STATUSES.join(', ')}`
+      });
+    }
+
+    if (since === undefined || until === undefined) {
+      return res.status(400).json({
+        error: 'Invalid date',
+        message: 'since and until must be ISO 8601 dates'
+      });
+    }
+
+    const changes = await databaseService.getLeadStatusChanges({
+      leadId: parseInt(lead) || null,
+      status: status || null,
+      changedBy: changedBy || null,
+      since,
+      until,
+      limit
+    });
+
+    res.json({
+      success: true,
+      history: changes.map(change => leadService.toAdminStatusChange(change))
+    });
+
+  } catch (error) {
+    console.error('❌ Lead history error:', error);
+    res.status(500).json({
+      error: 'History unavailable',
+      message: 'Unable to fetch lead status history'
+    });
+  }
+});
+
+/**
+ * GET /api/admin/attribution - Analyses, contacts and average score per traffic source
+ * Query: groupBy (comma-separated source, medium, campaign; default all three), from, to
+ */
+router.get('/attribution', requireAdmin, async (req, res) => {
+  try {
+    const groupBy = String(req.query.groupBy || Object.keys(ATTRIBUTION_DIMENSIONS).join(','))
+      .split(',')
+      .map(dimension => dimension.trim())
+      .filter(Boolean);
+    const from = parseDateFilter(req.query.from);
+    const to = parseDateFilter(req.query.to);
+
+    if (groupBy.length === 0 || groupBy.some(dimension => !ATTRIBUTION_DIMENSIONS[dimension]) ||
+        new Set(groupBy).size !== groupBy.length) {
+      return res.status(400).json({
+        error: 'Invalid groupBy',
+        message: `groupBy must list distinct dimensions out of: ${Object.keys(ATTRIBUTION_DIMENSIONS).join(', ')}`
+      });
+    }
+
+    if (from === undefined || to === undefined) {
+      return res.status(400).json({
+        error: 'Invalid date',
+        message: 'from and to must be ISO 8601 dates'
+      });
+    }
+
+    const rows = await databaseService.getAttributionReport({ groupBy, from, to });
+
+    res.json({
+      success: true,
+      groupBy,
+      rows: rows.map(row => ({
+        ...Object.fromEntries(groupBy.map(dimension => [dimension, row[dimension]])),
+        submissions: row.submissions,
+        contacts: row.contacts,
+        averageScore: row.average_score
+      }))
+    });
+
+  } catch (error) {
+    console.error('❌ Attribution report error:', error);
+    res.status(500).json({
+      error: 'Attribution report unavailable',
+      message: 'Unable to build the attribution report'
+    });
+  }
+});
+
+/**
+ * GET /api/admin/leads/:id - Lead with its analyses, notes and status history
+ */
+router.get('/leads/:id(\\d+)', requireAdmin, async (req, res) => {
+  try {
+    const lead = await databaseService.getLead(parseInt(req.params.id));
+
+    if (!lead) {
+      return res.status(404).json({
+        error: 'Lead not found',
+        message: 'No lead exists with this id'
+      });
+    }
+
+    res.json({
+      success: true,
+      lead: leadService.toAdmin(lead)
+    });
+
+  } catch (error) {
+    console.error('❌ Lead lookup error:', error);
+    res.status(500).json({
+      error: 'Lead unavailable',
+      message: 'Unable to fetch this lead'
+    });
+  }
+});
+
+/**
+ * PATCH /api/admin/leads/:id - Change a lead's status or owner (owner null unassigns)
+ */
+router.patch('/leads/:id(\\d+)', requireRole('editor'), audited('lead.update'), async (req, res) => {
+  try {
+    const { status } = req.body;
+    const changes = {};
+
+    if (status !== undefined) {
+      if (!leadService.LEAD_STATUSES.includes(status)) {
+        return res.status(400).json({
+          error: 'Invalid status',
+          message: `status must be one of: ${leadService.LEAD_STATUSES.join(', ')}`
+        });
+      }
+      changes.status = status;
+    }
+
+    if ('owner' in req.body) {
+      changes.owner = cleanText(req.body.owner, 100);
+      if (changes.owner === undefined) {
+        return res.status(400).json({
+          error: 'Invalid owner',
+          message: 'owner must be text of at most 100 characters, or null'
+        });
+      }
+    }
+
+    if (Object.keys(changes).length === 0) {
+      return res.status(400).json({
+        error: 'Invalid lead update',
+        message: 'Provide a status and/or owner'
+      });
+    }
+
+    // Status changes are attributed to the signed-in admin
+    const lead = await databaseService.updateLead(parseInt(req.params.id), changes, req.admin.email);
+
+    if (!lead) {
+      return res.status(404).json({
+        error: 'Lead not found',
+        message: 'No lead exists with this id'
+      });
+    }
+
+    console.log(`🗂️  Lead ${lead.id} updated (status: ${lead.status}, owner: ${lead.owner || 'unassigned'})`);
+
+    res.json({
+      success: true,
+      lead: leadService.toAdmin(lead)
+    });
+
+  } catch (error) {
+    console.error('❌ Lead update error:', error);
+    res.status(500).json({
+      error: 'Lead not updated',
+      message: 'Unable to update this lead'
+    });
+  }
+});
+
+/**
+ * POST /api/admin/leads/:id/notes - Add a timestamped note to a lead
+ */
+router.post('/leads/:id(\\d+)/notes', requireRole('editor'), audited('lead.note'), async (req, res) => {
+  try {
+    const body = cleanText(req.body.body, 5000);
+
+    if (!body) {
+      return res.status(400).json({
+        error: 'Invalid note',
+        message: 'body is required (at most 5000 characters)'
+      });
+    }
+
+    const note = await databaseService.addLeadNote(parseInt(req.params.id), { body, author: req.admin.email });
+
+    if (!note) {
+      return res.status(404).json({
+        error: 'Lead not found',
+        message: 'No lead exists with this id'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      note: leadService.toAdminNote(note)
+    });
+
+  } catch (error) {
+    console.error('❌ Lead note error:', error);
+    res.status(500).json({
+      error: 'Note not saved',
+      message: 'Unable to add a note to this lead'
+    });
+  }
+});
+
+/**
+ * GET /api/admin/leads/export - Stream analyses with categories, recommendations and contact details
+ * Accepts the filters and sort of GET /api/admin/submissions, plus format=csv|ndjson|json (default csv)
+ */
+router.get('/leads/export', requireRole('editor'), audited('leads.export'), async (req, res) => {
+  const format = String(req.query.format || 'csv').toLowerCase();
+  if (!EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({
+      error: 'Invalid format',
+      message: `format must be one of: ${EXPORT_FORMATS.join(', ')}`
+    });
+  }
+
+  const { filters, error } = parseSubmissionFilters(req.query);
+  if (error) {
+    return res.status(400).json({
+      error: 'Invalid filters',
+      message: error
+    });
+  }
+
+  console.log(`📄 Admin exporting leads as ${format.toUpperCase()}`);
+
+  const writer = createExportWriter(format);
+  const rows = databaseService.streamSubmissions(filters);
+  let exported = 0;
+
+  try {
+    // Nothing is sent until the first batch arrives, so query errors still get a JSON response
+    const first = await rows.next();
+
+    res.setHeader('Content-Type', writer.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="growth-analyzer-leads-${new Date().toISOString().split('T')[0]}.${writer.extension}"`);
+    res.write(writer.start());
+
+    let batch = first;
+    while (!batch.done) {
+      exported += batch.value.length;
+
+      // Respect backpressure, and stop reading (closing the cursor) if the client went away
+      if (!res.write(writer.rows(batch.value)) && !res.destroyed) {
+        await new Promise(resolve => {
+          res.once('drain', resolve);
+          res.once('close', resolve);
+        });
+      }
+      if (res.destroyed) {
+        console.log(`⚠️  Export aborted by the client after ${exported} rows`);
+        return;
+      }
+
+      batch = await rows.next();
+    }
+
+    res.end(writer.end());
+    console.log(`✅ Exported ${exported} rows as ${format.toUpperCase()}`);
+
   } catch (error) {
     console.error('❌ Export error:', error);
+
+    if (res.headersSent) {
+      // A truncated file must not look complete
+      return res.destroy();
+    }
     res.status(500).json({
       error: 'Export failed',
       message: 'Unable to export lead data'
     });
+  } finally {
+    await rows.return();
+  }
+});
+
+/**
+ * Validate the frequency and alert threshold of a monitor request
+ * @param {Object} body - Request body
+ * @returns {string|null} - Error message, or null if valid
+ */
+const validateMonitorSettings = ({ frequency, alertThreshold }) => {
+  if (frequency !== undefined && !monitorService.MONITOR_FREQUENCIES[frequency]) {
+    return `frequency must be one of: ${Object.keys(monitorService.MONITOR_FREQUENCIES).join(', ')}`;
+  }
+
+  if (alertThreshold !== undefined && (!Number.isInteger(alertThreshold) || alertThreshold < 1 || alertThreshold > 100)) {
+    return 'alertThreshold must be a whole number between 1 and 100';
+  }
+
+  return null;
+};
+
+/**
+ * GET /api/admin/monitors - List monitored sites with their last run
+ */
+router.get('/monitors', requireAdmin, async (req, res) => {
+  try {
+    const monitors = await databaseService.listMonitors();
+
+    res.json({
+      success: true,
+      monitors: monitors.map(monitor => monitorService.toPublic(monitor))
+    });
+
+  } catch (error) {
+    console.error('❌ Monitor list error:', error);
+    res.status(500).json({
+      error: 'Monitors unavailable',
+      message: 'Unable to fetch monitored sites'
+    });
+  }
+});
+
+/**
+ * POST /api/admin/monitors - Start monitoring a site
+ */
+router.post('/monitors', requireRole('editor'), audited('monitor.create'), async (req, res) => {
+  try {
+    const { url, frequency = 'daily', alertThreshold = DEFAULT_ALERT_THRESHOLD, rubric, pages } = req.body;
+
+    if (!url || !URL_REGEX.test(url)) {
+      return res.status(400).json({
+        error: url ? 'Invalid URL format' : 'URL is required',
+        message: 'Please provide a valid website URL (including http:// or https://)'
+      });
+    }
+
+    const settingsError = validateMonitorSettings({ frequency, alertThreshold });
+    if (settingsError) {
+      return res.status(400).json({
+        error: 'Invalid monitor settings',
+        message: settingsError
+      });
+    }
+
+    const pageOptions = normalizePageOptions(pages);
+    if (pageOptions.error) {
+      return res.status(400).json({
+        error: 'Invalid page options',
+        message: pageOptions.error
+      });
+    }
+
+    if (rubric !== undefined && !rubricService.get(rubric)) {
+      return res.status(400).json({
+        error: 'Unknown rubric',
+        message: `Choose one of: ${rubricService.list().map(item => item.id).join(', ')}`
+      });
+    }
+
+    const monitor = await databaseService.createMonitor({
+      url,
+      rubricId: rubric || null,
+      pageOptions,
+      frequency,
+      intervalMinutes: monitorService.MONITOR_FREQUENCIES[frequency],
+      alertThreshold
+    });
+
+    console.log(`👀 Admin started monitoring ${url} (${frequency}, alert threshold ${alertThreshold})`);
+
+    res.status(201).json({
+      success: true,
+      monitor: monitorService.toPublic(monitor)
+    });
+
+  } catch (error) {
+    console.error('❌ Monitor create error:', error);
+    res.status(500).json({
+      error: 'Monitor not created',
+      message: 'Unable to start monitoring this site'
+    });
+  }
+});
+
+/**
+ * PATCH /api/admin/monitors/:id - Pause or resume a monitor, or change its frequency or threshold
+ */
+router.patch('/monitors/:id', requireRole('editor'), audited('monitor.update'), async (req, res) => {
+  try {
+    const { status, frequency, alertThreshold } = req.body;
+
+    if (status !== undefined && !monitorService.MONITOR_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: 'Invalid monitor settings',
+        message: `status must be one of: ${monitorService.MONITOR_STATUSES.join(', ')}`
+      });
+    }
+
+    const settingsError = validateMonitorSettings({ frequency, alertThreshold });
+    if (settingsError) {
+      return res.status(400).json({
+        error: 'Invalid monitor settings',
+        message: settingsError
+      });
+    }
+
+    const monitor = await databaseService.updateMonitor(parseInt(req.params.id) || 0, {
+      status,
+      frequency,
+      intervalMinutes: frequency ? monitorService.MONITOR_FREQUENCIES[frequency] : null,
+      alertThreshold
+    });
+
+    if (!monitor) {
+      return res.status(404).json({
+        error: 'Monitor not found',
+        message: 'No monitor exists with this id'
+      });
+    }
+
+    console.log(`👀 Admin updated monitor ${monitor.id} (${monitor.status})`);
+
+    res.json({
+      success: true,
+      monitor: monitorService.toPublic(monitor)
+    });
+
+  } catch (error) {
+    console.error('❌ Monitor update error:', error);
+    res.status(500).json({
+      error: 'Monitor not updated',
+      message: 'Unable to update this monitor'
+    });
+  }
+});
+
+/**
+ * GET /api/admin/monitors/:id/runs - Latest runs of a monitor with their alerts
+ */
+router.get('/monitors/:id/runs', requireAdmin, async (req, res) => {
+  try {
+    const limit = parseLimit(req.query.limit, 20, 100);
+    const runs = await databaseService.getMonitorRuns(parseInt(req.params.id) || 0, limit);
+
+    res.json({
+      success: true,
+      runs: runs.map(run => monitorService.toPublicRun(run))
+    });
+
+  } catch (error) {
+    console.error('❌ Monitor runs error:', error);
+    res.status(500).json({
+      error: 'Monitor runs unavailable',
+      message: 'Unable to fetch runs for this monitor'
+    });
+  }
+});
+
+/**
+ * Validate the URL and events of a webhook subscription request
+ * @param {Object} body - Request body
+ * @returns {string|null} - Error message, or null if valid
+ */
+const validateWebhookSettings = ({ url, events, secret, active }) => {
+  if (url !== undefined && !URL_REGEX.test(url)) {
+    return 'url must be a valid http:// or https:// URL';
+  }
+
+  if (events !== undefined && (!Array.isArray(events) || events.length === 0 ||
+      events.some(event => !webhookService.WEBHOOK_EVENTS.includes(event)))) {
+    return `events must be a list of: ${webhookService.WEBHOOK_EVENTS.join(', ')}`;
+  }
+
+  if (secret !== undefined && (typeof secret !== 'string' || secret.length < 16 || secret.length > 100)) {
+    return 'secret must be between 16 and 100 characters';
+  }
+
+  if (active !== undefined && typeof active !== 'boolean') {
+    return 'active must be true or false';
+  }
+
+  return null;
+};
+
+/**
+ * GET /api/admin/webhooks - List webhook subscriptions
+ */
+router.get('/webhooks', requireAdmin, async (req, res) => {
+  try {
+    const subscriptions = await databaseService.listWebhookSubscriptions();
+
+    res.json({
+      success: true,
+      events: webhookService.WEBHOOK_EVENTS,
+      webhooks: subscriptions.map(subscription => webhookService.toPublic(subscription))
+    });
+
+  } catch (error) {
+    console.error('❌ Webhook list error:', error);
+    res.status(500).json({
+      error: 'Webhooks unavailable',
+      message: 'Unable to fetch webhook subscriptions'
+    });
+  }
+});
+
+/**
+ * POST /api/admin/webhooks - Subscribe a URL to events (the secret is only returned here)
+ */
+router.post('/webhooks', requireRole('owner'), audited('webhook.create'), async (req, res) => {
+  try {
+    const { url, events, secret } = req.body;
+
+    const settingsError = !url ? 'url is required' :
+      !events ? 'events is required' :
+      validateWebhookSettings({ url, events, secret });
+    if (settingsError) {
+      return res.status(400).json({
+        error: 'Invalid webhook settings',
+        message: settingsError
+      });
+    }
+
+    const subscription = await databaseService.createWebhookSubscription({
+      url,
+      events: [...new Set(events)],
+      secret: secret || webhookService.generateSecret()
+    });
+
+    console.log(`🪝 Admin added webhook ${subscription.id} for ${events.join(', ')}`);
+
+    res.status(201).json({
+      success: true,
+      webhook: webhookService.toPublic(subscription, true)
+    });
+
+  } catch (error) {
+    console.error('❌ Webhook create error:', error);
+    res.status(500).json({
+      error: 'Webhook not created',
+      message: 'Unable to create the webhook subscription'
+    });
+  }
+});
+
+/**
+ * PATCH /api/admin/webhooks/:id - Change a subscription's URL or events, or disable it
+ */
+router.patch('/webhooks/:id', requireRole('owner'), audited('webhook.update'), async (req, res) => {
+  try {
+    const { url, events, active } = req.body;
+
+    const settingsError = validateWebhookSettings({ url, events, active });
+    if (settingsError) {
+      return res.status(400).json({
+        error: 'Invalid webhook settings',
+        message: settingsError
+      });
+    }
+
+    const subscription = await databaseService.updateWebhookSubscription(parseInt(req.params.id) || 0, {
+      url,
+      events: events ? [...new Set(events)] : null,
+      active
+    });
+
+    if (!subscription) {
+      return res.status(404).json({
+        error: 'Webhook not found',
+        message: 'No webhook subscription exists with this id'
+      });
+    }
+
+    res.json({
+      success: true,
+      webhook: webhookService.toPublic(subscription)
+    });
+
+  } catch (error) {
+    console.error('❌ Webhook update error:', error);
+    res.status(500).json({
+      error: 'Webhook not updated',
+      message: 'Unable to update the webhook subscription'
+    });
+  }
+});
+
+/**
+ * DELETE /api/admin/webhooks/:id - Remove a subscription and its delivery history
+ */
+router.delete('/webhooks/:id', requireRole('owner'), audited('webhook.delete'), async (req, res) => {
+  try {
+    const deleted = await databaseService.deleteWebhookSubscription(parseInt(req.params.id) || 0);
+
+    if (!deleted) {
+      return res.status(404).json({
+        error: 'Webhook not found',
+        message: 'No webhook subscription exists with this id'
+      });
+    }
+
+    console.log(`🪝 Admin removed webhook ${req.params.id}`);
+    res.json({ success: true });
+
+  } catch (error) {
+    console.error('❌ Webhook delete error:', error);
+    res.status(500).json({
+      error: 'Webhook not deleted',
+      message: 'Unable to delete the webhook subscription'
+    });
+  }
+});
+
+/**
+ * GET /api/admin/webhooks/deliveries - Delivery log with attempts (?status=failed for failures)
+ */
+router.get('/webhooks/deliveries', requireAdmin, async (req, res) => {
+  try {
+    const { status, subscription } = req.query;
+    const limit = parseLimit(req.query.limit, 50, 200);
+
+    if (status !== undefined && !['pending', 'delivered', 'failed'].includes(status)) {
+      return res.status(400).json({
+        error: 'Invalid status',
+        message: 'status must be one of: pending, delivered, failed'
+      });
+    }
+
+    const deliveries = await databaseService.listWebhookDeliveries({
+      status: status || null,
+      subscriptionId: parseInt(subscription) || null,
+      limit
+    });
+    const attempts = await databaseService.getWebhookAttempts(deliveries.map(delivery => delivery.id));
+
+    res.json({
+      success: true,
+      deliveries: deliveries.map(delivery => webhookService.toPublicDelivery(
+        delivery,
+        attempts.filter(attempt => attempt.delivery_id === delivery.id)
+      ))
+    });
+
+  } catch (error) {
+    console.error('❌ Webhook deliveries error:', error);
+    res.status(500).json({
+      error: 'Deliveries unavailable',
+      message: 'Unable to fetch webhook deliveries'
+    });
+  }
+});
+
+/**
+ * POST /api/admin/webhooks/deliveries/:id/replay - Send a delivery again right away
+ */
+router.post('/webhooks/deliveries/:id/replay', requireRole('editor'), audited('webhook.replay'), async (req, res) => {
+  try {
+    const outcome = await webhookService.replay(parseInt(req.params.id) || 0);
+
+    if (!outcome) {
+      return res.status(404).json({
+        error: 'Delivery not found',
+        message: 'No webhook delivery exists with this id'
+      });
+    }
+
+    res.json({
+      success: true,
+      delivery: {
+        id: parseInt(req.params.id),
+        ...outcome
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Webhook replay error:', error);
+    res.status(500).json({
+      error: 'Replay failed',
+      message: 'Unable to replay this webhook delivery'
+    });
+  }
+});
+
+/**
+ * GET /api/admin/api-keys - API keys with their usage today and this month
+ */
+router.get('/api-keys', requireAdmin, async (req, res) => {
+  try {
+    const keys = await databaseService.listApiKeys();
+
+    res.json({
+      success: true,
+      defaults: apiKeyService.DEFAULT_LIMITS,
+      keys: keys.map(key => apiKeyService.toPublic(key))
+    });
+
+  } catch (error) {
+    console.error('❌ API key list error:', error);
+    res.status(500).json({
+      error: 'API keys unavailable',
+      message: 'Unable to fetch API keys'
+    });
+  }
+});
+
+/**
+ * POST /api/admin/api-keys - Issue a key: name, optional rateLimitPerMinute, dailyQuota, monthlyQuota.
+ * The key is only returned in this response.
+ */
+router.post('/api-keys', requireRole('owner'), audited('api_key.create'), async (req, res) => {
+  try {
+    const error = apiKeyService.validate(req.body, true);
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid API key',
+        message: error
+      });
+    }
+
+    const { name, rateLimitPerMinute, dailyQuota, monthlyQuota } = req.body;
+    const { key, row } = await apiKeyService.create({
+      name,
+      rateLimitPerMinute,
+      dailyQuota,
+      monthlyQuota,
+      createdBy: req.admin.email
+    });
+
+    console.log(`🔑 API key issued: ${row.name} (${row.prefix}...)`);
+
+    res.status(201).json({
+      success: true,
+      key,
+      apiKey: apiKeyService.toPublic(row)
+    });
+
+  } catch (error) {
+    console.error('❌ API key create error:', error);
+    res.status(500).json({
+      error: 'API key not created',
+      message: 'Unable to issue an API key'
+    });
+  }
+});
+
+/**
+ * PATCH /api/admin/api-keys/:id - Rename a key or change its limits
+ */
+router.patch('/api-keys/:id(\\d+)', requireRole('owner'), audited('api_key.update'), async (req, res) => {
+  try {
+    const error = apiKeyService.validate(req.body, false);
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid API key update',
+        message: error
+      });
+    }
+
+    const { name, rateLimitPerMinute, dailyQuota, monthlyQuota } = req.body;
+    const row = await databaseService.updateApiKey(parseInt(req.params.id), {
+      name: name?.trim() || null,
+      rateLimitPerMinute: rateLimitPerMinute ?? null,
+      dailyQuota: dailyQuota ?? null,
+      monthlyQuota: monthlyQuota ?? null
+    });
+
+    if (!row) {
+      return res.status(404).json({
+        error: 'API key not found',
+        message: 'No active API key exists with this id'
+      });
+    }
+
+    res.json({
+      success: true,
+      apiKey: apiKeyService.toPublic(row)
+    });
+
+  } catch (error) {
+    console.error('❌ API key update error:', error);
+    res.status(500).json({
+      error: 'API key not updated',
+      message: 'Unable to update this API key'
+    });
+  }
+});
+
+/**
+ * DELETE /api/admin/api-keys/:id - Revoke a key (its usage history is kept)
+ */
+router.delete('/api-keys/:id(\\d+)', requireRole('owner'), audited('api_key.revoke'), async (req, res) => {
+  try {
+    const row = await databaseService.revokeApiKey(parseInt(req.params.id));
+
+    if (!row) {
+      return res.status(404).json({
+        error: 'API key not found',
+        message: 'No active API key exists with this id'
+      });
+    }
+
+    console.log(`🔑 API key revoked: ${row.name} (${row.prefix}...)`);
+
+    res.json({
+      success: true,
+      apiKey: apiKeyService.toPublic(row)
+    });
+
+  } catch (error) {
+    console.error('❌ API key revoke error:', error);
+    res.status(500).json({
+      error: 'API key not revoked',
+      message: 'Unable to revoke this API key'
+    });
+  }
+});
+
+/**
+ * GET /api/admin/api-keys/:id/usage - Daily (last `days`, default 30, up to 366) and monthly request counts
+ */
+router.get('/api-keys/:id(\\d+)/usage', requireAdmin, async (req, res) => {
+  try {
+    const days = parseLimit(req.query.days, 30, 366);
+    const usage = await databaseService.getApiKeyUsage(parseInt(req.params.id), days);
+
+    res.json({
+      success: true,
+      ...usage
+    });
+
+  } catch (error) {
+    console.error('❌ API key usage error:', error);
+    res.status(500).json({
+      error: 'Usage unavailable',
+      message: 'Unable to fetch usage for this API key'
+    });
+  }
+});
+
+/**
+ * GET /api/admin/users - Admin accounts
+ */
+router.get('/users', requireRole('owner'), async (req, res) => {
+  try {
+    const users = await databaseService.listAdminUsers();
+
+    res.json({
+      success: true,
+      roles: adminAuthService.ADMIN_ROLES,
+      users: users.map(user => adminAuthService.toPublic(user))
+    });
+
+  } catch (error) {
+    console.error('❌ Admin user list error:', error);
+    res.status(500).json({
+      error: 'Users unavailable',
+      message: 'Unable to fetch admin accounts'
+    });
+  }
+});
+
+/**
+ * POST /api/admin/users - Create an admin account: email, password, role, optional name
+ */
+router.post('/users', requireRole('owner'), audited('user.create'), async (req, res) => {
+  try {
+    const { email, name, password, role } = req.body;
+    const { user, error } = await adminAuthService.createUser({ email, name, password, role });
+
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid account',
+        message: error
+      });
+    }
+
+    console.log(`👤 Admin account created: ${user.email} (${user.role})`);
+
+    res.status(201).json({
+      success: true,
+      user: adminAuthService.toPublic(user)
+    });
+
+  } catch (error) {
+    console.error('❌ Admin user create error:', error);
+    res.status(500).json({
+      error: 'Account not created',
+      message: 'Unable to create the admin account'
+    });
+  }
+});
+
+/**
+ * PATCH /api/admin/users/:id - Change an account's name, role, active flag or password.
+ * Role, deactivation and password changes end the account's sessions.
+ */
+router.patch('/users/:id(\\d+)', requireRole('owner'), audited('user.update'), async (req, res) => {
+  try {
+    const { name, role, active, password } = req.body;
+    const error = adminAuthService.validateAccount({ role, password }) ||
+      (active !== undefined && typeof active !== 'boolean' ? 'active must be true or false' : null) ||
+      (name !== undefined && cleanText(name, 100) === undefined ? 'name must be text of at most 100 characters' : null);
+
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid account update',
+        message: error
+      });
+    }
+
+    const id = parseInt(req.params.id);
+    const existing = await databaseService.getAdminUser(id);
+
+    if (!existing) {
+      return res.status(404).json({
+        error: 'User not found',
+        message: 'No admin account exists with this id'
+      });
+    }
+
+    // There must always be someone able to manage accounts
+    const removesOwner = existing.role === 'owner' && existing.active &&
+      ((role && role !== 'owner') || active === false);
+    if (removesOwner && await databaseService.countActiveAdminOwners() <= 1) {
+      return res.status(409).json({
+        error: 'Last owner',
+        message: 'The last active owner cannot be demoted or deactivated'
+      });
+    }
+
+    const user = await databaseService.updateAdminUser(id, {
+      name: name !== undefined ? cleanText(name, 100) : null,
+      role: role || null,
+      active: active ?? null,
+      passwordHash: password ? await adminAuthService.hashPassword(password) : null
+    });
+
+    res.json({
+      success: true,
+      user: adminAuthService.toPublic(user)
+    });
+
+  } catch (error) {
+    console.error('❌ Admin user update error:', error);
+    res.status(500).json({
+      error: 'Account not updated',
+      message: 'Unable to update the admin account'
+    });
+  }
+});
+
+/**
+ * GET /api/admin/audit-log - Admin actions, newest first
+ * Filters: email, action, since, until, limit
+ */
+router.get('/audit-log', requireRole('owner'), async (req, res) => {
+  try {
+    const since = parseDateFilter(req.query.since);
+    const until = parseDateFilter(req.query.until);
+    const limit = parseLimit(req.query.limit, 100, 500);
+
+    if (since === undefined || until === undefined) {
+      return res.status(400).json({
+        error: 'Invalid date',
+        message: 'since and until must be ISO 8601 dates'
+      });
+    }
+
+    const entries = await databaseService.listAdminAudit({
+      email: req.query.email ? String(req.query.email).toLowerCase() : null,
+      action: req.query.action || null,
+      since,
+      until,
+      limit
+    });
+
+    res.json({
+      success: true,
+      entries: entries.map(entry => adminAuthService.toPublicAudit(entry))
+    });
+
+  } catch (error) {
+    console.error('❌ Audit log error:', error);
+    res.status(500).json({
+      error: 'Audit log unavailable',
+      message: 'Unable to fetch the audit log'
+    });
   }
 });
 
@@ -1,17 +1,21 @@
 const express = require('express');
-const firecrawlService = require('../services/firecrawl');
-const anthropicService = require('../services/anthropic');
-const databaseService = require('../services/database'); // NEW: Database service
+const analysisPipeline = require('../services/analysisPipeline');
+const comparisonService = require('../services/comparison');
+const jobQueue = require('../services/jobQueue');
+const rubricService = require('../services/rubrics');
+const analysisCache = require('../services/analysisCache');
+const { normalizePageOptions } = require('../services/funnelPages');
+const { normalizeAttribution } = require('../services/attribution');
 
 const router = express.Router();
 
 // URL validation regex
 const URL_REGEX = /^https?:\/\/(www\.)?[-a-zA-Z0-9@:%._\+~#=]{1,256}\.[a-zA-Z0-9()]{1,6}\b([-a-zA-Z0-9()@:%_\+.~#?&//=]*)$/;
 
-// Main analysis endpoint
-router.post('/', async (req, res) => {
+// Main analysis endpoint - queues the analysis and returns a job id immediately
+router.post('/', (req, res) => {
   try {
-    const { url } = req.body;
+    const { url, pages, rubric, force } = req.body;
 
     // Input validation
     if (!url) {
@@ -28,109 +32,236 @@ router.post('/', async (req, res) => {
       });
     }
 
-    console.log(`📊 Starting analysis for: ${url}`);
-
-    // Step 1: Crawl website with Firecrawl
-    console.log('🕷️  Crawling website...');
-    const crawlData = await firecrawlService.crawlWebsite(url);
-    
-    if (!crawlData || !crawlData.content) {
+    // Optional funnel page selection, e.g. { limit: 2, types: ['pricing', 'signup'] }
+    const pageOptions = normalizePageOptions(pages);
+    if (pageOptions.error) {
       return res.status(400).json({
-        error: 'Unable to crawl website',
-        message: 'The website could not be accessed or analyzed. Please check the URL and try again.'
+        error: 'Invalid page options',
+        message: pageOptions.error
       });
     }
 
-    console.log(`✅ Successfully crawled ${crawlData.content.length} characters`);
-
-    // Step 2: Analyze with Claude AI
-    console.log('🤖 Analyzing with AI...');
-    const analysisResult = await anthropicService.analyzeWebsiteGrowth(crawlData);
-
-    if (!analysisResult) {
-      return res.status(500).json({
-        error: 'Analysis failed',
-        message: 'Unable to complete the growth analysis. Please try again.'
+    // Optional scoring rubric id (defaults to DEFAULT_RUBRIC)
+    if (rubric !== undefined && !rubricService.get(rubric)) {
+      return res.status(400).json({
+        error: 'Unknown rubric',
+        message: `Choose one of: ${rubricService.list().map(item => item.id).join(', ')}`
       });
     }
 
-    console.log(`✅ Analysis complete - Score: ${analysisResult.score}/100`);
-
-    // Step 3: Save to database as potential lead (NEW)
-    try {
-      const leadData = {
+    const job = jobQueue.submit(
+      {
         url: url,
-        analysis: analysisResult,
-        metadata: crawlData.metadata,
+        pages: pageOptions,
+        rubric: rubric,
+        // Skip the analysis cache and re-run the crawl and AI analysis
+        force: force === true || force === 'true',
         ip: req.ip || req.socket?.remoteAddress || 'unknown',
         userAgent: req.get('User-Agent') || 'unknown',
-        referrer: req.get('Referer') || null
-      };
-
-      const savedLead = await databaseService.saveWebsiteSubmission(leadData);
-      
-      if (savedLead) {
-        console.log(`🎯 Lead captured: ${savedLead.domain} (Score: ${analysisResult.score})`);
-      }
-    } catch (dbError) {
-      // Don't fail the analysis if database save fails
-      console.error('⚠️  Database save failed (analysis continues):', dbError.message);
-    }
+        referrer: req.get('Referer') || null,
+        // UTM parameters and referrer of the visitor's landing page
+        attribution: normalizeAttribution(req.body.attribution)
+      },
+      (input, progress) => analysisPipeline.run(input, progress),
+      (error) => analysisPipeline.describeError(error)
+    );
 
-    // Step 4: Return structured response
-    res.json({
+    res.status(202).json({
       success: true,
-      url: url,
-      timestamp: new Date().toISOString(),
-      analysis: {
-        score: analysisResult.score,
-        feedback: analysisResult.feedback || analysisResult.summary,
-        summary: analysisResult.summary,
-        categories: analysisResult.categories || [],
-        recommendations: analysisResult.recommendations || []
-      },
-      metadata: {
-        contentLength: crawlData.content.length,
-        analysisTime: new Date().toISOString()
-      }
+      jobId: job.id,
+      stage: job.stage,
+      position: job.position,
+      statusUrl: `${req.baseUrl}/jobs/${job.id}`,
+      eventsUrl: `${req.baseUrl}/jobs/${job.id}/events`
     });
 
   } catch (error) {
-    console.error('❌ Analysis error:', error);
+    console.error('❌ Failed to queue analysis:', error);
+
+    if (error.status === 503) {
+      return res.status(503).json({
+        error: 'Service busy',
+        message: 'Too many analyses are in progress. Please try again in a few minutes.'
+      });
+    }
+
+    res.status(500).json({
+      error: 'Analysis failed',
+      message: 'Unable to start the website analysis. Please try again.'
+    });
+  }
+});
+
+// Competitor comparison endpoint - analyzes the primary site and its competitors as one job
+router.post('/compare', (req, res) => {
+  try {
+    const { url, competitors, pages, rubric, force } = req.body;
+
+    if (!url || !URL_REGEX.test(url)) {
+      return res.status(400).json({
+        error: url ? 'Invalid URL format' : 'URL is required',
+        message: 'Please provide a valid website URL (including http:// or https://)'
+      });
+    }
+
+    if (!Array.isArray(competitors) || competitors.length === 0 || competitors.length > comparisonService.MAX_COMPETITORS) {
+      return res.status(400).json({
+        error: 'Invalid competitors',
+        message: `Please provide between 1 and ${comparisonService.MAX_COMPETITORS} competitor URLs`
+      });
+    }
+
+    const invalidCompetitor = competitors.find(competitor => typeof competitor !== 'string' || !URL_REGEX.test(competitor));
+    if (invalidCompetitor !== undefined) {
+      return res.status(400).json({
+        error: 'Invalid URL format',
+        message: `Competitor URL "${invalidCompetitor}" is not valid (include http:// or https://)`
+      });
+    }
+
+    // Drop competitors that are the primary site or repeat another competitor
+    const seen = new Set([analysisCache.normalizeUrl(url)]);
+    const uniqueCompetitors = competitors.filter(competitor => {
+      const normalized = analysisCache.normalizeUrl(competitor);
+      if (seen.has(normalized)) return false;
+      seen.add(normalized);
+      return true;
+    });
 
-    // Handle specific error types
-    if (error.message.includes('rate limit')) {
-      return res.status(429).json({
-        error: 'Rate limit exceeded',
-        message: 'Too many requests. Please wait a moment before trying again.'
+    if (uniqueCompetitors.length === 0) {
+      return res.status(400).json({
+        error: 'Invalid competitors',
+        message: 'Competitor URLs must be different from the website being analyzed'
       });
     }
 
-    if (error.message.includes('API key')) {
-      return res.status(500).json({
-        error: 'Configuration error',
-        message: 'Service temporarily unavailable. Please try again later.'
+    const pageOptions = normalizePageOptions(pages);
+    if (pageOptions.error) {
+      return res.status(400).json({
+        error: 'Invalid page options',
+        message: pageOptions.error
       });
     }
 
-    if (error.message.includes('timeout')) {
-      return res.status(504).json({
-        error: 'Request timeout',
-        message: 'The analysis took too long. Please try with a smaller website or try again later.'
+    if (rubric !== undefined && !rubricService.get(rubric)) {
+      return res.status(400).json({
+        error: 'Unknown rubric',
+        message: `Choose one of: ${rubricService.list().map(item => item.id).join(', ')}`
+      });
+    }
+
+    const job = jobQueue.submit(
+      {
+        url: url,
+        competitors: uniqueCompetitors,
+        pages: pageOptions,
+        rubric: rubric,
+        force: force === true || force === 'true',
+        ip: req.ip || req.socket?.remoteAddress || 'unknown',
+        userAgent: req.get('User-Agent') || 'unknown',
+        referrer: req.get('Referer') || null,
+        attribution: normalizeAttribution(req.body.attribution)
+      },
+      (input, progress) => comparisonService.run(input, progress),
+      (error) => comparisonService.describeError(error)
+    );
+
+    res.status(202).json({
+      success: true,
+      jobId: job.id,
+      stage: job.stage,
+      position: job.position,
+      statusUrl: `${req.baseUrl}/jobs/${job.id}`,
+      eventsUrl: `${req.baseUrl}/jobs/${job.id}/events`
+    });
+
+  } catch (error) {
+    console.error('❌ Failed to queue comparison:', error);
+
+    if (error.status === 503) {
+      return res.status(503).json({
+        error: 'Service busy',
+        message: 'Too many analyses are in progress. Please try again in a few minutes.'
       });
     }
 
-    // Generic error response
     res.status(500).json({
-      error: 'Analysis failed',
-      message: 'Unable to complete the website analysis. Please try again.',
-      ...(process.env.NODE_ENV === 'development' && { 
-        details: error.message 
-      })
+      error: 'Comparison failed',
+      message: 'Unable to start the competitor comparison. Please try again.'
     });
   }
 });
 
+// Available scoring rubrics
+router.get('/rubrics', (req, res) => {
+  res.json({
+    success: true,
+    rubrics: rubricService.list()
+  });
+});
+
+// Job status endpoint - polled by the client until the job is done or failed
+router.get('/jobs/:id', (req, res) => {
+  const job = jobQueue.getJob(req.params.id);
+
+  if (!job) {
+    return res.status(404).json({
+      error: 'Job not found',
+      message: 'This analysis job does not exist or has expired. Please start a new analysis.'
+    });
+  }
+
+  res.json({
+    success: true,
+    job: job
+  });
+});
+
+// Job progress stream (Server-Sent Events) - replays past events, then streams new ones
+router.get('/jobs/:id/events', (req, res) => {
+  if (!jobQueue.getJob(req.params.id)) {
+    return res.status(404).json({
+      error: 'Job not found',
+      message: 'This analysis job does not exist or has expired. Please start a new analysis.'
+    });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    // Stop reverse proxies (nginx, Railway) from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+
+  let unsubscribe = () => {};
+  let closed = false;
+
+  // Keep idle connections from being dropped by proxies
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 15000);
+
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    unsubscribe();
+    res.end();
+  };
+
+  unsubscribe = jobQueue.subscribe(req.params.id, (event) => {
+    if (closed) return;
+
+    res.write(`data: ${JSON.stringify(event)}\n\n`);
+
+    if (event.type === 'stage' && (event.stage === 'done' || event.stage === 'failed')) {
+      // Let the listener registration finish before tearing down
+      setImmediate(close);
+    }
+  });
+
+  req.on('close', close);
+});
+
 // Test endpoint for development
 router.get('/test', (req, res) => {
   res.json({
@@ -0,0 +1,61 @@
+const express = require('express');
+const leadService = require('../services/leads');
+
+const router = express.Router();
+
+/**
+ * GET /api/leads/config - How the results page should ask for contact details
+ */
+router.get('/config', (req, res) => {
+  res.json({
+    success: true,
+    mode: leadService.mode
+  });
+});
+
+/**
+ * POST /api/leads - Leave contact details on an analysis report
+ */
+router.post('/', async (req, res) => {
+  try {
+    if (leadService.mode === 'off') {
+      return res.status(404).json({
+        error: 'Contact capture disabled',
+        message: 'Contact details are not being collected.'
+      });
+    }
+
+    const { contact, error } = leadService.normalizeContact(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid contact details',
+        message: error
+      });
+    }
+
+    const { lead, status, ...failure } = await leadService.capture(contact, req.body.reportSlug);
+
+    if (!lead) {
+      return res.status(status).json(failure);
+    }
+
+    res.status(201).json({
+      success: true,
+      lead: {
+        id: lead.id,
+        name: lead.name,
+        email: lead.email,
+        company: lead.company
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Contact capture error:', error);
+    res.status(500).json({
+      error: 'Contact not saved',
+      message: 'Unable to save your details. Please try again.'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,115 @@
+const express = require('express');
+const reportService = require('../services/reports');
+const pdfReportService = require('../services/pdfReport');
+const reportExportService = require('../services/reportExport');
+const databaseService = require('../services/database');
+
+const router = express.Router();
+
+/**
+ * GET /api/reports/:slug - Shared analysis report
+ */
+router.get('/:slug', async (req, res) => {
+  try {
+    const report = await reportService.getBySlug(req.params.slug);
+
+    if (!report) {
+      return res.status(404).json({
+        error: 'Report not found',
+        message: 'This report does not exist. Please check the link.'
+      });
+    }
+
+    res.json(report);
+
+  } catch (error) {
+    console.error('❌ Report lookup error:', error);
+    res.status(500).json({
+      error: 'Report unavailable',
+      message: 'Unable to load this report. Please try again later.'
+    });
+  }
+});
+
+/**
+ * GET /api/reports/:slug/pdf - Shared analysis report as a branded PDF
+ */
+router.get('/:slug/pdf', async (req, res) => {
+  try {
+    const report = await reportService.getBySlug(req.params.slug);
+
+    if (!report) {
+      return res.status(404).json({
+        error: 'Report not found',
+        message: 'This report does not exist. Please check the link.'
+      });
+    }
+
+    console.log(`📄 Rendering PDF report for ${report.url}`);
+
+    const date = new Date(report.timestamp).toISOString().split('T')[0];
+    const filename = `growth-report-${databaseService.extractDomain(report.url)}-${date}.pdf`
+      .replace(/[^a-zA-Z0-9._-]/g, '-');
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    pdfReportService.render(report).pipe(res);
+
+  } catch (error) {
+    console.error('❌ PDF report error:', error);
+    res.status(500).json({
+      error: 'PDF unavailable',
+      message: 'Unable to generate the PDF report. Please try again later.'
+    });
+  }
+});
+
+/**
+ * GET /api/reports/:slug/export?format=markdown|html|json - Shared analysis report as a file
+ */
+router.get('/:slug/export', async (req, res) => {
+  try {
+    const format = req.query.format || 'json';
+
+    if (!reportExportService.EXPORT_FORMATS[format]) {
+      return res.status(400).json({
+        error: 'Invalid format',
+        message: `format must be one of: ${Object.keys(reportExportService.EXPORT_FORMATS).join(', ')}`
+      });
+    }
+
+    const report = await reportService.getBySlug(req.params.slug);
+
+    if (!report) {
+      return res.status(404).json({
+        error: 'Report not found',
+        message: 'This report does not exist. Please check the link.'
+      });
+    }
+
+    console.log(`📄 Exporting report for ${report.url} as ${format}`);
+
+    const { body, contentType, extension } = reportExportService.render(
+      report,
+      format,
+      `${req.protocol}://${req.get('host')}`
+    );
+
+    const date = new Date(report.timestamp).toISOString().split('T')[0];
+    const filename = `growth-report-${databaseService.extractDomain(report.url)}-${date}.${extension}`
+      .replace(/[^a-zA-Z0-9._-]/g, '-');
+
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(body);
+
+  } catch (error) {
+    console.error('❌ Report export error:', error);
+    res.status(500).json({
+      error: 'Export unavailable',
+      message: 'Unable to export this report. Please try again later.'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,57 @@
+const express = require('express');
+const databaseService = require('../services/database');
+
+const router = express.Router();
+
+// Analyses returned by default, and at most, per history request
+const DEFAULT_HISTORY_LIMIT = 50;
+const MAX_HISTORY_LIMIT = 200;
+
+/**
+ * GET /api/sites/:domain/history - Score history of a domain, oldest first
+ * Optional query: rubric (only analyses made with this rubric), limit
+ */
+router.get('/:domain/history', async (req, res) => {
+  try {
+    const domain = databaseService.extractDomain(`https://${req.params.domain.trim().toLowerCase()}`);
+    const limit = req.query.limit === undefined ? DEFAULT_HISTORY_LIMIT : Number(req.query.limit);
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_HISTORY_LIMIT) {
+      return res.status(400).json({
+        error: 'Invalid limit',
+        message: `limit must be a whole number between 1 and ${MAX_HISTORY_LIMIT}`
+      });
+    }
+
+    const rows = await databaseService.getDomainHistory(domain, {
+      rubricId: req.query.rubric || null,
+      limit: limit
+    });
+
+    res.json({
+      success: true,
+      domain: domain,
+      history: rows.map(row => ({
+        id: row.id,
+        url: row.url,
+        analyzedAt: row.analyzed_at,
+        score: row.growth_score,
+        rubric: row.rubric_id ? { id: row.rubric_id, version: row.rubric_version } : null,
+        categories: (row.analysis_categories || []).map(category => ({
+          name: category.name,
+          score: category.score,
+          maxScore: category.maxScore ?? null
+        }))
+      }))
+    });
+
+  } catch (error) {
+    console.error('❌ Site history error:', error);
+    res.status(500).json({
+      error: 'History unavailable',
+      message: 'Unable to fetch the analysis history for this website'
+    });
+  }
+});
+
+module.exports = router;
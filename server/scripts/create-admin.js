@@ -0,0 +1,76 @@
+#!/usr/bin/env node
+// Create an admin account, e.g. the first owner:
+//   npm run admin:create -- --email you@example.com --role owner [--name "Your Name"]
+// The password is read from ADMIN_PASSWORD, or prompted for without echo.
+
+require('dotenv').config();
+const readline = require('readline');
+const databaseService = require('../services/database');
+const adminAuthService = require('../services/adminAuth');
+const migrationService = require('../services/migrations');
+
+/**
+ * Parse --key value pairs
+ * @param {string[]} argv - Command-line arguments
+ * @returns {Object} - Options by key
+ */
+const parseArgs = (argv) => {
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      options[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    }
+  }
+  return options;
+};
+
+/**
+ * Prompt for a password without echoing it
+ * @param {string} question - Prompt text
+ * @returns {Promise<string>} - Entered password
+ */
+const promptPassword = (question) => new Promise(resolve => {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+  rl.stdoutMuted = false;
+  rl._writeToOutput = (text) => {
+    if (!rl.stdoutMuted || text.includes(question)) rl.output.write(text);
+  };
+
+  rl.question(question, (answer) => {
+    rl.close();
+    process.stdout.write('\n');
+    resolve(answer);
+  });
+  rl.stdoutMuted = true;
+});
+
+async function main() {
+  const { email, name, role = 'owner' } = parseArgs(process.argv.slice(2));
+
+  if (!process.env.DATABASE_URL) {
+    throw new Error('DATABASE_URL is not set');
+  }
+  if (!email) {
+    throw new Error('Usage: npm run admin:create -- --email you@example.com [--role owner|editor|viewer] [--name "Name"]');
+  }
+
+  const password = process.env.ADMIN_PASSWORD || await promptPassword(`Password for ${email}: `);
+
+  await migrationService.up();
+  const { user, error } = await adminAuthService.createUser({ email, name, password, role });
+  if (error) {
+    throw new Error(error);
+  }
+
+  await adminAuthService.audit({ email: user.email, action: 'user.create', target: user.id, details: { role: user.role, via: 'cli' } });
+  console.log(`✅ Created ${user.role} account ${user.email}`);
+}
+
+main()
+  .then(() => databaseService.close())
+  .catch(async (error) => {
+    console.error(`❌ ${error.message}`);
+    await databaseService.close();
+    process.exitCode = 1;
+  });
@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+// Database migrations:
+//   npm run migrate -- status            list migrations and whether they are applied
+//   npm run migrate -- up [--to N]       apply pending migrations (up to version N)
+//   npm run migrate -- down [--steps N]  revert the last N applied migrations (default 1)
+//   npm run migrate -- create <name>     add empty NNNN_<name>.up.sql and .down.sql files
+
+require('dotenv').config();
+const databaseService = require('../services/database');
+const migrationService = require('../services/migrations');
+
+const USAGE = 'Usage: npm run migrate -- status | up [--to N] | down [--steps N] | create <name>';
+
+/**
+ * Read a positive whole-number option such as --to 3
+ * @param {string[]} args - Command arguments
+ * @param {string} flag - Option name including the dashes
+ * @returns {number|undefined} - Value, or undefined when the option is absent
+ */
+const readNumber = (args, flag) => {
+  const index = args.indexOf(flag);
+  if (index === -1) return undefined;
+
+  const value = Number(args[index + 1]);
+  if (!Number.isInteger(value) || value < 1) {
+    throw new Error(`${flag} must be a positive whole number`);
+  }
+  return value;
+};
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+
+  if (command === 'create') {
+    migrationService.create(args[0]).forEach(file => console.log(`📝 Created ${file}`));
+    return;
+  }
+
+  if (!process.env.DATABASE_URL) {
+    throw new Error('DATABASE_URL is not set');
+  }
+
+  if (command === 'status') {
+    const migrations = await migrationService.status();
+    const icons = { applied: '✅', pending: '⏳', changed: '⚠️ ', missing: '❓' };
+
+    migrations.forEach(({ version, name, appliedAt, state }) => {
+      const when = appliedAt ? ` (${appliedAt.toISOString()})` : '';
+      console.log(`${icons[state]} ${String(version).padStart(4, '0')}_${name}: ${state}${when}`);
+    });
+  } else if (command === 'up') {
+    const applied = await migrationService.up({ to: readNumber(args, '--to') });
+    console.log(`✅ ${applied.length} migration(s) applied`);
+  } else if (command === 'down') {
+    const reverted = await migrationService.down({ steps: readNumber(args, '--steps') });
+    console.log(`✅ ${reverted.length} migration(s) reverted`);
+  } else {
+    throw new Error(USAGE);
+  }
+}
+
+main()
+  .catch((error) => {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => databaseService.pool.end());
@@ -4,9 +4,15 @@ const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const path = require('path');
 require('dotenv').config();
+const reportService = require('./services/reports');
+const monitorService = require('./services/monitor');
+const webhookService = require('./services/webhooks');
+const apiKeyService = require('./services/apiKeys');
+const migrationService = require('./services/migrations');
 
 const app = express();
-app.set('trust proxy', true);
+// Trust only our own proxies, so clients can't pick their IP with X-Forwarded-For
+app.set('trust proxy', parseInt(process.env.TRUST_PROXY_HOPS ?? '1') || 0);
 const PORT = process.env.PORT || 3000;
 
 // Security middleware
@@ -30,8 +36,61 @@ const limiter = rateLimit({
   },
   standardHeaders: true,
   legacyHeaders: false,
+  // Job status polling, score history, shared reports and page config must not use up the analysis quota;
+  // the admin API requires a session and throttles its own logins, and API key requests have their own limits
+  skip: (req) => req.path.startsWith('/admin/') ||
+    (req.path.startsWith('/analyze') && Boolean(apiKeyService.getKeyFromRequest(req))) ||
+    (req.method === 'GET' &&
+      ['/analyze/jobs/', '/sites/', '/reports/', '/leads/config'].some(prefix => req.path.startsWith(prefix))),
 });
 
+// Analysis requests made with an API key count against the key's rate limit and quotas
+const apiKeyLimiter = async (req, res, next) => {
+  const key = apiKeyService.getKeyFromRequest(req);
+  if (!key) return next();
+
+  try {
+    const apiKey = await apiKeyService.authenticate(key);
+    const usage = apiKey && req.method === 'POST'
+      ? await apiKeyService.consume(apiKey, apiKeyService.requestCost(req))
+      : null;
+
+    if (!apiKey || (req.method === 'POST' && !usage)) {
+      return res.status(401).json({
+        error: 'Invalid API key',
+        message: 'The API key is unknown or has been revoked'
+      });
+    }
+
+    req.apiKey = apiKey;
+
+    // Only new analyses are counted; job polling and rubric lookups are free
+    if (usage) {
+      apiKeyService.setRateLimitHeaders(res, usage);
+
+      if (!usage.allowed) {
+        console.log(`🚦 API key "${apiKey.name}" reached its ${usage.window.name} limit`);
+        return res.status(429).json({
+          error: usage.window.name === 'minute' ? 'Rate limit exceeded' : 'Quota exceeded',
+          message: usage.window.used < usage.window.limit
+            ? `This request counts as ${usage.units} analyses, but the API key has ${usage.window.limit - usage.window.used} left in the current ${usage.window.name}`
+            : `This API key has used its ${usage.window.limit} analyses per ${usage.window.name}`,
+          retryAfter: usage.window.resetSeconds
+        });
+      }
+    }
+
+    next();
+
+  } catch (error) {
+    console.error('❌ API key check error:', error);
+    res.status(503).json({
+      error: 'API keys unavailable',
+      message: 'Unable to check the API key, please try again later.'
+    });
+  }
+};
+
 // CORS configuration
 app.use(cors({
   origin: process.env.CLIENT_URL || 'http://localhost:5173',
@@ -46,7 +105,10 @@ app.use(express.urlencoded({ extended: true }));
 app.use('/api/', limiter);
 
 // API Routes
-app.use('/api/analyze', require('./routes/analyze'));
+app.use('/api/analyze', apiKeyLimiter, require('./routes/analyze'));
+app.use('/api/sites', require('./routes/sites'));
+app.use('/api/reports', require('./routes/reports'));
+app.use('/api/leads', require('./routes/leads'));
 app.use('/api/admin', require('./routes/admin')); // NEW: Admin routes for lead management
 
 // Health check endpoint
@@ -91,12 +153,33 @@ if (fs.existsSync(clientBuildPath)) {
 }
 
 // Catch-all handler: send back React's index.html file for any non-api routes
-app.get('*', (req, res) => {
+// Shared report pages (/report/:slug) get Open Graph tags describing the report
+app.get('*', async (req, res) => {
   const indexPath = path.join(__dirname, '../client/dist/index.html');
   console.log('🔍 Catch-all route hit for:', req.path);
   console.log('🔍 Looking for index.html at:', indexPath);
   
   if (fs.existsSync(indexPath)) {
+    const reportSlug = req.path.match(/^\/report\/([^/]+)\/?$/)?.[1];
+
+    if (reportSlug) {
+      try {
+        const page = await reportService.renderReportPage(
+          fs.readFileSync(indexPath, 'utf8'),
+          reportSlug,
+          `${req.protocol}://${req.get('host')}`
+        );
+
+        if (page) {
+          console.log('✅ Serving report page');
+          return res.type('html').send(page);
+        }
+      } catch (error) {
+        // The client still renders the report without the preview tags
+        console.error('⚠️  Could not add report meta tags:', error.message);
+      }
+    }
+
     console.log('✅ Serving index.html');
     res.sendFile(indexPath);
   } else {
@@ -130,34 +213,59 @@ app.use('/api/*', (req, res) => {
 });
 
 // Start server
-app.listen(PORT, '0.0.0.0', () => {
-  console.log(`🚀 Server running on port ${PORT}`);
-  console.log(`📊 Health check: http://0.0.0.0:${PORT}/api/health`);
-  console.log(`🎯 Admin dashboard: http://0.0.0.0:${PORT}/api/admin/leads?token=YOUR_TOKEN`); // NEW: Admin access info
-  console.log(`🌐 Environment: ${process.env.NODE_ENV || 'development'}`);
-  
-  // Verify environment variables in development
-  if (process.env.NODE_ENV === 'development') {
-    const requiredEnvVars = ['FIRECRAWL_API_KEY', 'ANTHROPIC_API_KEY'];
-    const missingVars = requiredEnvVars.filter(varName => !process.env[varName]);
-    
-    if (missingVars.length > 0) {
-      console.warn('⚠️  Missing environment variables:', missingVars.join(', '));
-    } else {
-      console.log('✅ All required environment variables are set');
+// Apply pending database migrations before accepting traffic
+const start = async () => {
+  if (process.env.DATABASE_URL) {
+    try {
+      await migrationService.up();
+    } catch (error) {
+      console.error('❌ Database migrations failed:', error.message);
+      process.exit(1);
     }
-    
-    // NEW: Database connection info
+  }
+
+  app.listen(PORT, '0.0.0.0', () => {
+    console.log(`🚀 Server running on port ${PORT}`);
+    console.log(`📊 Health check: http://0.0.0.0:${PORT}/api/health`);
+    console.log(`🎯 Admin dashboard: http://0.0.0.0:${PORT}/admin`);
+    console.log(`🌐 Environment: ${process.env.NODE_ENV || 'development'}`);
+
+    // Monitored sites and webhook deliveries are stored in Postgres, so both workers need a database
     if (process.env.DATABASE_URL) {
-      console.log('✅ DATABASE_URL is configured');
+      monitorService.start();
+      webhookService.start();
     } else {
-      console.warn('⚠️  DATABASE_URL not found - lead tracking disabled');
+      console.warn('⚠️  DATABASE_URL not set - site monitoring and webhooks disabled');
     }
-    
-    if (process.env.ADMIN_TOKEN) {
-      console.log('✅ ADMIN_TOKEN is configured');
-    } else {
-      console.warn('⚠️  ADMIN_TOKEN not set - using default (change in production!)');
+
+    // Verify environment variables in development
+    if (process.env.NODE_ENV === 'development') {
+      const requiredEnvVars = ['ANTHROPIC_API_KEY'];
+      const missingVars = requiredEnvVars.filter(varName => !process.env[varName]);
+
+      if (missingVars.length > 0) {
+        console.warn('⚠️  Missing environment variables:', missingVars.join(', '));
+      } else {
+        console.log('✅ All required environment variables are set');
+      }
+
+      // Firecrawl is optional - the built-in crawler is used without it
+      if (!process.env.FIRECRAWL_API_KEY) {
+        console.warn('⚠️  FIRECRAWL_API_KEY not set - using the built-in crawler');
+      }
+
+      // NEW: Database connection info
+      if (process.env.DATABASE_URL) {
+        console.log('✅ DATABASE_URL is configured');
+      } else {
+        console.warn('⚠️  DATABASE_URL not found - lead tracking disabled');
+      }
+
+      if (process.env.ADMIN_TOKEN) {
+        console.warn('⚠️  ADMIN_TOKEN is no longer used - create admin accounts with npm run admin:create');
+      }
     }
-  }
-});
\ No newline at end of file
+  });
+};
+
+start();
@@ -0,0 +1,254 @@
+// Admin authentication: accounts with scrypt-hashed passwords, cookie sessions, roles and the audit log.
+// Session tokens are random and only their SHA-256 is stored, so a database leak can't be replayed.
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const databaseService = require('./database');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Each role includes the permissions of the ones before it
+const ADMIN_ROLES = ['viewer', 'editor', 'owner'];
+
+const SESSION_COOKIE = 'rmw_admin_session';
+const SESSION_HOURS = parseInt(process.env.ADMIN_SESSION_HOURS) || 12;
+
+// scrypt cost parameters (N, r, p) and sizes, stored with each hash so they can be raised later
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+const MIN_PASSWORD_LENGTH = 12;
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+
+class AdminAuthService {
+  constructor() {
+    // Checked against when the email is unknown, so a login takes as long either way
+    this.dummyHash = null;
+  }
+
+  /**
+   * Hash a password for storage
+   * @param {string} password - Plain-text password
+   * @returns {string} - "scrypt$N$r$p$salt$hash" (salt and hash base64)
+   */
+  async hashPassword(password) {
+    const { N, r, p } = SCRYPT_PARAMS;
+    const salt = crypto.randomBytes(16);
+    const hash = await scrypt(password, salt, KEY_LENGTH, { N, r, p });
+
+    return ['scrypt', N, r, p, salt.toString('base64'), hash.toString('base64')].join('$');
+  }
+
+  /**
+   * Check a password against a stored hash in constant time
+   * @param {string} password - Plain-text password
+   * @param {string} stored - Hash from hashPassword()
+   * @returns {boolean} - True if the password matches
+   */
+  async verifyPassword(password, stored) {
+    const [scheme, N, r, p, salt, hash] = String(stored).split('$');
+    if (scheme !== 'scrypt' || !hash) return false;
+
+    const expected = Buffer.from(hash, 'base64');
+    const actual = await scrypt(password, Buffer.from(salt, 'base64'), expected.length, {
+      N: parseInt(N), r: parseInt(r), p: parseInt(p)
+    });
+
+    return crypto.timingSafeEqual(actual, expected);
+  }
+
+  /**
+   * Validate the fields of a new or updated account
+   * @param {Object} fields - { email, password, role }; only the given fields are checked
+   * @returns {string|null} - Error message, or null if valid
+   */
+  validateAccount({ email, password, role }) {
+    if (email !== undefined && (typeof email !== 'string' || email.length > 254 || !EMAIL_REGEX.test(email.trim()))) {
+      return 'A valid email is required';
+    }
+    if (password !== undefined && (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH)) {
+      return `Passwords must be at least ${MIN_PASSWORD_LENGTH} characters`;
+    }
+    if (role !== undefined && !ADMIN_ROLES.includes(role)) {
+      return `role must be one of: ${ADMIN_ROLES.join(', ')}`;
+    }
+    return null;
+  }
+
+  /**
+   * Create an admin account
+   * @param {Object} account - { email, name, password, role }
+   * @returns {Object} - { user } or { error }
+   */
+  async createUser({ email, name = null, password, role = 'viewer' }) {
+    const error = this.validateAccount({ email, password, role });
+    if (error) return { error };
+
+    const user = await databaseService.createAdminUser({
+      email: email.trim().toLowerCase(),
+      name: name ? String(name).trim().slice(0, 100) || null : null,
+      passwordHash: await this.hashPassword(password),
+      role
+    });
+
+    return user ? { user } : { error: 'An account with this email already exists' };
+  }
+
+  /**
+   * Check credentials and start a session
+   * @param {string} email - Account email
+   * @param {string} password - Plain-text password
+   * @param {Object} client - { ip, userAgent }
+   * @returns {Object|null} - { user, token, expiresAt }, or null if the credentials are wrong
+   */
+  async login(email, password, { ip = null, userAgent = null } = {}) {
+    const user = await databaseService.getAdminUserByEmail(String(email).trim().toLowerCase());
+
+    if (!this.dummyHash) {
+      this.dummyHash = await this.hashPassword(crypto.randomBytes(16).toString('hex'));
+    }
+    const matches = await this.verifyPassword(String(password), user ? user.password_hash : this.dummyHash);
+
+    if (!user || !user.active || !matches) {
+      return null;
+    }
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = new Date(Date.now() + SESSION_HOURS * 60 * 60 * 1000);
+
+    await databaseService.createAdminSession({
+      userId: user.id,
+      tokenHash: this.hashToken(token),
+      ip,
+      userAgent: userAgent ? userAgent.slice(0, 255) : null,
+      expiresAt
+    });
+
+    return { user, token, expiresAt };
+  }
+
+  /**
+   * Look up the account signed in with a session token
+   * @param {string} token - Session token from the cookie
+   * @returns {Object|null} - Session user ({ id, email, name, role, expires_at }), or null
+   */
+  async getSession(token) {
+    if (!token) return null;
+    return databaseService.getAdminSession(this.hashToken(token));
+  }
+
+  /**
+   * End a session
+   * @param {string} token - Session token from the cookie
+   */
+  async logout(token) {
+    if (token) {
+      await databaseService.deleteAdminSession(this.hashToken(token));
+    }
+  }
+
+  /**
+   * Whether a role includes the permissions of another
+   * @param {string} role - Role of the account
+   * @param {string} required - Minimum role
+   * @returns {boolean}
+   */
+  hasRole(role, required) {
+    return ADMIN_ROLES.includes(role) && ADMIN_ROLES.indexOf(role) >= ADMIN_ROLES.indexOf(required);
+  }
+
+  /**
+   * Record an admin action; failures are logged rather than failing the request
+   * @param {Object} entry - { user (or email when nobody is signed in), action, target, details, ip }
+   */
+  async audit({ user = null, email = null, action, target = null, details = null, ip = null }) {
+    try {
+      await databaseService.recordAdminAudit({
+        userId: user?.id || null,
+        email: user?.email || email,
+        action,
+        target: target === null ? null : String(target),
+        details,
+        ip
+      });
+    } catch (error) {
+      console.error(`❌ Audit log error (${action}):`, error.message);
+    }
+  }
+
+  /**
+   * Read the session token from a request's Cookie header
+   * @param {Object} req - Express request
+   * @returns {string|null} - Session token
+   */
+  getSessionToken(req) {
+    const cookies = (req.headers.cookie || '').split(';').map(part => part.trim().split('='));
+    const cookie = cookies.find(([name]) => name === SESSION_COOKIE);
+    return cookie ? cookie.slice(1).join('=') : null;
+  }
+
+  /**
+   * Set-Cookie value for a session (httpOnly, scoped to the admin API)
+   * @param {string} token - Session token, or '' to clear the cookie
+   * @param {Date} expiresAt - Expiry (ignored when clearing)
+   * @returns {string} - Set-Cookie header value
+   */
+  sessionCookie(token, expiresAt) {
+    const maxAge = token ? Math.floor((expiresAt.getTime() - Date.now()) / 1000) : 0;
+
+    return [
+      `${SESSION_COOKIE}=${token}`,
+      'Path=/api/admin',
+      `Max-Age=${maxAge}`,
+      'HttpOnly',
+      'SameSite=Strict',
+      process.env.NODE_ENV === 'production' ? 'Secure' : null
+    ].filter(Boolean).join('; ');
+  }
+
+  /**
+   * SHA-256 of a session token, as stored
+   * @param {string} token - Session token
+   * @returns {string} - Hex digest
+   */
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Admin API representation of an account (never includes the password hash)
+   * @param {Object} row - User row
+   * @returns {Object} - Public account
+   */
+  toPublic(row) {
+    return {
+      id: row.id,
+      email: row.email,
+      name: row.name,
+      role: row.role,
+      active: row.active,
+      lastLoginAt: row.last_login_at,
+      createdAt: row.created_at
+    };
+  }
+
+  /**
+   * Admin API representation of an audit entry
+   * @param {Object} row - Audit row
+   * @returns {Object} - Public audit entry
+   */
+  toPublicAudit(row) {
+    return {
+      id: row.id,
+      email: row.email,
+      action: row.action,
+      target: row.target,
+      details: row.details,
+      ip: row.ip,
+      createdAt: row.created_at
+    };
+  }
+}
+
+module.exports = new AdminAuthService();
+module.exports.ADMIN_ROLES = ADMIN_ROLES;
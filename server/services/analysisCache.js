@@ -0,0 +1,160 @@
+// Analysis cache in front of the crawl and Claude steps
+// Stored submissions double as the cache. A submission is reused when:
+// - the same normalized URL was analyzed with the same rubric and page options within the TTL
+//   (skips the crawl and the Claude call), or
+// - a fresh crawl produces the same content hash as an earlier analysis with the same rubric
+//   (skips the Claude call).
+
+const crypto = require('crypto');
+const databaseService = require('./database');
+const reportService = require('./reports');
+const { normalizePageOptions } = require('./funnelPages');
+
+// Query parameters that only track where a visit came from
+const TRACKING_PARAMS = /^(utm_\w+|gclid|fbclid|msclkid|ref)$/i;
+
+const parseNumber = (value, fallback) => {
+  const number = Number(value);
+  return value !== undefined && value !== '' && Number.isFinite(number) && number >= 0 ? number : fallback;
+};
+
+class AnalysisCache {
+  constructor() {
+    // Reuse an analysis of the same URL for this long (0 disables URL reuse)
+    this.ttlHours = parseNumber(process.env.ANALYSIS_CACHE_TTL_HOURS, 24);
+    // Reuse an analysis of identical content for this long (0 disables content reuse)
+    this.contentMaxAgeDays = parseNumber(process.env.ANALYSIS_CACHE_CONTENT_DAYS, 30);
+  }
+
+  /**
+   * Normalize a URL so trivially different spellings share a cache entry
+   * Lowercases the host, drops "www.", default ports, fragments, tracking parameters
+   * and trailing slashes, and sorts the query string.
+   * @param {string} url - Submitted URL
+   * @returns {string} - Normalized URL
+   */
+  normalizeUrl(url) {
+    try {
+      const parsed = new URL(url);
+      parsed.hash = '';
+      parsed.hostname = parsed.hostname.toLowerCase().replace(/^www\./, '');
+
+      const params = [...parsed.searchParams.entries()]
+        .filter(([key]) => !TRACKING_PARAMS.test(key))
+        .sort(([a], [b]) => a.localeCompare(b));
+      parsed.search = new URLSearchParams(params).toString();
+
+      const pathname = parsed.pathname.replace(/\/+$/, '');
+      return `${parsed.protocol}//${parsed.host}${pathname}${parsed.search}`;
+    } catch (error) {
+      return url.trim().toLowerCase();
+    }
+  }
+
+  /**
+   * Build the cache key for an analysis request
+   * @param {string} url - Submitted URL
+   * @param {Object} rubric - Scoring rubric
+   * @param {Object} pageOptions - Funnel page options ({ limit, types })
+   * @returns {Object} - { normalizedUrl, key }
+   */
+  buildKey(url, rubric, pageOptions) {
+    const normalizedUrl = this.normalizeUrl(url);
+    const pages = pageOptions && !pageOptions.error ? pageOptions : normalizePageOptions(pageOptions || {});
+
+    const key = crypto.createHash('sha256')
+      .update(JSON.stringify({
+        url: normalizedUrl,
+        rubric: `${rubric.id}@${rubric.version}`,
+        pages: { limit: pages.limit, types: [...pages.types].sort() }
+      }))
+      .digest('hex');
+
+    return { normalizedUrl, key };
+  }
+
+  /**
+   * Hash the crawled content Claude would see, plus the SEO audit results
+   * @param {Object} crawlData - Result of crawlerService.crawlSite()
+   * @returns {string} - SHA-256 hex digest
+   */
+  hashContent(crawlData) {
+    const hash = crypto.createHash('sha256');
+
+    for (const page of crawlData.pages || []) {
+      hash.update(`${page.type}\n${page.url}\n${page.content}\n`);
+    }
+    if (!crawlData.pages?.length) {
+      hash.update(crawlData.content || '');
+    }
+
+    const findings = (crawlData.seoAudit?.findings || [])
+      .map(finding => `${finding.id}:${finding.status}:${finding.message}`);
+    hash.update(findings.join('\n'));
+
+    return hash.digest('hex');
+  }
+
+  /**
+   * Find a recent analysis for the same request
+   * @param {Object} cacheKey - Result of buildKey()
+   * @returns {Object|null} - Cached analysis, or null on a miss
+   */
+  async findByUrl(cacheKey) {
+    if (this.ttlHours === 0) {
+      return null;
+    }
+
+    const since = new Date(Date.now() - this.ttlHours * 60 * 60 * 1000);
+    const row = await databaseService.findCachedAnalysis({ cacheKey: cacheKey.key, since });
+    return row ? this.fromRow(row, 'url') : null;
+  }
+
+  /**
+   * Find an earlier analysis of identical content with the same rubric
+   * @param {string} contentHash - Result of hashContent()
+   * @param {Object} rubric - Scoring rubric
+   * @returns {Object|null} - Cached analysis, or null on a miss
+   */
+  async findByContent(contentHash, rubric) {
+    if (this.contentMaxAgeDays === 0) {
+      return null;
+    }
+
+    const since = new Date(Date.now() - this.contentMaxAgeDays * 24 * 60 * 60 * 1000);
+    const row = await databaseService.findAnalysisByContentHash({ contentHash, rubric, since });
+    return row ? this.fromRow(row, 'content') : null;
+  }
+
+  /**
+   * Rebuild an analysis from a stored submission
+   * @param {Object} row - website_submissions row
+   * @param {string} type - How the entry matched: url or content
+   * @returns {Object} - { analysis, crawlSummary, contentLength, contentHash, report, cache }
+   */
+  fromRow(row, type) {
+    return {
+      analysis: {
+        score: row.growth_score,
+        feedback: row.analysis_summary,
+        summary: row.analysis_summary,
+        categories: row.analysis_categories || [],
+        recommendations: row.recommendations || [],
+        seoAudit: row.seo_audit || null,
+        scoringNotes: row.scoring_notes || []
+      },
+      crawlSummary: row.crawl_summary || {},
+      contentLength: row.content_length,
+      contentHash: row.content_hash,
+      report: reportService.describe(row),
+      cache: {
+        hit: true,
+        type: type,
+        sourceId: row.id,
+        analyzedAt: row.analyzed_at
+      }
+    };
+  }
+}
+
+module.exports = new AnalysisCache();
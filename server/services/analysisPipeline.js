@@ -0,0 +1,378 @@
+// Analysis pipeline: cache lookup -> crawl -> AI analysis -> save lead
+// Shared by the job worker so every analysis runs through the same steps
+
+const crawlerService = require('./crawler');
+const anthropicService = require('./anthropic');
+const databaseService = require('./database');
+const seoAuditService = require('./seoAudit');
+const rubricService = require('./rubrics');
+const scoringService = require('./scoring');
+const analysisCache = require('./analysisCache');
+const reportService = require('./reports');
+const webhookService = require('./webhooks');
+const { truncateIp } = require('./attribution');
+
+// Progress reporter used when nobody is following the analysis
+const SILENT_PROGRESS = {
+  setStage: () => {},
+  publish: () => {}
+};
+
+class AnalysisPipeline {
+  /**
+   * Run the full analysis for a submitted website and notify webhook subscribers of the outcome.
+   * Only visitor analyses send webhooks: competitor analyses are part of the visitor's comparison,
+   * and monitor runs report through monitor.alert.
+   * @param {Object} input - Submission data ({ url, pages, rubric, force, ip, userAgent, referrer, attribution, origin })
+   * @param {Object} progress - Receives stage transitions (setStage) and partial results (publish)
+   * @returns {Object} - Analysis response payload for the client
+   */
+  async run(input, progress = SILENT_PROGRESS) {
+    const notify = (input.origin || 'visitor') === 'visitor';
+
+    let result;
+    try {
+      result = await this.analyze(input, progress);
+    } catch (error) {
+      if (!notify) throw error;
+
+      const { error: title, message } = this.describeError(error);
+      webhookService.emit('analysis.failed', {
+        url: input.url,
+        rubric: input.rubric || rubricService.get().id,
+        error: { error: title, message }
+      });
+      throw error;
+    }
+
+    if (!notify) return result;
+
+    webhookService.emit('analysis.completed', {
+      url: result.url,
+      rubric: { id: result.rubric.id, version: result.rubric.version },
+      score: result.analysis.score,
+      summary: result.analysis.summary,
+      categories: result.analysis.categories.map(category => ({ name: category.name, score: category.score })),
+      report: result.report,
+      cached: result.cache.hit
+    });
+
+    return result;
+  }
+
+  /**
+   * Cache lookup, crawl, AI analysis and save for one website
+   * @param {Object} input - Submission data ({ url, pages, rubric, force, ip, userAgent, referrer, attribution, origin })
+   * @param {Object} progress - Receives stage transitions (setStage) and partial results (publish)
+   * @returns {Object} - Analysis response payload for the client
+   */
+  async analyze(input, progress) {
+    const { url } = input;
+    const rubric = rubricService.get(input.rubric);
+
+    if (!rubric) {
+      throw new Error(`Unknown rubric: ${input.rubric}`);
+    }
+
+    console.log(`📊 Starting analysis for: ${url} (rubric: ${rubric.id} v${rubric.version})`);
+
+    // Serve a recent analysis of the same URL without crawling, unless a refresh was forced
+    const cacheKey = analysisCache.buildKey(url, rubric, input.pages);
+    if (!input.force) {
+      const cached = await analysisCache.findByUrl(cacheKey);
+
+      if (cached) {
+        console.log(`♻️  Serving cached analysis for ${cacheKey.normalizedUrl} (ID: ${cached.cache.sourceId})`);
+        progress.publish('cached', cached.cache);
+
+        // Still stored as a submission of its own, so this request gets its own report,
+        // origin and attribution; only the crawl and the Claude call are skipped
+        const metadata = {
+          contentLength: cached.contentLength,
+          pages: cached.crawlSummary.pages || [],
+          crawler: cached.crawlSummary.crawler
+        };
+        const report = await this.saveSubmission(input, {
+          url,
+          rubric,
+          analysis: cached.analysis,
+          metadata,
+          cache: { ...cacheKey, contentHash: cached.contentHash },
+          crawlSummary: cached.crawlSummary,
+          // The TTL keeps counting from the crawl this analysis was made from
+          analyzedAt: cached.cache.analyzedAt
+        }, progress);
+
+        return this.buildResponse({
+          url,
+          rubric,
+          analysis: cached.analysis,
+          metadata,
+          report,
+          cache: cached.cache
+        });
+      }
+    }
+
+    // Step 1: Crawl website (Firecrawl or the built-in crawler)
+    progress.setStage('crawling');
+    console.log('🕷️  Crawling website...');
+    const crawlData = await crawlerService.crawlSite(url, input.pages);
+
+    if (!crawlData || !crawlData.content) {
+      throw new Error('Unable to crawl website');
+    }
+
+    const crawledPages = crawlData.pages.map(page => ({
+      type: page.type,
+      label: page.label,
+      url: page.url,
+      contentLength: page.content.length
+    }));
+
+    console.log(`✅ Successfully crawled ${crawlData.metadata.contentLength} characters from ${crawledPages.length} page(s)`);
+    progress.publish('crawled', {
+      contentLength: crawlData.metadata.contentLength,
+      title: crawlData.metadata?.title,
+      crawler: crawlData.metadata.crawler,
+      pages: crawledPages
+    });
+
+    // Technical SEO audit on the raw HTML, when the crawler returned it
+    crawlData.seoAudit = null;
+    if (crawlData.html) {
+      try {
+        crawlData.seoAudit = seoAuditService.audit(crawlData.html, url);
+        progress.publish('audited', crawlData.seoAudit.counts);
+      } catch (auditError) {
+        // The AI analysis is still useful without the audit
+        console.error('⚠️  SEO audit failed (analysis continues):', auditError.message);
+      }
+    }
+
+    // Step 2: Analyze with Claude AI, unless identical content was already analyzed
+    progress.setStage('analyzing');
+    const contentHash = analysisCache.hashContent(crawlData);
+    const reusable = input.force ? null : await analysisCache.findByContent(contentHash, rubric);
+    let analysisResult;
+    let cache = { hit: false };
+
+    if (reusable) {
+      console.log(`♻️  Content unchanged since analysis ${reusable.cache.sourceId}, skipping AI analysis`);
+      analysisResult = reusable.analysis;
+      cache = reusable.cache;
+      progress.publish('cached', cache);
+    } else {
+      console.log('🤖 Analyzing with AI...');
+      analysisResult = await anthropicService.analyzeWebsiteGrowth(crawlData, rubric);
+
+      if (!analysisResult) {
+        throw new Error('Analysis failed: no result returned');
+      }
+
+      seoAuditService.mergeIntoAnalysis(analysisResult, crawlData.seoAudit, rubric);
+      scoringService.reconcile(analysisResult, rubric);
+    }
+
+    console.log(`✅ Analysis complete - Score: ${analysisResult.score}/100`);
+    progress.publish('analyzed', {
+      score: analysisResult.score,
+      summary: analysisResult.summary,
+      categories: analysisResult.categories || []
+    });
+
+    // Step 3: Save to database as potential lead
+    const report = await this.saveSubmission(input, {
+      url,
+      rubric,
+      analysis: analysisResult,
+      metadata: crawlData.metadata,
+      cache: { ...cacheKey, contentHash },
+      crawlSummary: {
+        title: crawlData.metadata.title,
+        crawler: crawlData.metadata.crawler,
+        pages: crawledPages
+      }
+    }, progress);
+
+    // Step 4: Return structured response
+    return this.buildResponse({
+      url,
+      rubric,
+      analysis: analysisResult,
+      metadata: {
+        contentLength: crawlData.metadata.contentLength,
+        pages: crawledPages,
+        crawler: crawlData.metadata.crawler
+      },
+      report,
+      cache
+    });
+  }
+
+  /**
+   * Store an analysis as a new submission and announce visitor analyses as leads.
+   * A failed save doesn't fail the analysis; the response then has no report link.
+   * @param {Object} input - Submission data ({ ip, userAgent, referrer, attribution, origin })
+   * @param {Object} result - { url, rubric, analysis, metadata, cache, crawlSummary, analyzedAt }
+   * @param {Object} progress - Receives stage transitions (setStage) and partial results (publish)
+   * @returns {Object|null} - Report link of the stored submission
+   */
+  async saveSubmission(input, { url, rubric, analysis, metadata, cache, crawlSummary, analyzedAt }, progress) {
+    progress.setStage('saving');
+    let report = null;
+    try {
+      const leadData = {
+        url: url,
+        analysis: analysis,
+        rubric: rubric,
+        metadata: metadata,
+        cache: cache,
+        crawlSummary: crawlSummary,
+        analyzedAt: analyzedAt || null,
+        ipPrefix: truncateIp(input.ip),
+        userAgent: input.userAgent && input.userAgent !== 'unknown' ? input.userAgent : null,
+        referrer: input.referrer || null,
+        attribution: input.attribution || null,
+        // Why the analysis was made; only visitor analyses count as leads
+        origin: input.origin || 'visitor'
+      };
+
+      const savedLead = await databaseService.saveWebsiteSubmission(leadData);
+
+      if (savedLead) {
+        report = reportService.describe(savedLead);
+        progress.publish('saved', { domain: savedLead.domain });
+      }
+
+      if (savedLead && leadData.origin === 'visitor') {
+        console.log(`🎯 Lead captured: ${savedLead.domain} (Score: ${analysis.score})`);
+        webhookService.emit('lead.captured', {
+          id: savedLead.id,
+          domain: savedLead.domain,
+          url: url,
+          score: analysis.score,
+          summary: analysis.summary,
+          capturedAt: savedLead.created_at,
+          report: report
+        });
+      }
+    } catch (dbError) {
+      // Don't fail the analysis if database save fails
+      console.error('⚠️  Database save failed (analysis continues):', dbError.message);
+    }
+
+    return report;
+  }
+
+  /**
+   * Shape the client response for a fresh or cached analysis
+   * @param {Object} parts - { url, rubric, analysis, metadata, report, cache }
+   * @returns {Object} - Analysis response payload
+   */
+  buildResponse({ url, rubric, analysis, metadata, report, cache }) {
+    return {
+      success: true,
+      url: url,
+      timestamp: new Date().toISOString(),
+      rubric: rubricService.toPublic(rubric),
+      analysis: {
+        score: analysis.score,
+        feedback: analysis.feedback || analysis.summary,
+        summary: analysis.summary,
+        categories: analysis.categories || [],
+        recommendations: analysis.recommendations || [],
+        seoAudit: analysis.seoAudit || null,
+        scoringNotes: analysis.scoringNotes || []
+      },
+      metadata: {
+        ...metadata,
+        analysisTime: new Date().toISOString()
+      },
+      // Shareable link of the stored analysis (null if it couldn't be saved)
+      report: report || null,
+      cache: cache
+    };
+  }
+
+  /**
+   * Translate a pipeline error into a client-facing error description
+   * @param {Error} error - Error thrown while running the pipeline
+   * @returns {Object} - HTTP status, error title and user-friendly message
+   */
+  describeError(error) {
+    const message = error?.message || '';
+
+    if (message.includes('Unknown rubric')) {
+      return {
+        status: 400,
+        error: 'Unknown rubric',
+        message: 'The selected scoring rubric does not exist.'
+      };
+    }
+
+    if (message.includes('Invalid crawl options')) {
+      return {
+        status: 400,
+        error: 'Invalid crawl options',
+        message: message.replace('Invalid crawl options: ', '')
+      };
+    }
+
+    if (message.includes('Unable to crawl website') ||
+        message.includes('Insufficient content') ||
+        message.includes('Unable to reach website') ||
+        message.includes('Website responded with') ||
+        message.includes('Unsupported content type')) {
+      return {
+        status: 400,
+        error: 'Unable to crawl website',
+        message: 'The website could not be accessed or analyzed. Please check the URL and try again.'
+      };
+    }
+
+    if (message.includes('did not match the analysis schema')) {
+      return {
+        status: 502,
+        error: 'Analysis failed',
+        message: 'The AI returned an incomplete analysis. Please try again.'
+      };
+    }
+
+    if (message.includes('rate limit')) {
+      return {
+        status: 429,
+        error: 'Rate limit exceeded',
+        message: 'Too many requests. Please wait a moment before trying again.'
+      };
+    }
+
+    if (message.includes('API key')) {
+      return {
+        status: 500,
+        error: 'Configuration error',
+        message: 'Service temporarily unavailable. Please try again later.'
+      };
+    }
+
+    if (message.includes('timeout')) {
+      return {
+        status: 504,
+        error: 'Request timeout',
+        message: 'The analysis took too long. Please try with a smaller website or try again later.'
+      };
+    }
+
+    // Generic error response
+    return {
+      status: 500,
+      error: 'Analysis failed',
+      message: 'Unable to complete the website analysis. Please try again.',
+      ...(process.env.NODE_ENV === 'development' && {
+        details: message
+      })
+    };
+  }
+}
+
+module.exports = new AnalysisPipeline();
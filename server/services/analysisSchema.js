@@ -0,0 +1,265 @@
+// Structured output contract for Claude's growth analysis
+// Claude must answer by calling the tool from buildAnalysisTool(); validateAnalysis() checks
+// every field because tool input schemas guide the model but are not strictly enforced.
+// Category names and maxima come from the scoring rubric (see services/rubrics.js).
+// The comparison tool carries Claude's competitor comparison; the scores it is based on
+// come from the individual analyses, so it only holds the written insights.
+
+const ANALYSIS_TOOL_NAME = 'submit_growth_analysis';
+const COMPARISON_TOOL_NAME = 'submit_competitor_comparison';
+const PRIORITIES = ['High', 'Medium', 'Low'];
+const EFFORTS = ['Low', 'Medium', 'High'];
+const MAX_RECOMMENDATIONS = 10;
+
+/**
+ * Build the analysis tool definition for a rubric
+ * @param {Object} rubric - Scoring rubric
+ * @returns {Object} - Tool definition for the Messages API
+ */
+function buildAnalysisTool(rubric) {
+  const categories = rubric.categories;
+
+  return {
+    name: ANALYSIS_TOOL_NAME,
+    description: 'Submit the completed website growth analysis. Call this exactly once with the full analysis.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        score: {
+          type: 'integer',
+          minimum: 0,
+          maximum: 100,
+          description: 'Overall growth score, the sum of the category scores'
+        },
+        summary: {
+          type: 'string',
+          description: '2-3 sentence overall assessment'
+        },
+        categories: {
+          type: 'array',
+          description: `One entry per rubric category, in order: ${categories.map(category => category.name).join(', ')}`,
+          minItems: categories.length,
+          maxItems: categories.length,
+          items: {
+            type: 'object',
+            properties: {
+              name: { type: 'string', enum: categories.map(category => category.name) },
+              score: {
+                type: 'integer',
+                minimum: 0,
+                description: `Points earned, at most: ${categories.map(category => `${category.name} ${category.maxScore}`).join(', ')}`
+              },
+              feedback: { type: 'string', description: 'Specific feedback for this category' }
+            },
+            required: ['name', 'score', 'feedback']
+          }
+        },
+        recommendations: {
+          type: 'array',
+          minItems: 1,
+          maxItems: MAX_RECOMMENDATIONS,
+          items: {
+            type: 'object',
+            properties: {
+              priority: { type: 'string', enum: PRIORITIES },
+              action: { type: 'string', description: 'Specific actionable recommendation' },
+              impact: { type: 'string', description: 'Expected impact on growth' },
+              effort: { type: 'string', enum: EFFORTS },
+              page: {
+                type: ['string', 'null'],
+                description: 'Label of the page this applies to (e.g. Pricing), or null if site-wide'
+              }
+            },
+            required: ['priority', 'action', 'impact', 'effort']
+          }
+        }
+      },
+      required: ['score', 'summary', 'categories', 'recommendations']
+    }
+  };
+}
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+
+/**
+ * Validate an analysis submitted through the analysis tool
+ * @param {Object} analysis - Tool input from Claude
+ * @param {Object} rubric - Scoring rubric the analysis must follow
+ * @returns {string[]} - Validation errors (empty when the analysis is valid)
+ */
+function validateAnalysis(analysis, rubric) {
+  const errors = [];
+
+  if (!analysis || typeof analysis !== 'object') {
+    return ['The analysis must be an object'];
+  }
+
+  if (!Number.isInteger(analysis.score) || analysis.score < 0 || analysis.score > 100) {
+    errors.push('score must be an integer between 0 and 100');
+  }
+
+  if (!isNonEmptyString(analysis.summary)) {
+    errors.push('summary must be a non-empty string');
+  }
+
+  if (!Array.isArray(analysis.categories)) {
+    errors.push('categories must be an array');
+  } else {
+    const seen = new Set();
+
+    analysis.categories.forEach((category, index) => {
+      const rubricCategory = rubric.categories.find(item => item.name === category?.name);
+
+      if (!rubricCategory) {
+        errors.push(`categories[${index}].name "${category?.name}" is not a rubric category`);
+        return;
+      }
+      if (seen.has(category.name)) {
+        errors.push(`categories[${index}] repeats "${category.name}"`);
+      }
+      seen.add(category.name);
+
+      if (!Number.isInteger(category.score) || category.score < 0 || category.score > rubricCategory.maxScore) {
+        errors.push(`categories[${index}].score for "${category.name}" must be an integer between 0 and ${rubricCategory.maxScore}`);
+      }
+      if (!isNonEmptyString(category.feedback)) {
+        errors.push(`categories[${index}].feedback for "${category.name}" must be a non-empty string`);
+      }
+    });
+
+    rubric.categories
+      .filter(category => !seen.has(category.name))
+      .forEach(category => errors.push(`categories is missing "${category.name}"`));
+  }
+
+  if (!Array.isArray(analysis.recommendations) || analysis.recommendations.length === 0) {
+    errors.push('recommendations must be a non-empty array');
+  } else {
+    if (analysis.recommendations.length > MAX_RECOMMENDATIONS) {
+      errors.push(`recommendations must have at most ${MAX_RECOMMENDATIONS} entries`);
+    }
+
+    analysis.recommendations.forEach((recommendation, index) => {
+      if (!PRIORITIES.includes(recommendation?.priority)) {
+        errors.push(`recommendations[${index}].priority must be one of ${PRIORITIES.join(', ')}`);
+      }
+      if (!EFFORTS.includes(recommendation?.effort)) {
+        errors.push(`recommendations[${index}].effort must be one of ${EFFORTS.join(', ')}`);
+      }
+      if (!isNonEmptyString(recommendation?.action)) {
+        errors.push(`recommendations[${index}].action must be a non-empty string`);
+      }
+      if (!isNonEmptyString(recommendation?.impact)) {
+        errors.push(`recommendations[${index}].impact must be a non-empty string`);
+      }
+      if (recommendation?.page !== undefined && recommendation.page !== null && typeof recommendation.page !== 'string') {
+        errors.push(`recommendations[${index}].page must be a string or null`);
+      }
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Build the competitor comparison tool definition for a rubric
+ * @param {Object} rubric - Scoring rubric all compared sites were scored with
+ * @returns {Object} - Tool definition for the Messages API
+ */
+function buildComparisonTool(rubric) {
+  const categories = rubric.categories;
+
+  return {
+    name: COMPARISON_TOOL_NAME,
+    description: 'Submit the completed competitor comparison. Call this exactly once with the full comparison.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        summary: {
+          type: 'string',
+          description: '2-3 sentence assessment of how the primary site stacks up against its competitors'
+        },
+        categories: {
+          type: 'array',
+          description: `One entry per rubric category, in order: ${categories.map(category => category.name).join(', ')}`,
+          minItems: categories.length,
+          maxItems: categories.length,
+          items: {
+            type: 'object',
+            properties: {
+              name: { type: 'string', enum: categories.map(category => category.name) },
+              insight: {
+                type: 'string',
+                description: 'What the leading site does better (or what keeps the primary site ahead), naming sites by domain'
+              },
+              action: {
+                type: 'string',
+                description: 'Specific action for the primary site to close the gap or extend its lead'
+              }
+            },
+            required: ['name', 'insight', 'action']
+          }
+        }
+      },
+      required: ['summary', 'categories']
+    }
+  };
+}
+
+/**
+ * Validate a comparison submitted through the comparison tool
+ * @param {Object} comparison - Tool input from Claude
+ * @param {Object} rubric - Scoring rubric the comparison must follow
+ * @returns {string[]} - Validation errors (empty when the comparison is valid)
+ */
+function validateComparison(comparison, rubric) {
+  const errors = [];
+
+  if (!comparison || typeof comparison !== 'object') {
+    return ['The comparison must be an object'];
+  }
+
+  if (!isNonEmptyString(comparison.summary)) {
+    errors.push('summary must be a non-empty string');
+  }
+
+  if (!Array.isArray(comparison.categories)) {
+    errors.push('categories must be an array');
+    return errors;
+  }
+
+  const seen = new Set();
+
+  comparison.categories.forEach((category, index) => {
+    if (!rubric.categories.some(item => item.name === category?.name)) {
+      errors.push(`categories[${index}].name "${category?.name}" is not a rubric category`);
+      return;
+    }
+    if (seen.has(category.name)) {
+      errors.push(`categories[${index}] repeats "${category.name}"`);
+    }
+    seen.add(category.name);
+
+    if (!isNonEmptyString(category.insight)) {
+      errors.push(`categories[${index}].insight for "${category.name}" must be a non-empty string`);
+    }
+    if (!isNonEmptyString(category.action)) {
+      errors.push(`categories[${index}].action for "${category.name}" must be a non-empty string`);
+    }
+  });
+
+  rubric.categories
+    .filter(category => !seen.has(category.name))
+    .forEach(category => errors.push(`categories is missing "${category.name}"`));
+
+  return errors;
+}
+
+module.exports = {
+  ANALYSIS_TOOL_NAME,
+  COMPARISON_TOOL_NAME,
+  buildAnalysisTool,
+  buildComparisonTool,
+  validateAnalysis,
+  validateComparison
+};
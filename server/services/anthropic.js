@@ -3,6 +3,17 @@
 // Add ANTHROPIC_API_KEY to your Railway environment variables
 
 const Anthropic = require('@anthropic-ai/sdk');
+const {
+  ANALYSIS_TOOL_NAME,
+  COMPARISON_TOOL_NAME,
+  buildAnalysisTool,
+  buildComparisonTool,
+  validateAnalysis,
+  validateComparison
+} = require('./analysisSchema');
+
+// Attempts at getting a valid analysis before giving up (first try + repair retries)
+const MAX_ANALYSIS_ATTEMPTS = 3;
 
 class AnthropicService {
   constructor() {
@@ -20,10 +31,11 @@ class AnthropicService {
 
   /**
    * Analyze website content for growth potential using Claude AI
-   * @param {Object} crawlData - Content and metadata from Firecrawl
+   * @param {Object} crawlData - Content and metadata from the crawler
+   * @param {Object} rubric - Scoring rubric to apply
    * @returns {Object} - Analysis results with score and feedback
    */
-  async analyzeWebsiteGrowth(crawlData) {
+  async analyzeWebsiteGrowth(crawlData, rubric) {
     try {
       console.log('🤖 Starting AI analysis...');
 
@@ -31,27 +43,16 @@ class AnthropicService {
         throw new Error('Anthropic API key not configured');
       }
 
-      const growthAnalysisPrompt = this.buildGrowthPrompt(crawlData);
-
-      const message = await this.anthropic.messages.create({
-        model: "claude-sonnet-4-20250514", // TODO: Update to latest model if needed
-        max_tokens: 4000,
-        temperature: 0.3, // Lower temperature for more consistent scoring
-        messages: [
-          {
-            role: "user",
-            content: growthAnalysisPrompt
-          }
-        ]
-      });
+      const growthAnalysisPrompt = this.buildGrowthPrompt(crawlData, rubric);
+      const analysis = await this.requestToolOutput(
+        growthAnalysisPrompt,
+        buildAnalysisTool(rubric),
+        (input) => validateAnalysis(input, rubric),
+        'analysis'
+      );
 
-      const response = message.content[0].text;
-      
-      // Parse the structured response from Claude
-      const analysisResult = this.parseAnalysisResponse(response);
-      
+      const analysisResult = this.normalizeAnalysis(analysis, rubric);
       console.log(`✅ AI analysis complete - Score: ${analysisResult.score}/100`);
-      
       return analysisResult;
 
     } catch (error) {
@@ -73,13 +74,134 @@ class AnthropicService {
     }
   }
 
+  /**
+   * Compare the primary site's analysis with its competitors' analyses
+   * @param {Object} primary - Analysis response for the primary site
+   * @param {Object[]} competitors - Analysis responses for the competitors
+   * @param {Object} rubric - Scoring rubric all sites were scored with
+   * @returns {Object} - Comparison with a summary and per-category insights
+   */
+  async compareWebsites(primary, competitors, rubric) {
+    try {
+      console.log(`🤖 Starting AI comparison against ${competitors.length} competitor(s)...`);
+
+      if (!this.anthropic) {
+        throw new Error('Anthropic API key not configured');
+      }
+
+      const comparison = await this.requestToolOutput(
+        this.buildComparisonPrompt(primary, competitors, rubric),
+        buildComparisonTool(rubric),
+        (input) => validateComparison(input, rubric),
+        'comparison'
+      );
+
+      console.log('✅ AI comparison complete');
+      return comparison;
+
+    } catch (error) {
+      console.error('❌ Anthropic AI error:', error.message);
+
+      if (error.message.includes('rate_limit')) {
+        throw new Error('Claude API rate limit exceeded. Please try again in a few minutes.');
+      }
+
+      if (error.message.includes('overloaded')) {
+        throw new Error('Claude AI service is temporarily overloaded. Please try again in a moment.');
+      }
+
+      throw new Error(`AI comparison failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Ask Claude to answer through a forced tool call, feeding validation errors back for repair
+   * @param {string} prompt - User prompt
+   * @param {Object} tool - Tool definition Claude must call
+   * @param {Function} validate - Returns a list of problems with the tool input
+   * @param {string} label - Name of the expected output, used in error messages
+   * @returns {Object} - Validated tool input
+   */
+  async requestToolOutput(prompt, tool, validate, label) {
+    const messages = [
+      {
+        role: "user",
+        content: prompt
+      }
+    ];
+
+    let errors = [];
+
+    for (let attempt = 1; attempt <= MAX_ANALYSIS_ATTEMPTS; attempt++) {
+      const message = await this.anthropic.messages.create({
+        model: "claude-sonnet-4-20250514", // TODO: Update to latest model if needed
+        max_tokens: 4000,
+        temperature: 0.3, // Lower temperature for more consistent scoring
+        tools: [tool],
+        // Force the structured answer through the tool
+        tool_choice: { type: "tool", name: tool.name },
+        messages: messages
+      });
+
+      const toolUse = message.content.find(block => block.type === 'tool_use' && block.name === tool.name);
+
+      if (!toolUse) {
+        errors = [`No ${tool.name} tool call in the response (stop reason: ${message.stop_reason})`];
+        console.warn(`⚠️  Attempt ${attempt}/${MAX_ANALYSIS_ATTEMPTS}: ${errors[0]}`);
+        continue;
+      }
+
+      errors = validate(toolUse.input);
+
+      if (errors.length === 0) {
+        return toolUse.input;
+      }
+
+      console.warn(`⚠️  Attempt ${attempt}/${MAX_ANALYSIS_ATTEMPTS}: invalid ${label} - ${errors.join('; ')}`);
+
+      // Feed the validation errors back so Claude can repair its answer
+      messages.push(
+        { role: "assistant", content: message.content },
+        {
+          role: "user",
+          content: [
+            {
+              type: "tool_result",
+              tool_use_id: toolUse.id,
+              is_error: true,
+              content: `The ${label} is invalid:\n- ${errors.join('\n- ')}\nCall ${tool.name} again with the complete, corrected ${label}.`
+            }
+          ]
+        }
+      );
+    }
+
+    throw new Error(`Claude response did not match the ${label} schema after ${MAX_ANALYSIS_ATTEMPTS} attempts: ${errors.join('; ')}`);
+  }
+
   /**
    * Build the growth analysis prompt for Claude
    * @param {Object} crawlData - Website content and metadata
+   * @param {Object} rubric - Scoring rubric defining the categories and guidelines
    * @returns {string} - Formatted prompt for Claude
    */
-  buildGrowthPrompt(crawlData) {
-    return `You are a senior growth consultant and conversion optimization expert with 15+ years of experience helping websites achieve exponential growth. You specialize in analyzing websites through the lens of proven growth frameworks including AARRR (Acquisition, Activation, Retention, Referral, Revenue), conversion funnel optimization, and user experience psychology.
+  buildGrowthPrompt(crawlData, rubric) {
+    const framework = rubric.categories.map((category, index) => {
+      const criteria = (category.criteria || []).map(criterion => `   - ${criterion}`).join('\n');
+      const guidance = category.guidance ? `\n   Scoring guidance: ${category.guidance}` : '';
+      return `${index + 1}. **${category.name.toUpperCase()}** (${category.maxScore} points)\n${criteria}${guidance}`;
+    }).join('\n\n');
+
+    const categoryLimits = rubric.categories
+      .map(category => `${category.name} (0-${category.maxScore})`)
+      .join(', ');
+
+    const guidelines = [
+      ...(rubric.guidelines || []),
+      'When several pages were crawled, refer to them by their label (e.g. "the Pricing page") in feedback and recommendations; a funnel page that wasn\'t found means it isn\'t linked from the homepage'
+    ].map(guideline => `- ${guideline}`).join('\n');
+
+    return `${rubric.persona}
 
 WEBSITE TO ANALYZE:
 URL: ${crawlData.url}
@@ -87,157 +209,134 @@ Title: ${crawlData.metadata.title}
 Description: ${crawlData.metadata.description || 'No description available'}
 
 WEBSITE CONTENT:
-${crawlData.content}
-
+${this.buildPagesSection(crawlData)}
+${this.buildSeoAuditSection(crawlData.seoAudit)}
 ANALYSIS FRAMEWORK:
 Please analyze this website across these critical growth dimensions:
 
-1. **FIRST IMPRESSION & VALUE PROPOSITION** (20 points)
-   - Clear value proposition within 5 seconds
-   - Professional design and trustworthiness
-   - Mobile responsiveness indicators
-   - Loading speed perception
-
-2. **CONVERSION OPTIMIZATION** (25 points)
-   - Clear call-to-action buttons
-   - Friction reduction in user journey
-   - Forms and signup process simplicity
-   - Social proof and testimonials
-
-3. **CONTENT & MESSAGING** (20 points)
-   - Benefit-focused copy vs feature-focused
-   - Clear target audience messaging
-   - Content quality and engagement
-   - SEO-friendly content structure
-
-4. **GROWTH MECHANICS** (20 points)
-   - Lead magnets and email capture
-   - Referral or sharing mechanisms
-   - Viral or network effects potential
-   - Retention and engagement features
-
-5. **TECHNICAL FOUNDATION** (15 points)
-   - Basic SEO elements (titles, meta descriptions)
-   - Contact information and trust signals
-   - Navigation clarity
-   - Accessibility basics
+${framework}
 
 REQUIRED OUTPUT FORMAT:
-Please respond with EXACTLY this JSON structure (no additional text before or after):
-
-{
-  "score": [number between 0-100],
-  "summary": "[2-3 sentence overall assessment]",
-  "categories": [
-    {
-      "name": "First Impression & Value Proposition",
-      "score": [0-20],
-      "feedback": "[specific feedback]"
-    },
-    {
-      "name": "Conversion Optimization", 
-      "score": [0-25],
-      "feedback": "[specific feedback]"
-    },
-    {
-      "name": "Content & Messaging",
-      "score": [0-20], 
-      "feedback": "[specific feedback]"
-    },
-    {
-      "name": "Growth Mechanics",
-      "score": [0-20],
-      "feedback": "[specific feedback]"
-    },
-    {
-      "name": "Technical Foundation",
-      "score": [0-15],
-      "feedback": "[specific feedback]"
-    }
-  ],
-  "recommendations": [
-    {
-      "priority": "High|Medium|Low",
-      "action": "[specific actionable recommendation]",
-      "impact": "[expected impact on growth]",
-      "effort": "Low|Medium|High"
-    }
-  ]
-}
+Submit your analysis by calling the ${ANALYSIS_TOOL_NAME} tool exactly once, with:
+- "score": overall score between 0-100, the sum of the category scores
+- "summary": 2-3 sentence overall assessment
+- "categories": one entry for each of the ${rubric.categories.length} categories above, using these exact names and maximum points:
+  ${categoryLimits}
+- "recommendations": prioritized recommendations, each with priority (High|Medium|Low), a specific action, the expected impact on growth, effort (Low|Medium|High) and the label of the page it applies to (e.g. Pricing), or null if site-wide
 
 ANALYSIS GUIDELINES:
-- Be honest and direct in your scoring - most websites have significant room for improvement
-- Focus on actionable insights, not generic advice
-- Consider both B2B and B2C growth principles
-- Prioritize recommendations by potential impact vs implementation effort
-- Score conservatively - an 80+ score should represent truly exceptional growth optimization
-- Provide specific examples from the website content when possible
-- If critical information is missing (like contact info), factor that into scoring
+${guidelines}
 
 Analyze this website now:`;
   }
 
   /**
-   * Parse Claude's response into structured analysis results
-   * @param {string} response - Raw response from Claude
-   * @returns {Object} - Parsed analysis results
+   * Render the crawled pages as labeled sections for the prompt
+   * @param {Object} crawlData - Website content and metadata
+   * @returns {string} - Page sections, or the raw content for single-page crawls
    */
-  parseAnalysisResponse(response) {
-    try {
-      // Clean the response to extract JSON
-      let cleanResponse = response.trim();
-      
-      // Remove any markdown code blocks if present
-      cleanResponse = cleanResponse.replace(/```json\n?/g, '').replace(/```\n?/g, '');
-      
-      // Find JSON object in the response
-      const jsonMatch = cleanResponse.match(/\{[\s\S]*\}/);
-      if (!jsonMatch) {
-        throw new Error('No valid JSON found in Claude response');
-      }
+  buildPagesSection(crawlData) {
+    const pages = crawlData.pages || [];
 
-      const parsedResult = JSON.parse(jsonMatch[0]);
-      
-      // Validate required fields
-      if (!parsedResult.score || !parsedResult.categories || !parsedResult.recommendations) {
-        throw new Error('Invalid response structure from Claude');
-      }
+    if (pages.length <= 1) {
+      return crawlData.content;
+    }
 
-      // Ensure score is within valid range
-      parsedResult.score = Math.min(100, Math.max(0, parsedResult.score));
+    const sections = pages.map((page, index) => `=== PAGE ${index + 1}: ${page.label} (${page.url}) ===
+Title: ${page.metadata?.title || 'Unknown Title'}
+${page.content}`);
 
-      // Add fallback values for optional fields
-      parsedResult.summary = parsedResult.summary || 'Analysis completed successfully.';
-      parsedResult.feedback = parsedResult.summary; // Backward compatibility
+    return `${pages.length} pages were crawled: ${pages.map(page => page.label).join(', ')}.
 
-      return parsedResult;
+${sections.join('\n\n')}`;
+  }
 
-    } catch (error) {
-      console.error('❌ Failed to parse Claude response:', error.message);
-      console.log('Raw response:', response);
-      
-      // Return fallback analysis result
-      return {
-        score: 50,
-        summary: 'Analysis completed but response parsing failed. Please try again.',
-        feedback: 'The website analysis encountered a technical issue. The website appears to have basic functionality but we recommend running the analysis again for detailed insights.',
-        categories: [
-          {
-            name: 'Analysis Error',
-            score: 50,
-            feedback: 'Technical issue prevented detailed analysis. Please try again.'
-          }
-        ],
-        recommendations: [
-          {
-            priority: 'High',
-            action: 'Re-run the analysis for detailed insights',
-            impact: 'Get specific recommendations for growth optimization',
-            effort: 'Low'
-          }
-        ]
-      };
+  /**
+   * Render the technical SEO audit as verified facts for the prompt
+   * @param {Object|null} seoAudit - Result of the rule-based SEO audit
+   * @returns {string} - Prompt section, or an empty string without an audit
+   */
+  buildSeoAuditSection(seoAudit) {
+    if (!seoAudit) {
+      return '';
     }
+
+    const findings = seoAudit.findings
+      .map(finding => `- [${finding.status.toUpperCase()}] ${finding.check}: ${finding.message}`)
+      .join('\n');
+
+    return `
+TECHNICAL SEO AUDIT (verified from the page's raw HTML - treat these as facts, not guesses):
+${findings}
+Base the technical feedback on these findings instead of inferring SEO elements from the text content.
+`;
+  }
+
+  /**
+   * Build the competitor comparison prompt for Claude
+   * @param {Object} primary - Analysis response for the primary site
+   * @param {Object[]} competitors - Analysis responses for the competitors
+   * @param {Object} rubric - Scoring rubric all sites were scored with
+   * @returns {string} - Formatted prompt for Claude
+   */
+  buildComparisonPrompt(primary, competitors, rubric) {
+    const describeSite = (site, heading) => {
+      const categories = site.analysis.categories
+        .map(category => `- ${category.name}: ${category.score}/${category.maxScore} - ${category.feedback}`)
+        .join('\n');
+
+      return `=== ${heading}: ${site.url} ===
+Overall score: ${site.analysis.score}/100
+Summary: ${site.analysis.summary}
+${categories}`;
+    };
+
+    const sites = [
+      describeSite(primary, 'PRIMARY SITE'),
+      ...competitors.map((competitor, index) => describeSite(competitor, `COMPETITOR ${index + 1}`))
+    ].join('\n\n');
+
+    return `${rubric.persona}
+
+Each of the websites below was analyzed separately with the same "${rubric.name}" rubric. Compare the
+primary site with its competitors and explain, category by category, where it leads or lags.
+
+${sites}
+
+REQUIRED OUTPUT FORMAT:
+Submit your comparison by calling the ${COMPARISON_TOOL_NAME} tool exactly once, with:
+- "summary": 2-3 sentence assessment of how the primary site stacks up
+- "categories": one entry for each of the ${rubric.categories.length} rubric categories (${rubric.categories.map(category => category.name).join(', ')}), with
+  an "insight" explaining what the best site in that category does differently and an "action" the primary site should take
+
+COMPARISON GUIDELINES:
+- Base the comparison on the scores and feedback above; do not invent features that aren't mentioned
+- Refer to sites by their domain
+- Where the primary site leads, explain what keeps it ahead and how to extend the lead
+- Make each action specific enough to implement
+
+Compare these websites now:`;
+  }
+
+  /**
+   * Fill derived fields on a validated analysis
+   * @param {Object} analysis - Validated tool input from Claude
+   * @param {Object} rubric - Scoring rubric the analysis follows
+   * @returns {Object} - Analysis results, with categories in rubric order and their maxima
+   */
+  normalizeAnalysis(analysis, rubric) {
+    return {
+      ...analysis,
+      feedback: analysis.summary, // Backward compatibility
+      categories: rubric.categories.map(rubricCategory => ({
+        ...analysis.categories.find(category => category.name === rubricCategory.name),
+        maxScore: rubricCategory.maxScore
+      })),
+      recommendations: analysis.recommendations.map(recommendation => ({
+        ...recommendation,
+        page: recommendation.page || null
+      }))
+    };
   }
 
   /**
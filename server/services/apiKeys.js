@@ -0,0 +1,167 @@
+// API keys: programmatic access to the analysis endpoints with per-key limits instead of the per-IP limit.
+// Keys are shown once when created; only their SHA-256 is stored. Usage is counted in Postgres
+// per minute (rate limit), day and month (quotas).
+
+const crypto = require('crypto');
+const databaseService = require('./database');
+const { MAX_COMPETITORS } = require('./comparison');
+
+const KEY_PREFIX = 'rmw_';
+
+// Limits of new keys unless set when the key is created
+const DEFAULT_LIMITS = {
+  rateLimitPerMinute: parseInt(process.env.API_KEY_RATE_LIMIT_PER_MINUTE) || 10,
+  dailyQuota: parseInt(process.env.API_KEY_DAILY_QUOTA) || 200,
+  monthlyQuota: parseInt(process.env.API_KEY_MONTHLY_QUOTA) || 3000
+};
+
+const LIMIT_FIELDS = Object.keys(DEFAULT_LIMITS);
+
+class ApiKeyService {
+  /**
+   * Read the API key of a request (X-API-Key, or an Authorization bearer token with the key prefix)
+   * @param {Object} req - Express request
+   * @returns {string|null} - API key
+   */
+  getKeyFromRequest(req) {
+    const header = req.get('x-api-key');
+    if (header) return header.trim();
+
+    const bearer = req.get('authorization')?.match(/^Bearer\s+(\S+)$/i)?.[1];
+    return bearer && bearer.startsWith(KEY_PREFIX) ? bearer : null;
+  }
+
+  /**
+   * Look up an unrevoked key
+   * @param {string} key - API key
+   * @returns {Object|null} - API key row
+   */
+  async authenticate(key) {
+    return databaseService.getApiKeyByHash(this.hashKey(key));
+  }
+
+  /**
+   * Validate the name and limits of a create or update request
+   * @param {Object} body - { name, rateLimitPerMinute, dailyQuota, monthlyQuota }
+   * @param {boolean} isNew - Whether the name is required
+   * @returns {string|null} - Error message, or null if valid
+   */
+  validate(body, isNew) {
+    const { name } = body;
+
+    if ((isNew || name !== undefined) &&
+        (typeof name !== 'string' || !name.trim() || name.trim().length > 100)) {
+      return 'name is required (at most 100 characters)';
+    }
+
+    const invalid = LIMIT_FIELDS.find(field => body[field] !== undefined &&
+      (!Number.isInteger(body[field]) || body[field] < 1));
+    if (invalid) {
+      return `${invalid} must be a positive whole number`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Issue a new key
+   * @param {Object} options - { name, rateLimitPerMinute, dailyQuota, monthlyQuota, createdBy }
+   * @returns {Object} - { key (plain text, shown once), row }
+   */
+  async create({ name, createdBy = null, ...limits }) {
+    const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+
+    const row = await databaseService.createApiKey({
+      name: name.trim(),
+      prefix: key.slice(0, KEY_PREFIX.length + 6),
+      keyHash: this.hashKey(key),
+      rateLimitPerMinute: limits.rateLimitPerMinute ?? DEFAULT_LIMITS.rateLimitPerMinute,
+      dailyQuota: limits.dailyQuota ?? DEFAULT_LIMITS.dailyQuota,
+      monthlyQuota: limits.monthlyQuota ?? DEFAULT_LIMITS.monthlyQuota,
+      createdBy
+    });
+
+    return { key, row };
+  }
+
+  /**
+   * Number of analyses a request counts as: one per website, so a comparison also counts its competitors
+   * @param {Object} req - Express request to the analyze router
+   * @returns {number} - Units to consume
+   */
+  requestCost(req) {
+    const competitors = req.path === '/compare' && Array.isArray(req.body?.competitors)
+      ? Math.min(req.body.competitors.length, MAX_COMPETITORS)
+      : 0;
+    return 1 + competitors;
+  }
+
+  /**
+   * Count a request against a key's limits
+   * @param {Object} apiKey - API key row
+   * @param {number} units - Analyses the request counts as (see requestCost())
+   * @returns {Object|null} - { allowed, units, window }, where window is the exceeded window when not allowed
+   *                          and otherwise the one closest to its limit; null if the key was revoked
+   */
+  async consume(apiKey, units = 1) {
+    const usage = await databaseService.consumeApiKeyQuota(apiKey.id, units);
+    if (!usage) return null;
+
+    const window = usage.allowed
+      ? usage.windows.reduce((closest, item) =>
+        item.limit - item.used < closest.limit - closest.used ? item : closest)
+      : usage.windows.find(item => item.used + units > item.limit);
+
+    return { allowed: usage.allowed, units, window };
+  }
+
+  /**
+   * Set the X-RateLimit headers (and Retry-After when the limit is reached)
+   * @param {Object} res - Express response
+   * @param {Object} usage - Result of consume()
+   */
+  setRateLimitHeaders(res, { allowed, window }) {
+    res.setHeader('X-RateLimit-Limit', window.limit);
+    res.setHeader('X-RateLimit-Remaining', Math.max(0, window.limit - window.used));
+    res.setHeader('X-RateLimit-Reset', Math.ceil(Date.now() / 1000) + window.resetSeconds);
+    res.setHeader('X-RateLimit-Window', window.name);
+
+    if (!allowed) {
+      res.setHeader('Retry-After', window.resetSeconds);
+    }
+  }
+
+  /**
+   * SHA-256 of a key, as stored
+   * @param {string} key - API key
+   * @returns {string} - Hex digest
+   */
+  hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+  }
+
+  /**
+   * Admin API representation of a key (never includes the key or its hash)
+   * @param {Object} row - API key row, optionally with used_today and used_this_month
+   * @returns {Object} - Public key
+   */
+  toPublic(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      prefix: row.prefix,
+      rateLimitPerMinute: row.rate_limit_per_minute,
+      dailyQuota: row.daily_quota,
+      monthlyQuota: row.monthly_quota,
+      usedToday: row.used_today ?? null,
+      usedThisMonth: row.used_this_month ?? null,
+      createdBy: row.created_by,
+      createdAt: row.created_at,
+      lastUsedAt: row.last_used_at,
+      revokedAt: row.revoked_at
+    };
+  }
+}
+
+module.exports = new ApiKeyService();
+module.exports.DEFAULT_LIMITS = DEFAULT_LIMITS;
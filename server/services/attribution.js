@@ -0,0 +1,109 @@
+// Visitor attribution: the UTM parameters and landing referrer the client sends with an analysis,
+// cleaned up before they are stored, and the IP address truncated so no full address is kept.
+
+const net = require('net');
+
+// UTM parameters accepted from the client, stored in the matching utm_* columns
+const UTM_FIELDS = ['utmSource', 'utmMedium', 'utmCampaign', 'utmTerm', 'utmContent'];
+
+// Grouped case-insensitively in the attribution report, so they are stored lowercase
+const LOWERCASE_FIELDS = ['utmSource', 'utmMedium', 'utmCampaign'];
+
+// Dimensions of the attribution report, on website_submissions aliased as s. Visits without UTM
+// parameters fall back to the referrer host, like web analytics tools report them.
+const ATTRIBUTION_DIMENSIONS = {
+  source: "COALESCE(s.utm_source, s.referrer_host, '(direct)')",
+  medium: "COALESCE(s.utm_medium, CASE WHEN s.referrer_host IS NOT NULL THEN 'referral' ELSE '(none)' END)",
+  campaign: "COALESCE(s.utm_campaign, '(not set)')"
+};
+
+const MAX_UTM_LENGTH = 200;
+const MAX_REFERRER_LENGTH = 500;
+
+/**
+ * Trim an optional text value
+ * @param {*} value - Request value
+ * @param {number} maxLength - Longest value kept
+ * @returns {string|null} - Text, or null when absent or not a string
+ */
+const cleanText = (value, maxLength) => {
+  if (typeof value !== 'string') return null;
+  const text = value.trim().slice(0, maxLength);
+  return text || null;
+};
+
+/**
+ * Parse a referrer URL, dropping its query string and fragment (they may carry personal data)
+ * @param {*} value - Referrer from the client
+ * @returns {Object|null} - { url, host }, or null when it is not an http(s) URL
+ */
+function parseReferrer(value) {
+  if (typeof value !== 'string' || !value.trim()) return null;
+
+  try {
+    const referrer = new URL(value.trim());
+    if (!['http:', 'https:'].includes(referrer.protocol)) return null;
+
+    return {
+      url: `${referrer.protocol}//${referrer.host}${referrer.pathname}`.slice(0, MAX_REFERRER_LENGTH),
+      host: referrer.hostname.replace(/^www\./, '').toLowerCase()
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Clean up the attribution of an analysis request; invalid values are dropped rather than rejected
+ * @param {Object} raw - { utmSource, utmMedium, utmCampaign, utmTerm, utmContent, landingReferrer }
+ * @returns {Object} - Same fields (null when absent) plus referrerHost
+ */
+function normalizeAttribution(raw) {
+  const input = raw && typeof raw === 'object' ? raw : {};
+  const attribution = {};
+
+  for (const field of UTM_FIELDS) {
+    const value = cleanText(input[field], MAX_UTM_LENGTH);
+    attribution[field] = value && LOWERCASE_FIELDS.includes(field) ? value.toLowerCase() : value;
+  }
+
+  const referrer = parseReferrer(input.landingReferrer);
+  attribution.landingReferrer = referrer?.url || null;
+  attribution.referrerHost = referrer?.host || null;
+
+  return attribution;
+}
+
+/**
+ * Truncate an IP address: the last octet of IPv4, everything after the first 48 bits of IPv6
+ * @param {string} ip - Client address (IPv4-mapped IPv6 addresses are treated as IPv4)
+ * @returns {string|null} - Truncated address, or null when ip is not an IP address
+ */
+function truncateIp(ip) {
+  const address = typeof ip === 'string' ? ip.replace(/^::ffff:(?=\d+\.)/i, '') : '';
+
+  if (net.isIPv4(address)) {
+    return address.replace(/\.\d+$/, '.0');
+  }
+
+  if (net.isIPv6(address)) {
+    // Expand :: so the first three groups can be read
+    const [head, tail = ''] = address.split('::');
+    const headGroups = head ? head.split(':') : [];
+    const tailGroups = tail ? tail.split(':') : [];
+    const groups = address.includes('::')
+      ? [...headGroups, ...Array(8 - headGroups.length - tailGroups.length).fill('0'), ...tailGroups]
+      : headGroups;
+
+    return `${groups.slice(0, 3).map(group => group.toLowerCase().replace(/^0+(?=.)/, '')).join(':')}::`;
+  }
+
+  return null;
+}
+
+module.exports = {
+  UTM_FIELDS,
+  ATTRIBUTION_DIMENSIONS,
+  normalizeAttribution,
+  truncateIp
+};
@@ -0,0 +1,191 @@
+// Competitor comparison: analyze a primary site and its competitors with the same rubric,
+// then ask Claude where the primary site leads or lags in each category.
+// Each site goes through the regular analysis pipeline, so cached analyses are reused.
+
+const analysisPipeline = require('./analysisPipeline');
+const anthropicService = require('./anthropic');
+const rubricService = require('./rubrics');
+
+// Competitor URLs accepted per comparison
+const MAX_COMPETITORS = 4;
+
+// Per-site progress is summarized by the comparison job instead
+const SILENT_PROGRESS = {
+  setStage: () => {},
+  publish: () => {}
+};
+
+class ComparisonService {
+  /**
+   * Run a competitor comparison
+   * @param {Object} input - { url, competitors, pages, rubric, force, ip, userAgent, referrer, attribution }
+   * @param {Object} progress - Receives stage transitions (setStage) and partial results (publish)
+   * @returns {Object} - Comparison response payload for the client
+   */
+  async run(input, progress = SILENT_PROGRESS) {
+    const rubric = rubricService.get(input.rubric);
+
+    if (!rubric) {
+      throw new Error(`Unknown rubric: ${input.rubric}`);
+    }
+
+    const urls = [input.url, ...input.competitors];
+    console.log(`⚔️  Starting comparison of ${input.url} against ${input.competitors.length} competitor(s)`);
+
+    // Step 1: Analyze every site, one at a time so a comparison uses a single worker's share of Claude
+    progress.setStage('crawling');
+    const results = [];
+
+    for (const [index, siteUrl] of urls.entries()) {
+      const role = index === 0 ? 'primary' : 'competitor';
+      progress.publish('site_started', { url: siteUrl, role, index, total: urls.length });
+
+      try {
+        const result = await analysisPipeline.run({
+          url: siteUrl,
+          pages: input.pages,
+          rubric: rubric.id,
+          force: input.force,
+          // Competitors are stored for the comparison, not as leads of the requester
+          ...(role === 'primary' ? {
+            ip: input.ip,
+            userAgent: input.userAgent,
+            referrer: input.referrer,
+            attribution: input.attribution
+          } : { origin: 'competitor' })
+        }, SILENT_PROGRESS);
+
+        results.push(result);
+        progress.publish('site_analyzed', { url: siteUrl, role, score: result.analysis.score, cached: result.cache.hit });
+      } catch (error) {
+        // Without the primary site there is nothing to compare
+        if (role === 'primary') {
+          throw error;
+        }
+
+        const description = analysisPipeline.describeError(error);
+        console.error(`⚠️  Competitor ${siteUrl} could not be analyzed (comparison continues):`, error.message);
+        results.push({ success: false, url: siteUrl, error: { error: description.error, message: description.message } });
+        progress.publish('site_failed', { url: siteUrl, role, message: description.message });
+      }
+    }
+
+    const [primary, ...competitors] = results;
+    const analyzedCompetitors = competitors.filter(competitor => competitor.success);
+
+    if (analyzedCompetitors.length === 0) {
+      throw new Error('No competitor could be analyzed');
+    }
+
+    // Step 2: Comparative pass with Claude
+    progress.setStage('analyzing');
+    const comparison = await anthropicService.compareWebsites(primary, analyzedCompetitors, rubric);
+    const categories = this.compareCategories(primary, analyzedCompetitors, rubric, comparison);
+
+    progress.publish('compared', {
+      summary: comparison.summary,
+      leads: categories.filter(category => category.position === 'leads').length,
+      lags: categories.filter(category => category.position === 'lags').length
+    });
+
+    return {
+      success: true,
+      timestamp: new Date().toISOString(),
+      rubric: rubricService.toPublic(rubric),
+      primary: primary,
+      competitors: competitors,
+      comparison: {
+        summary: comparison.summary,
+        categories: categories,
+        gaps: this.rankGaps(categories)
+      }
+    };
+  }
+
+  /**
+   * Line up every site's score per rubric category
+   * @param {Object} primary - Analysis response for the primary site
+   * @param {Object[]} competitors - Analysis responses for the analyzed competitors
+   * @param {Object} rubric - Scoring rubric
+   * @param {Object} comparison - Validated comparison from Claude
+   * @returns {Object[]} - Per-category scores, leader, position of the primary site and Claude's insight
+   */
+  compareCategories(primary, competitors, rubric, comparison) {
+    const scoreOf = (site, name) => site.analysis.categories.find(category => category.name === name)?.score ?? 0;
+
+    return rubric.categories.map(rubricCategory => {
+      const primaryScore = scoreOf(primary, rubricCategory.name);
+      const scores = [primary, ...competitors].map(site => ({
+        url: site.url,
+        score: scoreOf(site, rubricCategory.name)
+      }));
+
+      // Best competitor; ties go to the one listed first
+      const best = scores.slice(1).reduce((top, entry) => entry.score > top.score ? entry : top);
+      const notes = comparison.categories.find(category => category.name === rubricCategory.name);
+
+      return {
+        name: rubricCategory.name,
+        maxScore: rubricCategory.maxScore,
+        scores: scores,
+        primaryScore: primaryScore,
+        bestCompetitor: best,
+        position: primaryScore > best.score ? 'leads' : primaryScore < best.score ? 'lags' : 'even',
+        margin: primaryScore - best.score,
+        insight: notes.insight,
+        action: notes.action
+      };
+    });
+  }
+
+  /**
+   * Rank the categories where the primary site trails, largest relative gap first
+   * @param {Object[]} categories - Result of compareCategories()
+   * @returns {Object[]} - Gaps to close with the leading competitor and the suggested action
+   */
+  rankGaps(categories) {
+    return categories
+      .filter(category => category.position === 'lags')
+      .map(category => ({
+        category: category.name,
+        maxScore: category.maxScore,
+        primaryScore: category.primaryScore,
+        leader: category.bestCompetitor.url,
+        leaderScore: category.bestCompetitor.score,
+        gap: -category.margin,
+        action: category.action
+      }))
+      .sort((a, b) => (b.gap / b.maxScore) - (a.gap / a.maxScore) || b.gap - a.gap)
+      .map((gap, index) => ({ rank: index + 1, ...gap }));
+  }
+
+  /**
+   * Translate a comparison error into a client-facing error description
+   * @param {Error} error - Error thrown while running the comparison
+   * @returns {Object} - HTTP status, error title and user-friendly message
+   */
+  describeError(error) {
+    const message = error?.message || '';
+
+    if (message.includes('No competitor could be analyzed')) {
+      return {
+        status: 400,
+        error: 'Comparison failed',
+        message: 'None of the competitor websites could be analyzed. Please check the URLs and try again.'
+      };
+    }
+
+    if (message.includes('did not match the comparison schema')) {
+      return {
+        status: 502,
+        error: 'Comparison failed',
+        message: 'The AI returned an incomplete comparison. Please try again.'
+      };
+    }
+
+    return analysisPipeline.describeError(error);
+  }
+}
+
+module.exports = new ComparisonService();
+module.exports.MAX_COMPETITORS = MAX_COMPETITORS;
@@ -0,0 +1,141 @@
+// Crawler facade: selects a crawl backend and crawls landing + funnel pages
+//
+// A crawl backend is an object with:
+//   name                          - identifier used in config and metadata ('firecrawl', 'local')
+//   isConfigured()                - whether it can be used right now
+//   crawlWebsite(url, { includeLinks, includeHtml })
+//                                 - resolves to { url, content, links?, html?, metadata }
+//
+// CRAWLER_BACKEND selects the backend:
+//   auto (default) - Firecrawl when FIRECRAWL_API_KEY is set, falling back to the local crawler
+//   firecrawl      - Firecrawl only
+//   local          - built-in HTML crawler only
+
+const firecrawlService = require('./firecrawl');
+const localCrawlerService = require('./localCrawler');
+const { selectFunnelPages, normalizePageOptions } = require('./funnelPages');
+
+const BACKENDS = {
+  firecrawl: firecrawlService,
+  local: localCrawlerService
+};
+const CRAWLER_MODES = ['auto', ...Object.keys(BACKENDS)];
+
+// Total content budget shared by all crawled pages (roughly ~12k tokens)
+const MAX_TOTAL_CONTENT = 50000;
+
+class CrawlerService {
+  constructor() {
+    this.mode = (process.env.CRAWLER_BACKEND || 'auto').toLowerCase();
+
+    if (!CRAWLER_MODES.includes(this.mode)) {
+      console.warn(`⚠️  Unknown CRAWLER_BACKEND "${this.mode}", using auto`);
+      this.mode = 'auto';
+    }
+  }
+
+  /**
+   * Backends to try, in order, for the configured mode
+   * @returns {Object[]} - Crawl backends
+   */
+  getBackends() {
+    if (this.mode !== 'auto') {
+      return [BACKENDS[this.mode]];
+    }
+
+    return [firecrawlService, localCrawlerService].filter(backend => backend.isConfigured());
+  }
+
+  /**
+   * Crawl the landing page plus a bounded set of funnel pages linked from it
+   * @param {string} url - The website URL to crawl
+   * @param {Object} pageOptions - Funnel page selection ({ limit, types })
+   * @returns {Object} - Landing page content, raw HTML and metadata, plus every crawled page in `pages`
+   */
+  async crawlSite(url, pageOptions = {}) {
+    const options = normalizePageOptions(pageOptions);
+    if (options.error) {
+      throw new Error(`Invalid crawl options: ${options.error}`);
+    }
+
+    const landing = await this.crawlWebsite(url, { includeLinks: options.limit > 0, includeHtml: true });
+    const funnelPages = selectFunnelPages(landing.links, url, options);
+
+    if (funnelPages.length > 0) {
+      console.log(`🔗 Found funnel pages: ${funnelPages.map(page => page.label).join(', ')}`);
+    }
+
+    // Start with the backend that handled the landing page, so a failing
+    // Firecrawl isn't retried for every funnel page
+    const backends = this.getBackends();
+    const landingBackend = backends.find(backend => backend.name === landing.metadata.crawler);
+    const funnelBackends = [landingBackend, ...backends.filter(backend => backend !== landingBackend)];
+
+    // A missing funnel page shouldn't fail the analysis of the rest of the site
+    const results = await Promise.allSettled(
+      funnelPages.map(page => this.crawlWebsite(page.url, {}, funnelBackends))
+    );
+
+    const pages = [{ type: 'home', label: 'Home', ...landing }];
+    results.forEach((result, index) => {
+      if (result.status === 'fulfilled') {
+        pages.push({ ...funnelPages[index], ...result.value, url: funnelPages[index].url });
+      } else {
+        console.warn(`⚠️  Skipping ${funnelPages[index].url}: ${result.reason.message}`);
+      }
+    });
+
+    // Share the content budget between pages so the prompt stays within limits
+    const perPageLimit = Math.floor(MAX_TOTAL_CONTENT / pages.length);
+    pages.forEach(page => {
+      page.content = page.content.substring(0, perPageLimit);
+      page.metadata.contentLength = page.content.length;
+      delete page.links;
+      delete page.html;
+    });
+
+    const totalLength = pages.reduce((sum, page) => sum + page.content.length, 0);
+
+    return {
+      url: url,
+      content: pages[0].content,
+      // Raw landing page HTML, when the backend provides it
+      html: landing.html || null,
+      metadata: {
+        ...pages[0].metadata,
+        contentLength: totalLength,
+        pageCount: pages.length
+      },
+      pages: pages
+    };
+  }
+
+  /**
+   * Crawl a single page, falling back to the next backend when one fails
+   * @param {string} url - The page URL to crawl
+   * @param {Object} options - { includeLinks, includeHtml } to also return the page's links and raw HTML
+   * @param {Object[]} backends - Backends to try, in order (defaults to the configured ones)
+   * @returns {Object} - Crawled content and metadata, with metadata.crawler naming the backend used
+   */
+  async crawlWebsite(url, options = {}, backends = this.getBackends()) {
+    let lastError = null;
+
+    for (const backend of backends) {
+      try {
+        const result = await backend.crawlWebsite(url, options);
+        result.metadata.crawler = backend.name;
+        return result;
+      } catch (error) {
+        lastError = error;
+
+        if (backend !== backends[backends.length - 1]) {
+          console.warn(`⚠️  ${backend.name} crawl failed (${error.message}), trying next backend`);
+        }
+      }
+    }
+
+    throw lastError || new Error('Unable to crawl website: no crawler backend configured');
+  }
+}
+
+module.exports = new CrawlerService();
@@ -1,4 +1,7 @@
 const { Pool } = require('pg');
+const Cursor = require('pg-cursor');
+const { SUBMISSION_SORTS, buildSubmissionWhere } = require('./submissionFilters');
+const { ATTRIBUTION_DIMENSIONS } = require('./attribution');
 
 class DatabaseService {
   constructor() {
@@ -11,64 +14,8 @@ class DatabaseService {
       idleTimeoutMillis: 30000,
       connectionTimeoutMillis: 2000,
     });
-    
-    this.initializeDatabase();
-  }
-
-  /**
-   * Initialize database tables if they don't exist
-   */
-  async initializeDatabase() {
-    try {
-      console.log('🗃️  Initializing database...');
-      
-      // Fixed SQL with proper PostgreSQL syntax
-      const createTableQuery = `
-        CREATE TABLE IF NOT EXISTS website_submissions (
-          id SERIAL PRIMARY KEY,
-          url VARCHAR(500) NOT NULL,
-          domain VARCHAR(255),
-          
-          -- Analysis results
-          growth_score INTEGER,
-          analysis_summary TEXT,
-          analysis_categories JSONB,
-          recommendations JSONB,
-          
-          -- Website metadata
-          content_length INTEGER,
-          
-          -- Timestamps
-          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-          analyzed_at TIMESTAMP
-        );
-
-        -- Create unique index to prevent spam (one analysis per URL per day)
-        -- Using a functional index instead of inline constraint
-        CREATE UNIQUE INDEX IF NOT EXISTS idx_submissions_url_date 
-        ON website_submissions(url, DATE(created_at));
-
-        -- Create other indexes for performance
-        CREATE INDEX IF NOT EXISTS idx_submissions_domain ON website_submissions(domain);
-        CREATE INDEX IF NOT EXISTS idx_submissions_score ON website_submissions(growth_score);
-        CREATE INDEX IF NOT EXISTS idx_submissions_created ON website_submissions(created_at);
-        CREATE INDEX IF NOT EXISTS idx_submissions_url ON website_submissions(url);
-        CREATE INDEX IF NOT EXISTS idx_submissions_analyzed ON website_submissions(analyzed_at);
-      `;
 
-      await this.pool.query(createTableQuery);
-      console.log('✅ Database tables initialized successfully');
-      
-    } catch (error) {
-      console.error('❌ Database initialization error:', error);
-      // Don't crash the app if database fails - log the specific error
-      console.error('Error details:', {
-        message: error.message,
-        code: error.code,
-        position: error.position,
-        hint: error.hint
-      });
-    }
+    // The schema is created and updated by migrations (see services/migrations.js)
   }
 
   /**
@@ -80,14 +27,19 @@ class DatabaseService {
     try {
       // Extract domain from URL for easier lead management
       const domain = this.extractDomain(submissionData.url);
+      const attribution = submissionData.attribution || {};
       
-      // First, try to insert the record
+      // Each analysis is a new, immutable history record
       const insertQuery = `
         INSERT INTO website_submissions 
         (url, domain, growth_score, analysis_summary, analysis_categories, 
-         recommendations, content_length, analyzed_at, created_at)
-        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
-        RETURNING id, created_at, domain
+         recommendations, content_length, analyzed_at, created_at, seo_audit,
+         rubric_id, rubric_version, scoring_notes, normalized_url, cache_key,
+         content_hash, crawl_summary, ip_prefix, user_agent, referrer, utm_source,
+         utm_medium, utm_campaign, utm_term, utm_content, landing_referrer, referrer_host, origin)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17,
+                $18, $19, $20, $21, $22, $23, $24, $25, $26, $27, $28)
+        RETURNING id, created_at, domain, share_slug
       `;
       
       const currentTime = new Date();
@@ -99,56 +51,34 @@ class DatabaseService {
         JSON.stringify(submissionData.analysis.categories || []),
         JSON.stringify(submissionData.analysis.recommendations || []),
         submissionData.metadata?.contentLength || 0,
+        submissionData.analyzedAt || currentTime,
         currentTime,
-        currentTime
+        submissionData.analysis.seoAudit ? JSON.stringify(submissionData.analysis.seoAudit) : null,
+        submissionData.rubric?.id || null,
+        submissionData.rubric?.version || null,
+        JSON.stringify(submissionData.analysis.scoringNotes || []),
+        submissionData.cache?.normalizedUrl || null,
+        submissionData.cache?.key || null,
+        submissionData.cache?.contentHash || null,
+        submissionData.crawlSummary ? JSON.stringify(submissionData.crawlSummary) : null,
+        submissionData.ipPrefix || null,
+        submissionData.userAgent ? submissionData.userAgent.slice(0, 255) : null,
+        submissionData.referrer ? submissionData.referrer.slice(0, 500) : null,
+        attribution.utmSource || null,
+        attribution.utmMedium || null,
+        attribution.utmCampaign || null,
+        attribution.utmTerm || null,
+        attribution.utmContent || null,
+        attribution.landingReferrer || null,
+        attribution.referrerHost || null,
+        submissionData.origin || 'visitor'
       ];
 
-      try {
-        const result = await this.pool.query(insertQuery, values);
-        const savedRecord = result.rows[0];
-        
-        console.log(`💾 Saved lead: ${domain} (ID: ${savedRecord.id})`);
-        return savedRecord;
-        
-      } catch (insertError) {
-        // If it's a unique constraint violation (duplicate URL same day), update instead
-        if (insertError.code === '23505') { // Unique violation
-          console.log(`🔄 URL already analyzed today, updating: ${domain}`);
-          
-          const updateQuery = `
-            UPDATE website_submissions 
-            SET 
-              growth_score = $2,
-              analysis_summary = $3,
-              analysis_categories = $4,
-              recommendations = $5,
-              content_length = $6,
-              analyzed_at = $7
-            WHERE url = $1 
-              AND DATE(created_at) = CURRENT_DATE
-            RETURNING id, created_at, domain
-          `;
-          
-          const updateValues = [
-            submissionData.url,
-            submissionData.analysis.score,
-            submissionData.analysis.summary || submissionData.analysis.feedback,
-            JSON.stringify(submissionData.analysis.categories || []),
-            JSON.stringify(submissionData.analysis.recommendations || []),
-            submissionData.metadata?.contentLength || 0,
-            currentTime
-          ];
-          
-          const updateResult = await this.pool.query(updateQuery, updateValues);
-          const updatedRecord = updateResult.rows[0];
-          
-          console.log(`💾 Updated lead: ${domain} (ID: ${updatedRecord.id})`);
-          return updatedRecord;
-        } else {
-          // Re-throw if it's not a unique constraint violation
-          throw insertError;
-        }
-      }
+      const result = await this.pool.query(insertQuery, values);
+      const savedRecord = result.rows[0];
+
+      console.log(`💾 Saved lead: ${domain} (ID: ${savedRecord.id})`);
+      return savedRecord;
       
     } catch (error) {
       console.error('❌ Failed to save submission:', error);
@@ -162,6 +92,1104 @@ class DatabaseService {
     }
   }
 
+  /**
+   * Find a stored analysis by its public share slug
+   * @param {string} slug - Share slug
+   * @returns {Object|null} - Submission row, or null if no analysis has this slug
+   */
+  async getSubmissionBySlug(slug) {
+    const result = await this.pool.query(
+      'SELECT * FROM website_submissions WHERE share_slug = $1',
+      [slug]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Find a stored analysis by id, with the contact details of its lead
+   * @param {number} id - Submission id
+   * @returns {Object|null} - Submission row, or null if not found
+   */
+  async getSubmissionById(id) {
+    const result = await this.pool.query(`
+      SELECT s.*, l.name AS contact_name, l.email AS contact_email, l.company AS contact_company,
+             l.status AS lead_status, l.owner AS lead_owner
+      FROM website_submissions s
+      LEFT JOIN leads l ON l.id = s.lead_id
+      WHERE s.id = $1
+    `, [id]);
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * List analyses for the admin, filtered and sorted, one page at a time (keyset pagination)
+   * @param {Object} filters - Parsed filters (see services/submissionFilters.js)
+   * @param {Object} page - { after: decoded cursor or null, limit }
+   * @returns {Object[]} - Up to limit + 1 rows (the extra row signals a next page), each with sort_value
+   */
+  async listSubmissions(filters, { after = null, limit }) {
+    const params = [];
+    const where = [buildSubmissionWhere(filters, params)];
+    const column = SUBMISSION_SORTS[filters.sort];
+    const direction = filters.order === 'asc' ? 'ASC' : 'DESC';
+
+    // Cursor values keep full timestamp precision, which JavaScript dates would lose
+    const sortValue = filters.sort === 'created' ? `${column}::TEXT` : column;
+    const cast = { created: 'TIMESTAMP', score: 'INTEGER', domain: 'VARCHAR' }[filters.sort];
+
+    if (after) {
+      params.push(after.value, after.id);
+      where.push(`(${column}, s.id) ${direction === 'ASC' ? '>' : '<'} ($${params.length - 1}::${cast}, $${params.length})`);
+    }
+
+    params.push(limit + 1);
+    const result = await this.pool.query(`
+      SELECT s.id, s.url, s.domain, s.growth_score, s.analysis_summary, s.rubric_id,
+             s.created_at, s.origin, s.lead_id, l.email AS contact_email, l.status AS lead_status,
+             ${sortValue} AS sort_value
+      FROM website_submissions s
+      LEFT JOIN leads l ON l.id = s.lead_id
+      WHERE ${where.join(' AND ')}
+      ORDER BY ${column} ${direction}, s.id ${direction}
+      LIMIT $${params.length}
+    `, params);
+
+    return result.rows;
+  }
+
+  /**
+   * Stream every analysis matching the admin filters, in batches read from a server-side cursor
+   * @param {Object} filters - Parsed filters (see services/submissionFilters.js)
+   * @param {number} batchSize - Rows fetched per round trip
+   * @returns {AsyncGenerator<Object[]>} - Batches of submission rows with their lead's contact details
+   */
+  async *streamSubmissions(filters, batchSize = 500) {
+    const params = [];
+    const where = buildSubmissionWhere(filters, params);
+    const column = SUBMISSION_SORTS[filters.sort];
+    const direction = filters.order === 'asc' ? 'ASC' : 'DESC';
+
+    const client = await this.pool.connect();
+    const cursor = client.query(new Cursor(`
+      SELECT s.id, s.url, s.domain, s.growth_score, s.analysis_summary, s.analysis_categories,
+             s.recommendations, s.rubric_id, s.rubric_version, s.created_at, s.analyzed_at,
+             l.name AS contact_name, l.email AS contact_email, l.company AS contact_company,
+             l.consent AS contact_consent, l.status AS lead_status, l.owner AS lead_owner
+      FROM website_submissions s
+      LEFT JOIN leads l ON l.id = s.lead_id
+      WHERE ${where}
+      ORDER BY ${column} ${direction}, s.id ${direction}
+    `, params));
+
+    try {
+      while (true) {
+        const rows = await cursor.read(batchSize);
+        if (rows.length === 0) return;
+        yield rows;
+      }
+    } finally {
+      // Runs on completion, on error and when the consumer stops early (client disconnect)
+      await cursor.close().catch(() => {});
+      client.release();
+    }
+  }
+
+  /**
+   * Get the analysis history of a domain, oldest first
+   * @param {string} domain - Domain as stored by extractDomain()
+   * @param {Object} options - { rubricId, limit }
+   * @returns {Object[]} - Submission rows with scores and rubric
+   */
+  async getDomainHistory(domain, { rubricId = null, limit = 100 } = {}) {
+    // Latest `limit` analyses, returned in chronological order
+    const result = await this.pool.query(`
+      SELECT *
+      FROM (
+        SELECT id, url, growth_score, analysis_categories, rubric_id, rubric_version, analyzed_at
+        FROM website_submissions
+        WHERE domain = $1
+          AND growth_score IS NOT NULL
+          AND ($2::VARCHAR IS NULL OR rubric_id = $2)
+        ORDER BY analyzed_at DESC, id DESC
+        LIMIT $3
+      ) history
+      ORDER BY analyzed_at ASC, id ASC
+    `, [domain, rubricId, limit]);
+
+    return result.rows;
+  }
+
+  /**
+   * Count analyses and their average score per traffic source, medium and/or campaign
+   * @param {Object} options - { groupBy: dimensions of ATTRIBUTION_DIMENSIONS, from, to }
+   * @returns {Object[]} - One row per group: the dimensions, submissions, contacts and average_score
+   */
+  async getAttributionReport({ groupBy, from = null, to = null }) {
+    const columns = groupBy.map(dimension => `${ATTRIBUTION_DIMENSIONS[dimension]} AS ${dimension}`);
+    // Grouped and tie-broken by position, so each expression is written once
+    const positions = groupBy.map((dimension, index) => index + 1).join(', ');
+
+    const result = await this.pool.query(`
+      SELECT ${columns.join(', ')},
+             COUNT(*)::INTEGER AS submissions,
+             COUNT(s.lead_id)::INTEGER AS contacts,
+             ROUND(AVG(s.growth_score))::INTEGER AS average_score
+      FROM website_submissions s
+      WHERE s.growth_score IS NOT NULL
+        AND s.origin = 'visitor'
+        AND ($1::TIMESTAMP IS NULL OR s.created_at >= $1)
+        AND ($2::TIMESTAMP IS NULL OR s.created_at < $2)
+      GROUP BY ${positions}
+      ORDER BY submissions DESC, ${positions}
+    `, [from, to]);
+
+    return result.rows;
+  }
+
+  /**
+   * Find the latest analysis stored under a cache key
+   * @param {Object} options - { cacheKey, since }
+   * @returns {Object|null} - Submission row, or null if none is recent enough
+   */
+  async findCachedAnalysis({ cacheKey, since }) {
+    try {
+      const result = await this.pool.query(`
+        SELECT *
+        FROM website_submissions
+        WHERE cache_key = $1
+          AND analyzed_at >= $2
+          AND growth_score IS NOT NULL
+        ORDER BY analyzed_at DESC
+        LIMIT 1
+      `, [cacheKey, since]);
+
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('❌ Failed to look up cached analysis:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Find the latest analysis of identical content made with the same rubric
+   * @param {Object} options - { contentHash, rubric, since }
+   * @returns {Object|null} - Submission row, or null if none matches
+   */
+  async findAnalysisByContentHash({ contentHash, rubric, since }) {
+    try {
+      const result = await this.pool.query(`
+        SELECT *
+        FROM website_submissions
+        WHERE content_hash = $1
+          AND rubric_id = $2
+          AND rubric_version = $3
+          AND analyzed_at >= $4
+          AND growth_score IS NOT NULL
+        ORDER BY analyzed_at DESC
+        LIMIT 1
+      `, [contentHash, rubric.id, rubric.version, since]);
+
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('❌ Failed to look up analysis by content hash:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Store contact details and link them to an analysis; an existing email address is updated
+   * @param {Object} contact - { email, name, company, consent }, email already normalized
+   * @param {number} submissionId - Analysis the contact was left on
+   * @returns {Object|null} - Lead row, with isNew set when the email address was not known yet,
+   *   or null (and nothing saved) when the analysis already belongs to another contact
+   */
+  async saveLead({ email, name, company, consent }, submissionId) {
+    const client = await this.pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      // Anyone can post an email address, so later submissions only fill in missing details
+      const result = await client.query(`
+        INSERT INTO leads (email, name, company, consent, consent_at)
+        VALUES ($1, $2, $3, $4, CASE WHEN $4 THEN CURRENT_TIMESTAMP END)
+        ON CONFLICT (email) DO UPDATE
+        SET name = COALESCE(leads.name, EXCLUDED.name),
+            company = COALESCE(leads.company, EXCLUDED.company),
+            consent = EXCLUDED.consent,
+            consent_at = CASE WHEN EXCLUDED.consent THEN CURRENT_TIMESTAMP ELSE leads.consent_at END,
+            updated_at = CURRENT_TIMESTAMP
+        RETURNING *, (xmax = 0) AS is_new
+      `, [email, name, company, consent]);
+      const lead = result.rows[0];
+
+      // Reports are shared, so an analysis another contact already left details on stays theirs
+      const linked = await client.query(`
+        UPDATE website_submissions SET lead_id = $1
+        WHERE id = $2 AND (lead_id IS NULL OR lead_id = $1)
+      `, [lead.id, submissionId]);
+      if (linked.rowCount === 0) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      if (lead.is_new) {
+        await client.query(`
+          INSERT INTO lead_status_changes (lead_id, from_status, to_status)
+          VALUES ($1, NULL, $2)
+        `, [lead.id, lead.status]);
+      }
+      await client.query('COMMIT');
+
+      console.log(`📇 ${lead.is_new ? 'New' : 'Returning'} contact: ${email} (lead ${lead.id}, submission ${submissionId})`);
+      return lead;
+
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * List leads, most recently updated first
+   * @param {Object} filters - { status, owner, limit }
+   * @returns {Object[]} - Lead rows with their number of analyses and latest score
+   */
+  async listLeads({ status = null, owner = null, limit = 50 } = {}) {
+    const result = await this.pool.query(`
+      SELECT l.*, latest.domain, latest.growth_score AS latest_score,
+             COALESCE(latest.submission_count, 0) AS submission_count
+      FROM leads l
+      LEFT JOIN LATERAL (
+        SELECT domain, growth_score, COUNT(*) OVER () AS submission_count
+        FROM website_submissions
+        WHERE lead_id = l.id
+        ORDER BY created_at DESC
+        LIMIT 1
+      ) latest ON TRUE
+      WHERE ($1::VARCHAR IS NULL OR l.status = $1)
+        AND ($2::VARCHAR IS NULL OR l.owner = $2)
+      ORDER BY l.updated_at DESC, l.id DESC
+      LIMIT $3
+    `, [status, owner, limit]);
+
+    return result.rows;
+  }
+
+  /**
+   * Get a lead with its analyses, notes and status history
+   * @param {number} id - Lead id
+   * @returns {Object|null} - Lead row with submissions, notes and status_changes, or null if not found
+   */
+  async getLead(id) {
+    const result = await this.pool.query('SELECT * FROM leads WHERE id = $1', [id]);
+    const lead = result.rows[0];
+
+    if (!lead) {
+      return null;
+    }
+
+    const [submissions, notes, statusChanges] = await Promise.all([
+      this.pool.query(`
+        SELECT id, url, domain, growth_score, share_slug, created_at
+        FROM website_submissions
+        WHERE lead_id = $1
+        ORDER BY created_at DESC
+      `, [id]),
+      this.pool.query('SELECT * FROM lead_notes WHERE lead_id = $1 ORDER BY created_at DESC, id DESC', [id]),
+      this.pool.query('SELECT * FROM lead_status_changes WHERE lead_id = $1 ORDER BY changed_at DESC, id DESC', [id])
+    ]);
+
+    return {
+      ...lead,
+      submissions: submissions.rows,
+      notes: notes.rows,
+      status_changes: statusChanges.rows
+    };
+  }
+
+  /**
+   * Change the status or owner of a lead, recording status changes in its history
+   * @param {number} id - Lead id
+   * @param {Object} changes - { status, owner }; omitted fields are kept, owner null unassigns
+   * @param {string|null} changedBy - Who made the change
+   * @returns {Object|null} - Updated lead row, or null if it doesn't exist
+   */
+  async updateLead(id, changes, changedBy = null) {
+    const client = await this.pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const current = await client.query('SELECT status FROM leads WHERE id = $1 FOR UPDATE', [id]);
+      if (current.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      const result = await client.query(`
+        UPDATE leads
+        SET status = COALESCE($2, status),
+            owner = CASE WHEN $3 THEN $4 ELSE owner END,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+        RETURNING *
+      `, [id, changes.status || null, 'owner' in changes, changes.owner ?? null]);
+
+      const fromStatus = current.rows[0].status;
+      if (changes.status && changes.status !== fromStatus) {
+        await client.query(`
+          INSERT INTO lead_status_changes (lead_id, from_status, to_status, changed_by)
+          VALUES ($1, $2, $3, $4)
+        `, [id, fromStatus, changes.status, changedBy]);
+      }
+
+      await client.query('COMMIT');
+      return result.rows[0];
+
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Add a note to a lead
+   * @param {number} leadId - Lead id
+   * @param {Object} note - { body, author }
+   * @returns {Object|null} - Note row, or null if the lead doesn't exist
+   */
+  async addLeadNote(leadId, { body, author = null }) {
+    const result = await this.pool.query(`
+      WITH note AS (
+        INSERT INTO lead_notes (lead_id, body, author)
+        SELECT id, $2, $3 FROM leads WHERE id = $1
+        RETURNING *
+      ), touched AS (
+        UPDATE leads SET updated_at = CURRENT_TIMESTAMP WHERE id = $1
+      )
+      SELECT * FROM note
+    `, [leadId, body, author]);
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Status changes across leads, newest first
+   * @param {Object} filters - { leadId, status (new status), changedBy, since, until, limit }
+   * @returns {Object[]} - Status change rows with the lead's email
+   */
+  async getLeadStatusChanges({ leadId = null, status = null, changedBy = null, since = null, until = null, limit = 100 } = {}) {
+    const result = await this.pool.query(`
+      SELECT c.*, l.email
+      FROM lead_status_changes c
+      JOIN leads l ON l.id = c.lead_id
+      WHERE ($1::INTEGER IS NULL OR c.lead_id = $1)
+        AND ($2::VARCHAR IS NULL OR c.to_status = $2)
+        AND ($3::VARCHAR IS NULL OR c.changed_by = $3)
+        AND ($4::TIMESTAMP IS NULL OR c.changed_at >= $4)
+        AND ($5::TIMESTAMP IS NULL OR c.changed_at < $5)
+      ORDER BY c.changed_at DESC, c.id DESC
+      LIMIT $6
+    `, [leadId, status, changedBy, since, until, limit]);
+
+    return result.rows;
+  }
+
+  /**
+   * Create a monitored site, due for its first run immediately
+   * @param {Object} monitor - { url, rubricId, pageOptions, frequency, intervalMinutes, alertThreshold }
+   * @returns {Object} - Monitor row
+   */
+  async createMonitor({ url, rubricId, pageOptions, frequency, intervalMinutes, alertThreshold }) {
+    const result = await this.pool.query(`
+      INSERT INTO monitors (url, rubric_id, page_options, frequency, interval_minutes, alert_threshold)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING *
+    `, [url, rubricId, JSON.stringify(pageOptions || {}), frequency, intervalMinutes, alertThreshold]);
+
+    return result.rows[0];
+  }
+
+  /**
+   * Change the status, frequency or alert threshold of a monitor
+   * @param {number} id - Monitor id
+   * @param {Object} changes - { status, frequency, intervalMinutes, alertThreshold }, omitted fields are kept
+   * @returns {Object|null} - Updated monitor row, or null if it doesn't exist
+   */
+  async updateMonitor(id, { status = null, frequency = null, intervalMinutes = null, alertThreshold = null }) {
+    // A resumed monitor runs at its next scheduled time, or right away if that has passed
+    const result = await this.pool.query(`
+      UPDATE monitors
+      SET status = COALESCE($2, status),
+          frequency = COALESCE($3, frequency),
+          interval_minutes = COALESCE($4, interval_minutes),
+          alert_threshold = COALESCE($5, alert_threshold),
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING *
+    `, [id, status, frequency, intervalMinutes, alertThreshold]);
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * List monitors with their latest run
+   * @returns {Object[]} - Monitor rows, each with a last_run object (or null)
+   */
+  async listMonitors() {
+    const result = await this.pool.query(`
+      SELECT m.*, row_to_json(last_run) AS last_run
+      FROM monitors m
+      LEFT JOIN LATERAL (
+        SELECT id, submission_id, status, score, alerts, error, started_at, finished_at
+        FROM monitor_runs
+        WHERE monitor_id = m.id
+        ORDER BY started_at DESC, id DESC
+        LIMIT 1
+      ) last_run ON TRUE
+      ORDER BY m.created_at DESC
+    `);
+
+    return result.rows;
+  }
+
+  /**
+   * Get the latest runs of a monitor, newest first
+   * @param {number} monitorId - Monitor id
+   * @param {number} limit - Maximum number of runs
+   * @returns {Object[]} - Monitor run rows
+   */
+  async getMonitorRuns(monitorId, limit = 20) {
+    const result = await this.pool.query(`
+      SELECT *
+      FROM monitor_runs
+      WHERE monitor_id = $1
+      ORDER BY started_at DESC, id DESC
+      LIMIT $2
+    `, [monitorId, limit]);
+
+    return result.rows;
+  }
+
+  /**
+   * Get the latest completed run of a monitor, used as the baseline for score drops
+   * @param {number} monitorId - Monitor id
+   * @returns {Object|null} - Monitor run row, or null before the first completed run
+   */
+  async getLastCompletedMonitorRun(monitorId) {
+    const result = await this.pool.query(`
+      SELECT *
+      FROM monitor_runs
+      WHERE monitor_id = $1 AND status = 'completed'
+      ORDER BY started_at DESC, id DESC
+      LIMIT 1
+    `, [monitorId]);
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Claim active monitors whose run is due and schedule their next run
+   * @param {number} limit - Maximum number of monitors to claim
+   * @returns {Object[]} - Claimed monitor rows
+   */
+  async claimDueMonitors(limit) {
+    // SKIP LOCKED keeps two server instances from running the same monitor
+    const result = await this.pool.query(`
+      UPDATE monitors
+      SET next_run_at = CURRENT_TIMESTAMP + interval_minutes * INTERVAL '1 minute',
+          last_run_at = CURRENT_TIMESTAMP
+      WHERE id IN (
+        SELECT id
+        FROM monitors
+        WHERE status = 'active' AND next_run_at <= CURRENT_TIMESTAMP
+        ORDER BY next_run_at
+        LIMIT $1
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING *
+    `, [limit]);
+
+    return result.rows;
+  }
+
+  /**
+   * Record the outcome of a scheduled re-analysis
+   * @param {Object} run - { monitorId, submissionId, status, score, categories, alerts, error, startedAt }
+   * @returns {Object} - Monitor run row
+   */
+  async saveMonitorRun({ monitorId, submissionId = null, status, score = null, categories = null, alerts = [], error = null, startedAt }) {
+    const result = await this.pool.query(`
+      INSERT INTO monitor_runs (monitor_id, submission_id, status, score, categories, alerts, error, started_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING *
+    `, [
+      monitorId,
+      submissionId,
+      status,
+      score,
+      categories ? JSON.stringify(categories) : null,
+      JSON.stringify(alerts),
+      error,
+      startedAt
+    ]);
+
+    return result.rows[0];
+  }
+
+  /**
+   * Create a webhook subscription
+   * @param {Object} subscription - { url, events, secret }
+   * @returns {Object} - Subscription row
+   */
+  async createWebhookSubscription({ url, events, secret }) {
+    const result = await this.pool.query(`
+      INSERT INTO webhook_subscriptions (url, events, secret)
+      VALUES ($1, $2, $3)
+      RETURNING *
+    `, [url, JSON.stringify(events), secret]);
+
+    return result.rows[0];
+  }
+
+  /**
+   * Change the URL, events or active flag of a webhook subscription
+   * @param {number} id - Subscription id
+   * @param {Object} changes - { url, events, active }, omitted fields are kept
+   * @returns {Object|null} - Updated subscription row, or null if it doesn't exist
+   */
+  async updateWebhookSubscription(id, { url = null, events = null, active = null }) {
+    const result = await this.pool.query(`
+      UPDATE webhook_subscriptions
+      SET url = COALESCE($2, url),
+          events = COALESCE($3, events),
+          active = COALESCE($4, active),
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING *
+    `, [id, url, events ? JSON.stringify(events) : null, active]);
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Delete a webhook subscription and its deliveries
+   * @param {number} id - Subscription id
+   * @returns {boolean} - True if a subscription was deleted
+   */
+  async deleteWebhookSubscription(id) {
+    const result = await this.pool.query('DELETE FROM webhook_subscriptions WHERE id = $1', [id]);
+    return result.rowCount > 0;
+  }
+
+  /**
+   * List webhook subscriptions, optionally only the active ones listening to an event
+   * @param {Object} options - { event }
+   * @returns {Object[]} - Subscription rows
+   */
+  async listWebhookSubscriptions({ event = null } = {}) {
+    const result = await this.pool.query(`
+      SELECT *
+      FROM webhook_subscriptions
+      WHERE $1::TEXT IS NULL OR (active AND events ? $1)
+      ORDER BY created_at DESC
+    `, [event]);
+
+    return result.rows;
+  }
+
+  /**
+   * Queue one delivery of an event per subscription, leased to the caller for its first attempt
+   * @param {Object[]} deliveries - { subscriptionId, eventId, event, payload }
+   * @param {number} leaseSeconds - How long the new deliveries are hidden from the retry worker
+   * @returns {Object[]} - Delivery rows joined with their subscription's url and secret
+   */
+  async createWebhookDeliveries(deliveries, leaseSeconds) {
+    const result = await this.pool.query(`
+      WITH inserted AS (
+        INSERT INTO webhook_deliveries (subscription_id, event_id, event, payload, next_attempt_at)
+        SELECT subscription_id, event_id, event, payload, CURRENT_TIMESTAMP + $5 * INTERVAL '1 second'
+        FROM UNNEST($1::INTEGER[], $2::VARCHAR[], $3::VARCHAR[], $4::JSONB[])
+          AS queued (subscription_id, event_id, event, payload)
+        RETURNING *
+      )
+      SELECT inserted.*, s.url, s.secret
+      FROM inserted
+      JOIN webhook_subscriptions s ON s.id = inserted.subscription_id
+    `, [
+      deliveries.map(delivery => delivery.subscriptionId),
+      deliveries.map(delivery => delivery.eventId),
+      deliveries.map(delivery => delivery.event),
+      deliveries.map(delivery => JSON.stringify(delivery.payload)),
+      leaseSeconds
+    ]);
+
+    return result.rows;
+  }
+
+  /**
+   * Claim pending deliveries of active subscriptions whose next attempt is due
+   * @param {number} limit - Maximum number of deliveries to claim
+   * @param {number} leaseSeconds - How long a claimed delivery is hidden from other workers
+   * @returns {Object[]} - Delivery rows joined with their subscription's url and secret
+   */
+  async claimDueWebhookDeliveries(limit, leaseSeconds) {
+    const result = await this.pool.query(`
+      WITH claimed AS (
+        UPDATE webhook_deliveries
+        SET next_attempt_at = CURRENT_TIMESTAMP + $2 * INTERVAL '1 second'
+        WHERE id IN (
+          SELECT d.id
+          FROM webhook_deliveries d
+          JOIN webhook_subscriptions s ON s.id = d.subscription_id
+          WHERE d.status = 'pending' AND d.next_attempt_at <= CURRENT_TIMESTAMP AND s.active
+          ORDER BY d.next_attempt_at
+          LIMIT $1
+          FOR UPDATE OF d SKIP LOCKED
+        )
+        RETURNING *
+      )
+      SELECT claimed.*, s.url, s.secret
+      FROM claimed
+      JOIN webhook_subscriptions s ON s.id = claimed.subscription_id
+    `, [limit, leaseSeconds]);
+
+    return result.rows;
+  }
+
+  /**
+   * Log a delivery attempt and update the delivery's status
+   * @param {number} id - Delivery id
+   * @param {Object} attempt - { status, statusCode, error, durationMs, nextAttemptAt }
+   */
+  async recordWebhookAttempt(id, { status, statusCode = null, error = null, durationMs = null, nextAttemptAt = null }) {
+    await this.pool.query(`
+      WITH attempt AS (
+        INSERT INTO webhook_attempts (delivery_id, status_code, error, duration_ms)
+        VALUES ($1, $3, $4, $5)
+      )
+      UPDATE webhook_deliveries
+      SET status = $2,
+          attempts = attempts + 1,
+          last_status_code = $3,
+          last_error = $4,
+          next_attempt_at = $6,
+          delivered_at = CASE WHEN $2 = 'delivered' THEN CURRENT_TIMESTAMP ELSE delivered_at END
+      WHERE id = $1
+    `, [id, status, statusCode, error, durationMs, nextAttemptAt]);
+  }
+
+  /**
+   * Get the logged attempts of deliveries
+   * @param {number[]} deliveryIds - Delivery ids
+   * @returns {Object[]} - Attempt rows, oldest first
+   */
+  async getWebhookAttempts(deliveryIds) {
+    const result = await this.pool.query(`
+      SELECT *
+      FROM webhook_attempts
+      WHERE delivery_id = ANY($1::INTEGER[])
+      ORDER BY attempted_at ASC, id ASC
+    `, [deliveryIds]);
+
+    return result.rows;
+  }
+
+  /**
+   * List webhook deliveries, newest first
+   * @param {Object} options - { status, subscriptionId, limit }
+   * @returns {Object[]} - Delivery rows
+   */
+  async listWebhookDeliveries({ status = null, subscriptionId = null, limit = 50 } = {}) {
+    const result = await this.pool.query(`
+      SELECT *
+      FROM webhook_deliveries
+      WHERE ($1::VARCHAR IS NULL OR status = $1)
+        AND ($2::INTEGER IS NULL OR subscription_id = $2)
+      ORDER BY created_at DESC, id DESC
+      LIMIT $3
+    `, [status, subscriptionId, limit]);
+
+    return result.rows;
+  }
+
+  /**
+   * Put a delivery back in the queue for an immediate attempt, with a fresh retry budget
+   * @param {number} id - Delivery id
+   * @returns {Object|null} - Delivery row joined with its subscription's url and secret, or null if it doesn't exist
+   */
+  async requeueWebhookDelivery(id) {
+    const result = await this.pool.query(`
+      -- The lease keeps the retry worker away while the replay attempt runs
+      WITH requeued AS (
+        UPDATE webhook_deliveries
+        SET status = 'pending',
+            attempts = 0,
+            next_attempt_at = CURRENT_TIMESTAMP + INTERVAL '1 minute'
+        WHERE id = $1
+        RETURNING *
+      )
+      SELECT requeued.*, s.url, s.secret
+      FROM requeued
+      JOIN webhook_subscriptions s ON s.id = requeued.subscription_id
+    `, [id]);
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Create an admin account
+   * @param {Object} user - { email, name, passwordHash, role }
+   * @returns {Object|null} - User row, or null if the email is taken
+   */
+  async createAdminUser({ email, name = null, passwordHash, role }) {
+    const result = await this.pool.query(`
+      INSERT INTO admin_users (email, name, password_hash, role)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (email) DO NOTHING
+      RETURNING *
+    `, [email, name, passwordHash, role]);
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Look up an admin account by email
+   * @param {string} email - Lowercased email
+   * @returns {Object|null} - User row
+   */
+  async getAdminUserByEmail(email) {
+    const result = await this.pool.query('SELECT * FROM admin_users WHERE email = $1', [email]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Look up an admin account by id
+   * @param {number} id - User id
+   * @returns {Object|null} - User row
+   */
+  async getAdminUser(id) {
+    const result = await this.pool.query('SELECT * FROM admin_users WHERE id = $1', [id]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * List admin accounts
+   * @returns {Object[]} - User rows
+   */
+  async listAdminUsers() {
+    const result = await this.pool.query('SELECT * FROM admin_users ORDER BY created_at');
+    return result.rows;
+  }
+
+  /**
+   * Change the name, role, active flag or password of an admin account.
+   * Deactivating an account or changing its password or role signs it out everywhere.
+   * @param {number} id - User id
+   * @param {Object} changes - { name, role, active, passwordHash }
+   * @returns {Object|null} - Updated user row, or null if it doesn't exist
+   */
+  async updateAdminUser(id, { name = null, role = null, active = null, passwordHash = null }) {
+    const result = await this.pool.query(`
+      WITH updated AS (
+        UPDATE admin_users
+        SET name = COALESCE($2, name),
+            role = COALESCE($3, role),
+            active = COALESCE($4, active),
+            password_hash = COALESCE($5, password_hash),
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+        RETURNING *
+      ), signed_out AS (
+        DELETE FROM admin_sessions
+        WHERE user_id = $1 AND ($3::VARCHAR IS NOT NULL OR $4 = FALSE OR $5::TEXT IS NOT NULL)
+      )
+      SELECT * FROM updated
+    `, [id, name, role, active, passwordHash]);
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Number of active owners, so the last one can't be demoted or deactivated
+   * @returns {number} - Active owner count
+   */
+  async countActiveAdminOwners() {
+    const result = await this.pool.query(
+      "SELECT COUNT(*) AS count FROM admin_users WHERE role = 'owner' AND active"
+    );
+    return parseInt(result.rows[0].count);
+  }
+
+  /**
+   * Start an admin session (expired sessions are cleared at the same time)
+   * @param {Object} session - { userId, tokenHash, ip, userAgent, expiresAt }
+   * @returns {Object} - Session row
+   */
+  async createAdminSession({ userId, tokenHash, ip = null, userAgent = null, expiresAt }) {
+    const result = await this.pool.query(`
+      WITH expired AS (
+        DELETE FROM admin_sessions WHERE expires_at < CURRENT_TIMESTAMP
+      ), login AS (
+        UPDATE admin_users SET last_login_at = CURRENT_TIMESTAMP WHERE id = $1
+      )
+      INSERT INTO admin_sessions (user_id, token_hash, ip, user_agent, expires_at)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING *
+    `, [userId, tokenHash, ip, userAgent, expiresAt]);
+
+    return result.rows[0];
+  }
+
+  /**
+   * Look up an unexpired session of an active account
+   * @param {string} tokenHash - SHA-256 of the session token
+   * @returns {Object|null} - Session row joined with the user's email, name and role
+   */
+  async getAdminSession(tokenHash) {
+    const result = await this.pool.query(`
+      SELECT s.id AS session_id, s.expires_at, u.id, u.email, u.name, u.role
+      FROM admin_sessions s
+      JOIN admin_users u ON u.id = s.user_id
+      WHERE s.token_hash = $1 AND s.expires_at > CURRENT_TIMESTAMP AND u.active
+    `, [tokenHash]);
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * End an admin session
+   * @param {string} tokenHash - SHA-256 of the session token
+   */
+  async deleteAdminSession(tokenHash) {
+    await this.pool.query('DELETE FROM admin_sessions WHERE token_hash = $1', [tokenHash]);
+  }
+
+  /**
+   * Record an admin action
+   * @param {Object} entry - { userId, email, action, target, details, ip }
+   */
+  async recordAdminAudit({ userId = null, email = null, action, target = null, details = null, ip = null }) {
+    await this.pool.query(`
+      INSERT INTO admin_audit_log (user_id, email, action, target, details, ip)
+      VALUES ($1, $2, $3, $4, $5, $6)
+    `, [userId, email, action, target, details ? JSON.stringify(details) : null, ip]);
+  }
+
+  /**
+   * Admin audit log, newest first
+   * @param {Object} filters - { email, action, since, until, limit }
+   * @returns {Object[]} - Audit rows
+   */
+  async listAdminAudit({ email = null, action = null, since = null, until = null, limit = 100 } = {}) {
+    const result = await this.pool.query(`
+      SELECT *
+      FROM admin_audit_log
+      WHERE ($1::VARCHAR IS NULL OR email = $1)
+        AND ($2::VARCHAR IS NULL OR action = $2)
+        AND ($3::TIMESTAMP IS NULL OR created_at >= $3)
+        AND ($4::TIMESTAMP IS NULL OR created_at < $4)
+      ORDER BY created_at DESC, id DESC
+      LIMIT $5
+    `, [email, action, since, until, limit]);
+
+    return result.rows;
+  }
+
+  /**
+   * Store a new API key (only its hash)
+   * @param {Object} key - { name, prefix, keyHash, rateLimitPerMinute, dailyQuota, monthlyQuota, createdBy }
+   * @returns {Object} - API key row
+   */
+  async createApiKey({ name, prefix, keyHash, rateLimitPerMinute, dailyQuota, monthlyQuota, createdBy = null }) {
+    const result = await this.pool.query(`
+      INSERT INTO api_keys (name, prefix, key_hash, rate_limit_per_minute, daily_quota, monthly_quota, created_by)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING *
+    `, [name, prefix, keyHash, rateLimitPerMinute, dailyQuota, monthlyQuota, createdBy]);
+
+    return result.rows[0];
+  }
+
+  /**
+   * Look up an unrevoked API key
+   * @param {string} keyHash - SHA-256 of the key
+   * @returns {Object|null} - API key row
+   */
+  async getApiKeyByHash(keyHash) {
+    const result = await this.pool.query(
+      'SELECT * FROM api_keys WHERE key_hash = $1 AND revoked_at IS NULL',
+      [keyHash]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * List API keys with their usage today and this month
+   * @returns {Object[]} - API key rows with used_today and used_this_month
+   */
+  async listApiKeys() {
+    const result = await this.pool.query(`
+      SELECT k.*,
+             COALESCE(d.count, 0) AS used_today,
+             COALESCE(m.count, 0) AS used_this_month
+      FROM api_keys k
+      LEFT JOIN api_key_usage d
+        ON d.key_id = k.id AND d.window_name = 'day' AND d.window_start = date_trunc('day', LOCALTIMESTAMP)
+      LEFT JOIN api_key_usage m
+        ON m.key_id = k.id AND m.window_name = 'month' AND m.window_start = date_trunc('month', LOCALTIMESTAMP)
+      ORDER BY k.revoked_at IS NOT NULL, k.created_at DESC
+    `);
+
+    return result.rows;
+  }
+
+  /**
+   * Rename an unrevoked API key or change its limits
+   * @param {number} id - API key id
+   * @param {Object} changes - { name, rateLimitPerMinute, dailyQuota, monthlyQuota }
+   * @returns {Object|null} - Updated row, or null if it doesn't exist or is revoked
+   */
+  async updateApiKey(id, { name = null, rateLimitPerMinute = null, dailyQuota = null, monthlyQuota = null }) {
+    const result = await this.pool.query(`
+      UPDATE api_keys
+      SET name = COALESCE($2, name),
+          rate_limit_per_minute = COALESCE($3, rate_limit_per_minute),
+          daily_quota = COALESCE($4, daily_quota),
+          monthly_quota = COALESCE($5, monthly_quota),
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND revoked_at IS NULL
+      RETURNING *
+    `, [id, name, rateLimitPerMinute, dailyQuota, monthlyQuota]);
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Revoke an API key; its usage history is kept
+   * @param {number} id - API key id
+   * @returns {Object|null} - Revoked row, or null if it doesn't exist or was already revoked
+   */
+  async revokeApiKey(id) {
+    const result = await this.pool.query(`
+      UPDATE api_keys
+      SET revoked_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND revoked_at IS NULL
+      RETURNING *
+    `, [id]);
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Count a request against an API key's per-minute, daily and monthly limits.
+   * Nothing is counted when the request would go over a limit.
+   * @param {number} keyId - API key id
+   * @param {number} units - Analyses the request counts as
+   * @returns {Object|null} - { allowed, windows: [{ name, limit, used, resetSeconds }] }, or null if revoked
+   */
+  async consumeApiKeyQuota(keyId, units = 1) {
+    const client = await this.pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      // Locking the key serializes its concurrent requests, so limits can't be overshot
+      const keyResult = await client.query(`
+        SELECT rate_limit_per_minute, daily_quota, monthly_quota
+        FROM api_keys
+        WHERE id = $1 AND revoked_at IS NULL
+        FOR UPDATE
+      `, [keyId]);
+      const key = keyResult.rows[0];
+
+      if (!key) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      const usage = await client.query(`
+        WITH windows (window_name, window_start, window_length, quota) AS (
+          VALUES ('minute', date_trunc('minute', LOCALTIMESTAMP), INTERVAL '1 minute', $2::INTEGER),
+                 ('day', date_trunc('day', LOCALTIMESTAMP), INTERVAL '1 day', $3::INTEGER),
+                 ('month', date_trunc('month', LOCALTIMESTAMP), INTERVAL '1 month', $4::INTEGER)
+        )
+        SELECT w.window_name, w.window_start::TEXT AS window_start, w.quota, COALESCE(u.count, 0) AS count,
+               CEIL(EXTRACT(EPOCH FROM (w.window_start + w.window_length - LOCALTIMESTAMP)))::INTEGER AS reset_seconds
+        FROM windows w
+        LEFT JOIN api_key_usage u
+          ON u.key_id = $1 AND u.window_name = w.window_name AND u.window_start = w.window_start
+      `, [keyId, key.rate_limit_per_minute, key.daily_quota, key.monthly_quota]);
+
+      const windows = usage.rows.map(row => ({
+        name: row.window_name,
+        limit: row.quota,
+        used: parseInt(row.count),
+        resetSeconds: row.reset_seconds
+      }));
+      const allowed = windows.every(window => window.used + units <= window.limit);
+
+      if (allowed) {
+        await client.query(`
+          INSERT INTO api_key_usage (key_id, window_name, window_start, count)
+          SELECT $1, window_name, window_start, $4
+          FROM UNNEST($2::VARCHAR[], $3::TIMESTAMP[]) AS w(window_name, window_start)
+          ON CONFLICT (key_id, window_name, window_start)
+          DO UPDATE SET count = api_key_usage.count + EXCLUDED.count
+        `, [keyId, usage.rows.map(row => row.window_name), usage.rows.map(row => row.window_start), units]);
+
+        // Minute counters are only needed while their window is open
+        await client.query(`
+          DELETE FROM api_key_usage
+          WHERE key_id = $1 AND window_name = 'minute' AND window_start < LOCALTIMESTAMP - INTERVAL '1 hour'
+        `, [keyId]);
+        await client.query('UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP WHERE id = $1', [keyId]);
+
+        windows.forEach(window => { window.used += units; });
+      }
+
+      await client.query('COMMIT');
+      return { allowed, windows };
+
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Daily and monthly request counts of an API key
+   * @param {number} keyId - API key id
+   * @param {number} days - Number of days of daily counts
+   * @returns {Object} - { days: [{ date, count }], months: [{ month, count }] }, oldest first
+   */
+  async getApiKeyUsage(keyId, days = 30) {
+    const result = await this.pool.query(`
+      SELECT window_name, to_char(window_start, 'YYYY-MM-DD') AS period, count
+      FROM api_key_usage
+      WHERE key_id = $1
+        AND ((window_name = 'day' AND window_start > date_trunc('day', LOCALTIMESTAMP) - $2 * INTERVAL '1 day')
+          OR (window_name = 'month' AND window_start > date_trunc('month', LOCALTIMESTAMP) - INTERVAL '12 months'))
+      ORDER BY window_start
+    `, [keyId, days]);
+
+    return {
+      days: result.rows.filter(row => row.window_name === 'day')
+        .map(row => ({ date: row.period, count: row.count })),
+      months: result.rows.filter(row => row.window_name === 'month')
+        .map(row => ({ month: row.period.slice(0, 7), count: row.count }))
+    };
+  }
+
   /**
    * Get lead statistics for business intelligence
    * @returns {Object} - Lead statistics
@@ -177,30 +1205,62 @@ class DatabaseService {
           COUNT(CASE WHEN growth_score >= 65 THEN 1 END) as good_scores,
           COUNT(CASE WHEN growth_score < 45 THEN 1 END) as poor_scores,
           COUNT(CASE WHEN created_at >= NOW() - INTERVAL '24 hours' THEN 1 END) as last_24h,
-          COUNT(CASE WHEN created_at >= NOW() - INTERVAL '7 days' THEN 1 END) as last_7d
+          COUNT(CASE WHEN created_at >= NOW() - INTERVAL '7 days' THEN 1 END) as last_7d,
+          (SELECT COUNT(*) FROM leads) as contacts,
+          (SELECT json_object_agg(status, count) FROM (
+            SELECT status, COUNT(*) AS count FROM leads GROUP BY status
+          ) statuses) as lead_statuses
         FROM website_submissions
+        WHERE origin = 'visitor'
       `;
       
       const recentDomainsQuery = `
-        SELECT domain, growth_score, created_at
-        FROM website_submissions 
-        ORDER BY created_at DESC 
+        SELECT s.domain, s.growth_score, s.created_at,
+               l.name AS contact_name, l.email AS contact_email,
+               l.company AS contact_company, l.consent AS contact_consent,
+               l.id AS lead_id, l.status AS lead_status, l.owner AS lead_owner
+        FROM website_submissions s
+        LEFT JOIN leads l ON l.id = s.lead_id
+        WHERE s.origin = 'visitor'
+        ORDER BY s.created_at DESC 
         LIMIT 10
       `;
 
-      const [stats, recentDomains] = await Promise.all([
+      // Scores in 10-point buckets (100 falls in the 90-100 bucket)
+      const distributionQuery = `
+        SELECT LEAST(growth_score / 10, 9) AS bucket, COUNT(*) AS count
+        FROM website_submissions
+        WHERE growth_score IS NOT NULL AND origin = 'visitor'
+        GROUP BY bucket
+        ORDER BY bucket
+      `;
+
+      // Daily submissions over the last 30 days, including days without any
+      const timelineQuery = `
+        SELECT to_char(day, 'YYYY-MM-DD') AS date, COUNT(s.id) AS count, ROUND(AVG(s.growth_score), 1) AS avg_score
+        FROM generate_series(CURRENT_DATE - INTERVAL '29 days', CURRENT_DATE, INTERVAL '1 day') day
+        LEFT JOIN website_submissions s ON s.created_at::DATE = day::DATE AND s.origin = 'visitor'
+        GROUP BY day
+        ORDER BY day
+      `;
+
+      const [stats, recentDomains, distribution, timeline] = await Promise.all([
         this.pool.query(statsQuery),
-        this.pool.query(recentDomainsQuery)
+        this.pool.query(recentDomainsQuery),
+        this.pool.query(distributionQuery),
+        this.pool.query(timelineQuery)
       ]);
 
       return {
         overview: stats.rows[0],
-        recentSubmissions: recentDomains.rows
+        recentSubmissions: recentDomains.rows,
+        scoreDistribution: distribution.rows,
+        submissionsPerDay: timeline.rows
       };
       
     } catch (error) {
       console.error('❌ Failed to get lead stats:', error);
-      return { overview: {}, recentSubmissions: [] };
+      return { overview: {}, recentSubmissions: [], scoreDistribution: [], submissionsPerDay: [] };
     }
   }
 
@@ -6,6 +6,7 @@ const FIRECRAWL_BASE_URL = 'https://api.firecrawl.dev/v0'; // Official Firecrawl
 
 class FirecrawlService {
   constructor() {
+    this.name = 'firecrawl';
     this.apiKey = process.env.FIRECRAWL_API_KEY;
     
     if (!this.apiKey) {
@@ -14,11 +15,20 @@ class FirecrawlService {
   }
 
   /**
-   * Crawl a website and extract content for analysis
-   * @param {string} url - The website URL to crawl
+   * Check whether an API key is available
+   * @returns {boolean} - True if Firecrawl can be used
+   */
+  isConfigured() {
+    return !!this.apiKey;
+  }
+
+  /**
+   * Crawl a single page and extract content for analysis
+   * @param {string} url - The page URL to crawl
+   * @param {Object} options - { includeLinks, includeHtml } to also return the page's links and raw HTML
    * @returns {Object} - Crawled content and metadata
    */
-  async crawlWebsite(url) {
+  async crawlWebsite(url, options = {}) {
     try {
       console.log(`🕷️  Crawling: ${url}`);
 
@@ -33,7 +43,10 @@ class FirecrawlService {
           pageOptions: {
             // Extract only the text content, no HTML tags
             onlyMainContent: true,
-            includeHtml: false,
+            // HTML is only needed to discover links to other pages
+            includeHtml: !!options.includeLinks,
+            // Full page HTML (with <head>) for the technical SEO audit
+            includeRawHtml: !!options.includeHtml,
             // Wait for dynamic content to load
             waitFor: 2000,
             // Screenshot for future features (optional)
@@ -84,9 +97,11 @@ class FirecrawlService {
       return {
         url: url,
         content: content,
+        ...(options.includeLinks && { links: this.extractLinks(crawlResult) }),
+        ...(options.includeHtml && crawlResult.rawHtml && { html: crawlResult.rawHtml }),
         metadata: {
-          title: crawlResult.title || 'Unknown Title',
-          description: crawlResult.description || '',
+          title: crawlResult.title || crawlResult.metadata?.title || 'Unknown Title',
+          description: crawlResult.description || crawlResult.metadata?.description || '',
           statusCode: crawlResult.statusCode || 200,
           crawlTime: new Date().toISOString(),
           contentLength: content.length
@@ -131,6 +146,21 @@ class FirecrawlService {
     return content;
   }
 
+  /**
+   * Extract the links found on a crawled page
+   * @param {Object} crawlData - Raw crawl data from Firecrawl
+   * @returns {string[]} - Link URLs (possibly relative)
+   */
+  extractLinks(crawlData) {
+    if (Array.isArray(crawlData.linksOnPage)) {
+      return crawlData.linksOnPage;
+    }
+
+    // Fallback: pull href attributes out of the HTML
+    const html = crawlData.html || '';
+    return [...html.matchAll(/<a\s[^>]*href=["']([^"'#]+)["']/gi)].map(match => match[1]);
+  }
+
   /**
    * Clean and normalize extracted content
    * @param {string} content - Raw content text
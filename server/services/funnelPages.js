@@ -0,0 +1,112 @@
+// Funnel page discovery: picks the pages worth analyzing next to the landing page
+// (pricing, signup, about, contact, product) from the links found on it
+
+// Page types in priority order, with the URL path patterns that identify them
+const FUNNEL_PAGE_TYPES = {
+  pricing: { label: 'Pricing', pattern: /(pricing|plans|price|buy)/i },
+  signup: { label: 'Signup', pattern: /(sign-?up|register|get-?started|start-?free|trial|join|demo)/i },
+  product: { label: 'Product', pattern: /(product|features|solutions?|platform|how-it-works|tour)/i },
+  about: { label: 'About', pattern: /(about|company|team|our-story|who-we-are)/i },
+  contact: { label: 'Contact', pattern: /(contact|support|get-in-touch|help)/i }
+};
+
+// Hard cap on extra pages per analysis, to bound crawl cost and prompt size
+const MAX_FUNNEL_PAGES = 5;
+const DEFAULT_FUNNEL_PAGE_LIMIT = process.env.CRAWL_PAGE_LIMIT !== undefined
+  ? Math.min(MAX_FUNNEL_PAGES, Math.max(0, parseInt(process.env.CRAWL_PAGE_LIMIT) || 0))
+  : 3;
+
+// Links that never point at a crawlable page
+const SKIPPED_EXTENSIONS = /\.(pdf|jpe?g|png|gif|svg|webp|zip|mp4|mp3|css|js|xml|json)$/i;
+
+/**
+ * Validate and normalize the per-request page selection options
+ * @param {Object} options - Raw options from the request body ({ limit, types })
+ * @returns {Object} - { limit, types } or { error } describing the invalid option
+ */
+function normalizePageOptions(options = {}) {
+  // null, arrays and primitives would fail on the property reads below
+  if (options === null || typeof options !== 'object' || Array.isArray(options)) {
+    return { error: 'pages must be an object with optional limit and types' };
+  }
+
+  const limit = options.limit === undefined ? DEFAULT_FUNNEL_PAGE_LIMIT : Number(options.limit);
+  if (!Number.isInteger(limit) || limit < 0 || limit > MAX_FUNNEL_PAGES) {
+    return { error: `pages.limit must be a whole number between 0 and ${MAX_FUNNEL_PAGES}` };
+  }
+
+  const types = options.types === undefined ? Object.keys(FUNNEL_PAGE_TYPES) : options.types;
+  if (!Array.isArray(types) || types.some(type => !FUNNEL_PAGE_TYPES[type])) {
+    return { error: `pages.types must be a list of: ${Object.keys(FUNNEL_PAGE_TYPES).join(', ')}` };
+  }
+
+  return { limit, types };
+}
+
+/**
+ * Pick at most one same-site page per requested funnel type
+ * @param {string[]} links - Absolute or relative links found on the landing page
+ * @param {string} baseUrl - URL of the landing page
+ * @param {Object} options - Normalized page options ({ limit, types })
+ * @returns {Object[]} - Selected pages as { type, label, url }
+ */
+function selectFunnelPages(links, baseUrl, options) {
+  const base = new URL(baseUrl);
+  const baseHost = base.hostname.replace(/^www\./, '');
+  const candidates = [];
+  const seen = new Set([normalizeLink(base)]);
+
+  for (const link of links || []) {
+    let parsed;
+    try {
+      parsed = new URL(link, base);
+    } catch (error) {
+      continue;
+    }
+
+    if (!['http:', 'https:'].includes(parsed.protocol)) continue;
+    if (parsed.hostname.replace(/^www\./, '') !== baseHost) continue;
+    if (SKIPPED_EXTENSIONS.test(parsed.pathname)) continue;
+
+    const normalized = normalizeLink(parsed);
+    if (seen.has(normalized)) continue;
+    seen.add(normalized);
+
+    candidates.push(parsed);
+  }
+
+  const selected = [];
+  for (const type of options.types) {
+    if (selected.length >= options.limit) break;
+
+    const { label, pattern } = FUNNEL_PAGE_TYPES[type];
+    // Prefer the shortest matching path, e.g. /pricing over /blog/pricing-update
+    const match = candidates
+      .filter(candidate => pattern.test(candidate.pathname))
+      .filter(candidate => !selected.some(page => page.url === normalizeLink(candidate)))
+      .sort((a, b) => a.pathname.length - b.pathname.length)[0];
+
+    if (match) {
+      selected.push({ type, label, url: normalizeLink(match) });
+    }
+  }
+
+  return selected;
+}
+
+/**
+ * Normalize a URL for deduplication (no hash, no trailing slash)
+ * @param {URL} url - Parsed URL
+ * @returns {string} - Normalized URL string
+ */
+function normalizeLink(url) {
+  const pathname = url.pathname.length > 1 ? url.pathname.replace(/\/+$/, '') : url.pathname;
+  return `${url.protocol}//${url.host}${pathname}${url.search}`;
+}
+
+module.exports = {
+  FUNNEL_PAGE_TYPES,
+  MAX_FUNNEL_PAGES,
+  normalizePageOptions,
+  selectFunnelPages
+};
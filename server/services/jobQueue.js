@@ -0,0 +1,262 @@
+// In-process job queue for website analyses
+// Jobs are kept in memory, so they do not survive a server restart
+// Emits an 'event' for every stage transition or progress update so clients can stream them
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+const JOB_STAGES = ['queued', 'crawling', 'analyzing', 'saving', 'done', 'failed'];
+const FINISHED_STAGES = ['done', 'failed'];
+
+class JobQueue extends EventEmitter {
+  constructor() {
+    super();
+    // Each open progress stream adds a listener
+    this.setMaxListeners(0);
+
+    this.jobs = new Map();
+    this.pending = [];
+    this.active = 0;
+
+    // Number of analyses processed at the same time
+    this.concurrency = parseInt(process.env.ANALYSIS_CONCURRENCY) || 2;
+    // Maximum number of jobs waiting for a worker slot
+    this.maxPending = parseInt(process.env.ANALYSIS_QUEUE_LIMIT) || 50;
+    // How long finished jobs stay queryable
+    this.retentionMs = (parseInt(process.env.ANALYSIS_JOB_RETENTION_MINUTES) || 60) * 60 * 1000;
+
+    // Periodically drop finished jobs so memory stays bounded
+    this.cleanupTimer = setInterval(() => this.pruneFinishedJobs(), 5 * 60 * 1000);
+    this.cleanupTimer.unref();
+  }
+
+  /**
+   * Submit a new job for background processing
+   * @param {Object} input - Job input (e.g. the URL to analyze)
+   * @param {Function} processor - async (input, progress) => result, where progress
+   *   exposes setStage(stage, details) and publish(type, data)
+   * @param {Function} describeError - Converts a thrown error into a client-safe description
+   * @returns {Object} - Public view of the queued job
+   */
+  submit(input, processor, describeError = (error) => ({ error: 'Job failed', message: error.message })) {
+    if (this.pending.length >= this.maxPending) {
+      const error = new Error('Analysis queue is full');
+      error.status = 503;
+      throw error;
+    }
+
+    const now = new Date().toISOString();
+    const job = {
+      id: crypto.randomUUID(),
+      url: input.url,
+      stage: 'queued',
+      input: input,
+      processor: processor,
+      describeError: describeError,
+      result: null,
+      error: null,
+      events: [],
+      createdAt: now,
+      updatedAt: now,
+      startedAt: null,
+      finishedAt: null
+    };
+
+    this.jobs.set(job.id, job);
+    this.pending.push(job);
+    this.recordEvent(job, 'stage');
+
+    console.log(`📥 Queued analysis job ${job.id} for ${job.url} (${this.pending.length} waiting)`);
+
+    this.processNext();
+
+    return this.toPublic(job);
+  }
+
+  /**
+   * Look up a job by id
+   * @param {string} id - Job id
+   * @returns {Object|null} - Public view of the job
+   */
+  getJob(id) {
+    const job = this.jobs.get(id);
+    return job ? this.toPublic(job) : null;
+  }
+
+  /**
+   * Follow a job's progress: replays past events, then streams new ones until it finishes
+   * @param {string} id - Job id
+   * @param {Function} listener - Called with each progress event
+   * @returns {Function|null} - Unsubscribe function, or null if the job doesn't exist
+   */
+  subscribe(id, listener) {
+    const job = this.jobs.get(id);
+    if (!job) {
+      return null;
+    }
+
+    job.events.forEach(listener);
+
+    if (FINISHED_STAGES.includes(job.stage)) {
+      return () => {};
+    }
+
+    const onEvent = (event) => {
+      if (event.jobId === id) {
+        listener(event);
+      }
+    };
+
+    this.on('event', onEvent);
+    return () => this.off('event', onEvent);
+  }
+
+  /**
+   * Wait for a job to finish
+   * @param {string} id - Job id
+   * @returns {Promise<Object>} - Public view of the job once it is done or failed
+   */
+  waitFor(id) {
+    return new Promise((resolve, reject) => {
+      let unsubscribe = null;
+      let finished = false;
+
+      unsubscribe = this.subscribe(id, (event) => {
+        if (event.type !== 'stage' || !FINISHED_STAGES.includes(event.stage)) return;
+
+        finished = true;
+        unsubscribe?.();
+        resolve(this.getJob(id));
+      });
+
+      if (!unsubscribe) {
+        reject(new Error(`Unknown job: ${id}`));
+      } else if (finished) {
+        // Already finished: the replayed events resolved the promise
+        unsubscribe();
+      }
+    });
+  }
+
+  /**
+   * Start queued jobs while worker slots are available
+   */
+  processNext() {
+    while (this.active < this.concurrency && this.pending.length > 0) {
+      const job = this.pending.shift();
+      this.active++;
+
+      this.runJob(job).finally(() => {
+        this.active--;
+        this.processNext();
+      });
+    }
+  }
+
+  /**
+   * Run a single job, recording stage transitions, result and error
+   * @param {Object} job - Internal job record
+   */
+  async runJob(job) {
+    job.startedAt = new Date().toISOString();
+
+    try {
+      const progress = {
+        setStage: (stage, details) => this.setStage(job, stage, details),
+        publish: (type, data) => this.recordEvent(job, type, data)
+      };
+
+      const result = await job.processor(job.input, progress);
+
+      job.result = result;
+      job.finishedAt = new Date().toISOString();
+      this.setStage(job, 'done', { result });
+      console.log(`✅ Job ${job.id} finished`);
+    } catch (error) {
+      console.error(`❌ Job ${job.id} failed:`, error.message);
+      job.error = job.describeError(error);
+      job.finishedAt = new Date().toISOString();
+      this.setStage(job, 'failed', { error: job.error });
+    } finally {
+      // Input may hold request details (IP, user agent) we no longer need
+      job.input = null;
+      job.processor = null;
+      job.describeError = null;
+    }
+  }
+
+  /**
+   * Move a job to a new stage
+   * @param {Object} job - Internal job record
+   * @param {string} stage - One of JOB_STAGES
+   * @param {Object} details - Optional data describing the transition
+   */
+  setStage(job, stage, details = {}) {
+    if (!JOB_STAGES.includes(stage)) {
+      throw new Error(`Unknown job stage: ${stage}`);
+    }
+
+    job.stage = stage;
+    this.recordEvent(job, 'stage', details);
+  }
+
+  /**
+   * Append a progress event to the job's timeline and notify subscribers
+   * @param {Object} job - Internal job record
+   * @param {string} type - Event type ('stage' for transitions, or a progress update name)
+   * @param {Object} data - Event payload
+   */
+  recordEvent(job, type, data = {}) {
+    const event = {
+      jobId: job.id,
+      type: type,
+      stage: job.stage,
+      at: new Date().toISOString(),
+      data: data
+    };
+
+    job.events.push(event);
+    job.updatedAt = event.at;
+    this.emit('event', event);
+  }
+
+  /**
+   * Remove finished jobs older than the retention window
+   */
+  pruneFinishedJobs() {
+    const cutoff = Date.now() - this.retentionMs;
+
+    for (const [id, job] of this.jobs) {
+      if (FINISHED_STAGES.includes(job.stage) && new Date(job.finishedAt).getTime() < cutoff) {
+        this.jobs.delete(id);
+      }
+    }
+  }
+
+  /**
+   * Build the client-facing representation of a job
+   * @param {Object} job - Internal job record
+   * @returns {Object} - Job without internal fields
+   */
+  toPublic(job) {
+    return {
+      id: job.id,
+      url: job.url,
+      stage: job.stage,
+      position: job.stage === 'queued' ? this.pending.indexOf(job) + 1 : 0,
+      result: job.result,
+      error: job.error,
+      // Timeline without the final result, which is already included above
+      events: job.events.map(({ jobId, ...event }) =>
+        event.data.result ? { ...event, data: {} } : event
+      ),
+      createdAt: job.createdAt,
+      updatedAt: job.updatedAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt
+    };
+  }
+}
+
+module.exports = new JobQueue();
+module.exports.JOB_STAGES = JOB_STAGES;
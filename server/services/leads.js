@@ -0,0 +1,182 @@
+// Contact capture: turns an analysis into a lead with a person to follow up with.
+// LEAD_CAPTURE sets how the results page asks for contact details:
+// off (never), optional (after the results) or gated (before the results are shown).
+
+const databaseService = require('./database');
+const reportService = require('./reports');
+const webhookService = require('./webhooks');
+
+const LEAD_CAPTURE_MODES = ['off', 'optional', 'gated'];
+
+// Sales pipeline stages; new leads start as 'new'
+const LEAD_STATUSES = ['new', 'contacted', 'qualified', 'won', 'lost'];
+
+// Deliberately loose: one @, no spaces, a dot in the domain
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+
+const FIELD_LIMITS = {
+  email: 254,
+  name: 100,
+  company: 200
+};
+
+class LeadService {
+  constructor() {
+    const mode = (process.env.LEAD_CAPTURE || 'optional').toLowerCase();
+    this.mode = LEAD_CAPTURE_MODES.includes(mode) ? mode : 'optional';
+  }
+
+  /**
+   * Validate and normalize submitted contact details
+   * @param {Object} body - { email, name, company, consent }
+   * @returns {Object} - { contact } or { error }
+   */
+  normalizeContact({ email, name, company, consent }) {
+    const clean = (value) => typeof value === 'string' && value.trim() ? value.trim() : null;
+    const contact = {
+      email: clean(email)?.toLowerCase() || null,
+      name: clean(name),
+      company: clean(company),
+      consent: consent === true
+    };
+
+    if (!contact.email || !EMAIL_REGEX.test(contact.email)) {
+      return { error: 'Please enter a valid email address' };
+    }
+
+    const tooLong = Object.keys(FIELD_LIMITS).find(field => contact[field] && contact[field].length > FIELD_LIMITS[field]);
+    if (tooLong) {
+      return { error: `${tooLong} must be at most ${FIELD_LIMITS[tooLong]} characters` };
+    }
+
+    if (!contact.consent) {
+      return { error: 'Please agree to be contacted about your results' };
+    }
+
+    return { contact };
+  }
+
+  /**
+   * Store contact details left on a report
+   * @param {Object} contact - Normalized contact details
+   * @param {string} slug - Share slug of the analysis
+   * @returns {Object} - { lead }, or { status, error, message } when the details can't be left on this report
+   */
+  async capture(contact, slug) {
+    const submission = reportService.isValidSlug(slug)
+      ? await databaseService.getSubmissionBySlug(slug)
+      : null;
+
+    if (!submission) {
+      return {
+        status: 404,
+        error: 'Report not found',
+        message: 'This report does not exist. Please run the analysis again.'
+      };
+    }
+
+    const lead = await databaseService.saveLead(contact, submission.id);
+
+    if (!lead) {
+      return {
+        status: 409,
+        error: 'Report already claimed',
+        message: 'Contact details were already left on this report. Please run your own analysis.'
+      };
+    }
+
+    webhookService.emit('contact.captured', {
+      leadId: lead.id,
+      isNew: lead.is_new,
+      email: lead.email,
+      name: lead.name,
+      company: lead.company,
+      consent: lead.consent,
+      submission: {
+        id: submission.id,
+        url: submission.url,
+        domain: submission.domain,
+        score: submission.growth_score
+      },
+      report: reportService.describe(submission)
+    });
+
+    return { lead };
+  }
+
+  /**
+   * Admin view of a lead row
+   * @param {Object} row - Lead row (optionally with submissions, notes and status_changes)
+   * @returns {Object} - Lead details
+   */
+  toAdmin(row) {
+    return {
+      id: row.id,
+      email: row.email,
+      name: row.name,
+      company: row.company,
+      consent: row.consent,
+      consentAt: row.consent_at,
+      status: row.status,
+      owner: row.owner,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+      ...(row.submission_count !== undefined && {
+        domain: row.domain,
+        latestScore: row.latest_score,
+        submissionCount: parseInt(row.submission_count) || 0
+      }),
+      ...(row.submissions && {
+        submissions: row.submissions.map(submission => ({
+          id: submission.id,
+          url: submission.url,
+          domain: submission.domain,
+          score: submission.growth_score,
+          report: reportService.describe(submission),
+          analyzedAt: submission.created_at
+        }))
+      }),
+      ...(row.notes && {
+        notes: row.notes.map(note => this.toAdminNote(note))
+      }),
+      ...(row.status_changes && {
+        statusHistory: row.status_changes.map(change => this.toAdminStatusChange(change))
+      })
+    };
+  }
+
+  /**
+   * Admin view of a lead note row
+   * @param {Object} row - Note row
+   * @returns {Object} - Note details
+   */
+  toAdminNote(row) {
+    return {
+      id: row.id,
+      body: row.body,
+      author: row.author,
+      createdAt: row.created_at
+    };
+  }
+
+  /**
+   * Admin view of a status change row
+   * @param {Object} row - Status change row (optionally with the lead's email)
+   * @returns {Object} - Status change details
+   */
+  toAdminStatusChange(row) {
+    return {
+      id: row.id,
+      leadId: row.lead_id,
+      ...(row.email !== undefined && { email: row.email }),
+      from: row.from_status,
+      to: row.to_status,
+      changedBy: row.changed_by,
+      changedAt: row.changed_at
+    };
+  }
+}
+
+module.exports = new LeadService();
+module.exports.LEAD_CAPTURE_MODES = LEAD_CAPTURE_MODES;
+module.exports.LEAD_STATUSES = LEAD_STATUSES;
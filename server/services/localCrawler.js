@@ -0,0 +1,316 @@
+// Built-in HTML crawler: fetches pages directly and parses them with cheerio
+// Needs no API key, so it works when Firecrawl is not configured or unavailable.
+// It does not run JavaScript, so content rendered client-side may be missing.
+// URLs come from users, so every request and redirect must resolve to a public address.
+
+const dns = require('dns');
+const net = require('net');
+const cheerio = require('cheerio');
+const { Agent, fetch } = require('undici');
+
+const REQUEST_TIMEOUT_MS = 15000;
+// Stop reading responses beyond this size (bytes)
+const MAX_HTML_SIZE = 3 * 1024 * 1024;
+const MAX_CONTENT_LENGTH = 50000;
+// Redirects followed per page; each hop is checked like the original URL
+const MAX_REDIRECTS = 5;
+const USER_AGENT = 'Mozilla/5.0 (compatible; WebsiteGrowthAnalyzer/1.0; +https://github.com/SatvikP/website-growth-analyzer)';
+
+// Addresses a user-supplied URL may not reach: loopback, private, link-local (incl. cloud
+// metadata endpoints), carrier-grade NAT, unique-local and other non-public ranges
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+// Elements that never contain readable page content
+const NON_CONTENT_SELECTOR = 'script, style, noscript, template, svg, iframe, canvas';
+// Block-level elements rendered as separate lines in the extracted text
+const BLOCK_SELECTOR = 'h1, h2, h3, h4, h5, h6, p, li, blockquote, td, th, button, label, figcaption, dt, dd';
+
+class LocalCrawlerService {
+  constructor() {
+    this.name = 'local';
+  }
+
+  /**
+   * The local crawler needs no configuration
+   * @returns {boolean} - Always true
+   */
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * Fetch a single page and extract content for analysis
+   * @param {string} url - The page URL to crawl
+   * @param {Object} options - { includeLinks, includeHtml } to also return the page's links and raw HTML
+   * @returns {Object} - Crawled content and metadata, in the same shape as FirecrawlService
+   */
+  async crawlWebsite(url, options = {}) {
+    console.log(`🕷️  Crawling (local): ${url}`);
+
+    const response = await this.fetchPage(url);
+
+    if (!response.ok) {
+      throw new Error(`Website responded with HTTP ${response.status}`);
+    }
+
+    const contentType = response.headers.get('content-type') || '';
+    if (!contentType.includes('html')) {
+      throw new Error(`Unsupported content type: ${contentType || 'unknown'}`);
+    }
+
+    const html = await this.readBody(response);
+    const page = this.parseHtml(html, response.url || url);
+
+    if (!page.content || page.content.length < 100) {
+      throw new Error('Insufficient content extracted from website. The page might be empty or have access restrictions.');
+    }
+
+    console.log(`✅ Successfully crawled ${page.content.length} characters from ${url}`);
+
+    return {
+      url: url,
+      content: page.content,
+      ...(options.includeLinks && { links: page.links.map(link => link.href) }),
+      ...(options.includeHtml && { html: html }),
+      metadata: {
+        title: page.title || 'Unknown Title',
+        description: page.description,
+        statusCode: response.status,
+        finalUrl: response.url || url,
+        headings: page.headings,
+        forms: page.forms,
+        linkCount: page.links.length,
+        crawlTime: new Date().toISOString(),
+        contentLength: page.content.length
+      }
+    };
+  }
+
+  /**
+   * Fetch a page, following redirects only to public addresses
+   * @param {string} url - Page URL
+   * @returns {Response} - Final fetch response (response.url is the URL after redirects)
+   */
+  async fetchPage(url) {
+    const signal = AbortSignal.timeout(REQUEST_TIMEOUT_MS);
+    let currentUrl = url;
+
+    for (let redirects = 0; ; redirects++) {
+      const addresses = await this.assertPublicUrl(currentUrl);
+      // Connect to the checked addresses, so the host can't resolve elsewhere in between
+      const dispatcher = new Agent({ connect: { lookup: this.pinnedLookup(addresses) } });
+
+      let response;
+      try {
+        response = await fetch(currentUrl, {
+          headers: {
+            'User-Agent': USER_AGENT,
+            'Accept': 'text/html,application/xhtml+xml'
+          },
+          redirect: 'manual',
+          signal,
+          dispatcher
+        });
+      } catch (error) {
+        if (error.name === 'TimeoutError') {
+          throw new Error(`Website request timeout after ${REQUEST_TIMEOUT_MS / 1000} seconds`);
+        }
+        throw new Error(`Unable to reach website: ${error.cause?.code || error.message}`);
+      } finally {
+        // Closes the connection once the response body has been read
+        dispatcher.close();
+      }
+
+      const location = response.headers.get('location');
+      if (response.status < 300 || response.status >= 400 || !location) {
+        // Manual redirects leave response.url at the requested URL
+        Object.defineProperty(response, 'url', { value: currentUrl });
+        return response;
+      }
+
+      await response.body?.cancel();
+      if (redirects >= MAX_REDIRECTS) {
+        throw new Error(`Unable to reach website: more than ${MAX_REDIRECTS} redirects`);
+      }
+      currentUrl = new URL(location, currentUrl).href;
+    }
+  }
+
+  /**
+   * Refuse URLs that are not http(s) or whose host resolves to a non-public address
+   * @param {string} url - URL about to be fetched
+   * @returns {Object[]} - The checked addresses ({ address, family }) to connect to
+   */
+  async assertPublicUrl(url) {
+    const { protocol, hostname } = new URL(url);
+    if (!['http:', 'https:'].includes(protocol)) {
+      throw new Error(`Unable to reach website: unsupported protocol ${protocol}`);
+    }
+
+    let addresses;
+    try {
+      addresses = await dns.promises.lookup(hostname.replace(/^\[|\]$/g, ''), { all: true, verbatim: true });
+    } catch (error) {
+      throw new Error(`Unable to reach website: ${error.code || error.message}`);
+    }
+
+    // BlockList also matches IPv4-mapped IPv6 addresses against the IPv4 ranges
+    const blocked = addresses.find(({ address, family }) =>
+      BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4'));
+
+    if (blocked) {
+      throw new Error(`Unable to reach website: ${hostname} resolves to a private or reserved address`);
+    }
+
+    return addresses;
+  }
+
+  /**
+   * Build a DNS lookup function that answers every query with already checked addresses
+   * @param {Object[]} addresses - Result of assertPublicUrl()
+   * @returns {Function} - Lookup function for net.connect() and tls.connect()
+   */
+  pinnedLookup(addresses) {
+    return (hostname, options, callback) => {
+      if (options.all) {
+        return callback(null, addresses);
+      }
+      callback(null, addresses[0].address, addresses[0].family);
+    };
+  }
+
+  /**
+   * Read a response body, giving up on oversized pages
+   * @param {Response} response - Fetch response
+   * @returns {string} - Response body text
+   */
+  async readBody(response) {
+    const declaredSize = parseInt(response.headers.get('content-length'));
+    if (declaredSize > MAX_HTML_SIZE) {
+      throw new Error(`Page is too large to analyze (${declaredSize} bytes)`);
+    }
+
+    const chunks = [];
+    let size = 0;
+
+    for await (const chunk of response.body) {
+      size += chunk.length;
+      if (size > MAX_HTML_SIZE) {
+        break;
+      }
+      chunks.push(chunk);
+    }
+
+    return Buffer.concat(chunks).toString('utf8');
+  }
+
+  /**
+   * Extract title, description, headings, links, forms and readable text from HTML
+   * @param {string} html - Raw page HTML
+   * @param {string} baseUrl - URL used to resolve relative links
+   * @returns {Object} - Parsed page details and text content
+   */
+  parseHtml(html, baseUrl) {
+    const $ = cheerio.load(html);
+
+    const title = this.cleanText($('title').first().text());
+    const description = this.cleanText(
+      $('meta[name="description"]').attr('content') ||
+      $('meta[property="og:description"]').attr('content') || ''
+    );
+
+    const headings = $('h1, h2, h3').map((index, element) => ({
+      level: parseInt(element.tagName.substring(1)),
+      text: this.cleanText($(element).text())
+    })).get().filter(heading => heading.text);
+
+    const links = $('a[href]').map((index, element) => {
+      const href = $(element).attr('href');
+      try {
+        return { href: new URL(href, baseUrl).href, text: this.cleanText($(element).text()) };
+      } catch (error) {
+        return null;
+      }
+    }).get().filter(Boolean);
+
+    const forms = $('form').map((index, form) => ({
+      action: $(form).attr('action') || '',
+      method: ($(form).attr('method') || 'get').toLowerCase(),
+      fields: $(form).find('input, select, textarea')
+        .filter((fieldIndex, field) => !['hidden', 'submit', 'button'].includes($(field).attr('type')))
+        .map((fieldIndex, field) => ({
+          name: $(field).attr('name') || $(field).attr('id') || '',
+          type: $(field).attr('type') || field.tagName,
+          required: $(field).attr('required') !== undefined
+        })).get(),
+      submitText: this.cleanText(
+        $(form).find('button, input[type="submit"]').first().text() ||
+        $(form).find('input[type="submit"]').attr('value') || ''
+      )
+    })).get();
+
+    $(NON_CONTENT_SELECTOR).remove();
+
+    const navigation = $('nav a, header a')
+      .map((index, element) => this.cleanText($(element).text())).get()
+      .filter((text, index, all) => text && all.indexOf(text) === index);
+
+    // Readable text: one line per block element, headings marked up like markdown
+    const lines = navigation.length > 0 ? [`NAVIGATION: ${navigation.join(' | ')}`, ''] : [];
+    $('body').find(`${BLOCK_SELECTOR}, div`).each((index, element) => {
+      // Skip blocks nested in other blocks so text isn't repeated
+      if ($(element).parents(BLOCK_SELECTOR).length > 0) return;
+      // Only take text from divs that hold it directly, not from layout wrappers
+      if (element.tagName === 'div' && $(element).find(`${BLOCK_SELECTOR}, div`).length > 0) return;
+
+      const text = this.cleanText($(element).text());
+      if (!text) return;
+
+      const tag = element.tagName;
+      if (/^h[1-6]$/.test(tag)) {
+        lines.push(`${'#'.repeat(parseInt(tag.substring(1)))} ${text}`);
+      } else if (tag === 'button') {
+        lines.push(`[Button: ${text}]`);
+      } else if (tag === 'li') {
+        lines.push(`- ${text}`);
+      } else {
+        lines.push(text);
+      }
+    });
+
+    if (forms.length > 0) {
+      lines.push('', 'FORMS ON PAGE:');
+      forms.forEach((form, index) => {
+        const fields = form.fields.map(field => `${field.name || field.type}${field.required ? '*' : ''}`).join(', ');
+        lines.push(`- Form ${index + 1}: ${form.fields.length} field(s) [${fields}]${form.submitText ? `, submit "${form.submitText}"` : ''}`);
+      });
+    }
+
+    const content = lines
+      .filter((line, index) => line !== lines[index - 1])
+      .join('\n')
+      .replace(/[\u0000-\u0009\u000B-\u001F\u007F-\u009F]/g, '')
+      .trim()
+      .substring(0, MAX_CONTENT_LENGTH);
+
+    return { title, description, headings, links, forms, content };
+  }
+
+  /**
+   * Collapse whitespace in a text fragment
+   * @param {string} text - Raw text
+   * @returns {string} - Single-line trimmed text
+   */
+  cleanText(text) {
+    return (text || '').replace(/\s+/g, ' ').trim();
+  }
+}
+
+module.exports = new LocalCrawlerService();
@@ -0,0 +1,238 @@
+// Database migrations: ordered SQL files in server/migrations, applied once each and recorded in
+// schema_migrations with a checksum. Files are named NNNN_name.up.sql with an optional NNNN_name.down.sql.
+// Runs hold a Postgres advisory lock, so instances starting together apply each migration once.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const databaseService = require('./database');
+
+const MIGRATIONS_DIR = path.join(__dirname, '../migrations');
+const FILE_PATTERN = /^(\d{4})_([a-z0-9_]+)\.(up|down)\.sql$/;
+
+// Arbitrary application-wide key for pg_advisory_lock
+const LOCK_KEY = 72810424;
+
+class MigrationService {
+  /**
+   * Read the migration files, oldest first
+   * @returns {Object[]} - { version, name, up, down, checksum }
+   */
+  loadMigrations() {
+    const migrations = new Map();
+
+    for (const file of fs.readdirSync(MIGRATIONS_DIR)) {
+      const match = file.match(FILE_PATTERN);
+      if (!match) continue;
+
+      const [, digits, name, direction] = match;
+      const version = parseInt(digits);
+      const migration = migrations.get(version) || { version, name, up: null, down: null };
+
+      if (migration.name !== name) {
+        throw new Error(`Migration ${digits} has two names: ${migration.name} and ${name}`);
+      }
+
+      // Line endings are normalized so checkouts on any OS get the same checksum
+      migration[direction] = fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8').replace(/\r\n/g, '\n');
+      migrations.set(version, migration);
+    }
+
+    return [...migrations.values()]
+      .map(migration => {
+        if (!migration.up) {
+          throw new Error(`Migration ${migration.version} (${migration.name}) has no .up.sql file`);
+        }
+        return { ...migration, checksum: crypto.createHash('sha256').update(migration.up).digest('hex') };
+      })
+      .sort((a, b) => a.version - b.version);
+  }
+
+  /**
+   * Run a function with the migration lock held, on a dedicated connection
+   * @param {Function} fn - Receives the pg client
+   * @returns {*} - Result of fn
+   */
+  async withLock(fn) {
+    const client = await databaseService.pool.connect();
+
+    try {
+      await client.query('SELECT pg_advisory_lock($1)', [LOCK_KEY]);
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+          version INTEGER PRIMARY KEY,
+          name VARCHAR(100) NOT NULL,
+          checksum CHAR(64) NOT NULL,
+          execution_ms INTEGER,
+          applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      return await fn(client);
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [LOCK_KEY]).catch(() => {});
+      client.release();
+    }
+  }
+
+  /**
+   * Applied migrations
+   * @param {Object} client - pg client
+   * @returns {Object[]} - schema_migrations rows, oldest first
+   */
+  async getApplied(client) {
+    const result = await client.query('SELECT * FROM schema_migrations ORDER BY version');
+    return result.rows;
+  }
+
+  /**
+   * Refuse to run when an applied migration was edited or deleted afterwards
+   * @param {Object[]} migrations - Migration files
+   * @param {Object[]} applied - schema_migrations rows
+   */
+  verify(migrations, applied) {
+    for (const row of applied) {
+      const migration = migrations.find(item => item.version === row.version);
+
+      if (!migration) {
+        throw new Error(`Applied migration ${row.version} (${row.name}) has no file`);
+      }
+      if (migration.checksum !== row.checksum) {
+        throw new Error(`Migration ${row.version} (${row.name}) was changed after it was applied; add a new migration instead`);
+      }
+    }
+  }
+
+  /**
+   * Every migration with whether and when it was applied
+   * @returns {Object[]} - { version, name, appliedAt, state: 'applied'|'pending'|'changed'|'missing' }
+   */
+  async status() {
+    const migrations = this.loadMigrations();
+
+    return this.withLock(async (client) => {
+      const applied = new Map((await this.getApplied(client)).map(row => [row.version, row]));
+      const versions = [...new Set([...migrations.map(item => item.version), ...applied.keys()])].sort((a, b) => a - b);
+
+      return versions.map(version => {
+        const migration = migrations.find(item => item.version === version);
+        const row = applied.get(version);
+
+        return {
+          version,
+          name: migration?.name || row.name,
+          appliedAt: row?.applied_at || null,
+          state: !row ? 'pending' : !migration ? 'missing' : migration.checksum !== row.checksum ? 'changed' : 'applied'
+        };
+      });
+    });
+  }
+
+  /**
+   * Apply pending migrations in order, each in its own transaction
+   * @param {Object} options - { to: last version to apply (default: all) }
+   * @returns {Object[]} - Applied migrations ({ version, name })
+   */
+  async up({ to = Infinity } = {}) {
+    const migrations = this.loadMigrations();
+
+    return this.withLock(async (client) => {
+      const applied = await this.getApplied(client);
+      this.verify(migrations, applied);
+
+      const appliedVersions = new Set(applied.map(row => row.version));
+      const pending = migrations.filter(item => !appliedVersions.has(item.version) && item.version <= to);
+
+      if (pending.length === 0) {
+        console.log('🗃️  Database schema is up to date');
+        return [];
+      }
+
+      for (const migration of pending) {
+        await this.run(client, migration, 'up', async (executionMs) => {
+          await client.query(
+            'INSERT INTO schema_migrations (version, name, checksum, execution_ms) VALUES ($1, $2, $3, $4)',
+            [migration.version, migration.name, migration.checksum, executionMs]
+          );
+        });
+      }
+
+      return pending.map(({ version, name }) => ({ version, name }));
+    });
+  }
+
+  /**
+   * Revert the latest applied migrations, newest first
+   * @param {Object} options - { steps: number of migrations to revert (default 1) }
+   * @returns {Object[]} - Reverted migrations ({ version, name })
+   */
+  async down({ steps = 1 } = {}) {
+    const migrations = this.loadMigrations();
+
+    return this.withLock(async (client) => {
+      const applied = await this.getApplied(client);
+      this.verify(migrations, applied);
+
+      const reverting = applied.slice(-steps).reverse()
+        .map(row => migrations.find(item => item.version === row.version));
+
+      const irreversible = reverting.find(migration => !migration.down);
+      if (irreversible) {
+        throw new Error(`Migration ${irreversible.version} (${irreversible.name}) has no .down.sql file`);
+      }
+
+      for (const migration of reverting) {
+        await this.run(client, migration, 'down', async () => {
+          await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+        });
+      }
+
+      return reverting.map(({ version, name }) => ({ version, name }));
+    });
+  }
+
+  /**
+   * Run one direction of a migration and its bookkeeping in a transaction
+   * @param {Object} client - pg client holding the lock
+   * @param {Object} migration - Migration file
+   * @param {string} direction - 'up' or 'down'
+   * @param {Function} record - Updates schema_migrations inside the transaction (receives the duration in ms)
+   */
+  async run(client, migration, direction, record) {
+    const label = `${String(migration.version).padStart(4, '0')}_${migration.name}`;
+    const startedAt = Date.now();
+
+    try {
+      await client.query('BEGIN');
+      await client.query(migration[direction]);
+      await record(Date.now() - startedAt);
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw new Error(`Migration ${label} (${direction}) failed: ${error.message}`);
+    }
+
+    console.log(`🗃️  ${direction === 'up' ? 'Applied' : 'Reverted'} migration ${label} (${Date.now() - startedAt}ms)`);
+  }
+
+  /**
+   * Create empty up and down files for a new migration
+   * @param {string} name - Lowercase name with underscores
+   * @returns {string[]} - Created file paths
+   */
+  create(name) {
+    if (!/^[a-z0-9_]+$/.test(name || '')) {
+      throw new Error('Migration names may only contain lowercase letters, digits and underscores');
+    }
+
+    const last = this.loadMigrations().pop();
+    const prefix = `${String((last?.version || 0) + 1).padStart(4, '0')}_${name}`;
+
+    return ['up', 'down'].map(direction => {
+      const file = path.join(MIGRATIONS_DIR, `${prefix}.${direction}.sql`);
+      fs.writeFileSync(file, `-- ${direction === 'up' ? 'Describe the change' : `Reverts ${prefix}`}\n\n`, { flag: 'wx' });
+      return file;
+    });
+  }
+}
+
+module.exports = new MigrationService();
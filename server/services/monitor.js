@@ -0,0 +1,240 @@
+// Site monitoring: re-runs the analysis pipeline for monitored sites on a schedule
+// and raises alerts when the overall or a category score drops by more than the monitor's threshold.
+// Alerts are stored with the run and sent to webhook subscribers as monitor.alert events.
+// The scheduler runs in-process and polls Postgres for due monitors, so it survives restarts.
+
+const analysisPipeline = require('./analysisPipeline');
+const jobQueue = require('./jobQueue');
+const databaseService = require('./database');
+const webhookService = require('./webhooks');
+
+// Supported frequencies and their interval in minutes
+const MONITOR_FREQUENCIES = {
+  hourly: 60,
+  daily: 24 * 60,
+  weekly: 7 * 24 * 60
+};
+
+const MONITOR_STATUSES = ['active', 'paused'];
+
+// Monitors claimed per scheduler tick; they run one after another to keep crawl and AI load low
+const BATCH_SIZE = 5;
+
+class MonitorService {
+  constructor() {
+    // How often the scheduler looks for due monitors
+    this.pollMs = (parseInt(process.env.MONITOR_POLL_SECONDS) || 60) * 1000;
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Start the scheduler (no-op if already started)
+   */
+  start() {
+    if (this.timer) return;
+
+    console.log(`⏰ Site monitor scheduler started (checking every ${this.pollMs / 1000}s)`);
+    this.timer = setInterval(() => this.tick(), this.pollMs);
+    this.timer.unref();
+  }
+
+  /**
+   * Stop the scheduler; a run in progress still finishes
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Run every monitor that is due, unless the previous tick is still busy
+   */
+  async tick() {
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      let monitors = await databaseService.claimDueMonitors(BATCH_SIZE);
+
+      while (monitors.length > 0) {
+        for (const monitor of monitors) {
+          await this.runMonitor(monitor);
+        }
+        monitors = await databaseService.claimDueMonitors(BATCH_SIZE);
+      }
+    } catch (error) {
+      console.error('❌ Site monitor tick failed:', error.message);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Re-analyze a monitored site, record the run and send any score-drop alerts
+   * @param {Object} monitor - Monitor row
+   * @returns {Object} - Saved monitor run row
+   */
+  async runMonitor(monitor) {
+    const startedAt = new Date();
+    console.log(`🔁 Monitor ${monitor.id}: re-analyzing ${monitor.url}`);
+
+    let job;
+    try {
+      // Queued like visitor analyses, so monitor runs count against the same concurrency limit
+      const queued = jobQueue.submit(
+        {
+          url: monitor.url,
+          pages: monitor.page_options || {},
+          rubric: monitor.rubric_id || undefined,
+          // Monitoring is about change, so never serve a cached analysis
+          force: true,
+          // Stored as monitoring history, not as a lead
+          origin: 'monitor'
+        },
+        (input, progress) => analysisPipeline.run(input, progress),
+        (error) => analysisPipeline.describeError(error)
+      );
+      job = await jobQueue.waitFor(queued.id);
+    } catch (error) {
+      // The queue was full
+      job = { stage: 'failed', error: { message: error.message } };
+    }
+
+    if (job.stage === 'failed') {
+      console.error(`❌ Monitor ${monitor.id} run failed:`, job.error.message);
+      return databaseService.saveMonitorRun({
+        monitorId: monitor.id,
+        status: 'failed',
+        error: job.error.message,
+        startedAt
+      });
+    }
+
+    const result = job.result;
+    const categories = result.analysis.categories.map(category => ({
+      name: category.name,
+      score: category.score,
+      maxScore: result.rubric.categories.find(item => item.name === category.name)?.maxScore || null
+    }));
+
+    const previous = await databaseService.getLastCompletedMonitorRun(monitor.id);
+    const alerts = previous
+      ? this.detectDrops(previous, { score: result.analysis.score, categories }, monitor.alert_threshold)
+      : [];
+
+    alerts.forEach(alert => console.warn(`🚨 Monitor ${monitor.id} (${monitor.url}): ${alert.message}`));
+
+    const run = await databaseService.saveMonitorRun({
+      monitorId: monitor.id,
+      submissionId: result.report?.id || null,
+      status: 'completed',
+      score: result.analysis.score,
+      categories,
+      alerts,
+      startedAt
+    });
+
+    if (alerts.length > 0) {
+      webhookService.emit('monitor.alert', {
+        monitorId: monitor.id,
+        runId: run.id,
+        url: monitor.url,
+        previousScore: previous.score,
+        score: result.analysis.score,
+        threshold: monitor.alert_threshold,
+        alerts: alerts,
+        report: result.report
+      });
+    }
+
+    return run;
+  }
+
+  /**
+   * Compare a run with the previous one and list the drops above the threshold.
+   * Overall drops are in points out of 100; category drops are in percentage points
+   * of the category maximum, so categories of different sizes share one threshold.
+   * @param {Object} previous - Previous run ({ score, categories })
+   * @param {Object} current - New run ({ score, categories })
+   * @param {number} threshold - Alert threshold
+   * @returns {Object[]} - Alerts ({ type, category?, from, to, drop, message })
+   */
+  detectDrops(previous, current, threshold) {
+    const alerts = [];
+
+    if (previous.score !== null && previous.score - current.score > threshold) {
+      alerts.push({
+        type: 'overall_drop',
+        from: previous.score,
+        to: current.score,
+        drop: previous.score - current.score,
+        message: `Overall score dropped from ${previous.score} to ${current.score}.`
+      });
+    }
+
+    for (const category of current.categories) {
+      const before = (previous.categories || []).find(item => item.name === category.name);
+      if (!before || !category.maxScore) continue;
+
+      const drop = Math.round((before.score - category.score) / category.maxScore * 100);
+      if (drop > threshold) {
+        alerts.push({
+          type: 'category_drop',
+          category: category.name,
+          from: before.score,
+          to: category.score,
+          drop: drop,
+          message: `${category.name} dropped from ${before.score} to ${category.score} (out of ${category.maxScore}).`
+        });
+      }
+    }
+
+    return alerts;
+  }
+
+  /**
+   * Client-facing view of a monitor row
+   * @param {Object} row - Monitor row (optionally with last_run)
+   * @returns {Object} - Monitor details
+   */
+  toPublic(row) {
+    return {
+      id: row.id,
+      url: row.url,
+      rubric: row.rubric_id,
+      pages: row.page_options || {},
+      frequency: row.frequency,
+      alertThreshold: row.alert_threshold,
+      status: row.status,
+      nextRunAt: row.next_run_at,
+      lastRunAt: row.last_run_at,
+      createdAt: row.created_at,
+      ...(row.last_run !== undefined && {
+        lastRun: row.last_run ? this.toPublicRun(row.last_run) : null
+      })
+    };
+  }
+
+  /**
+   * Client-facing view of a monitor run row
+   * @param {Object} row - Monitor run row
+   * @returns {Object} - Run details
+   */
+  toPublicRun(row) {
+    return {
+      id: row.id,
+      submissionId: row.submission_id,
+      status: row.status,
+      score: row.score,
+      alerts: row.alerts || [],
+      error: row.error,
+      startedAt: row.started_at,
+      finishedAt: row.finished_at
+    };
+  }
+}
+
+module.exports = new MonitorService();
+module.exports.MONITOR_FREQUENCIES = MONITOR_FREQUENCIES;
+module.exports.MONITOR_STATUSES = MONITOR_STATUSES;
@@ -0,0 +1,230 @@
+// Branded PDF rendering of an analysis report, generated locally with PDFKit
+// Takes the report shape returned by reportService.toResponse()
+
+const PDFDocument = require('pdfkit');
+const reportService = require('./reports');
+
+const BRAND_COLOR = '#ff6b35';
+const TEXT_COLOR = '#1f2937';
+const MUTED_COLOR = '#6b7280';
+const MARGIN = 50;
+const FOOTER_HEIGHT = 30;
+
+const PRIORITY_ORDER = ['High', 'Medium', 'Low'];
+const PRIORITY_COLORS = { High: '#dc2626', Medium: '#d97706', Low: '#16a34a' };
+
+const getScoreColor = (ratio) => {
+  if (ratio >= 0.75) return '#10b981';
+  if (ratio >= 0.5) return '#f59e0b';
+  return '#ef4444';
+};
+
+// The built-in PDF fonts only cover Latin-1, so map common typography and drop the rest (e.g. emoji)
+const cleanText = (value) => String(value ?? '')
+  .replace(/[‘’]/g, "'")
+  .replace(/[“”]/g, '"')
+  .replace(/[–—]/g, '-')
+  .replace(/…/g, '...')
+  .replace(/•/g, '-')
+  .replace(/[^\x09\x0a\x0d\x20-\xff]/g, '');
+
+class PdfReportService {
+  /**
+   * Render a report as a paginated PDF
+   * @param {Object} report - Stored analysis report
+   * @returns {PDFDocument} - Finished document stream, ready to pipe
+   */
+  render(report) {
+    const doc = new PDFDocument({
+      size: 'A4',
+      margins: { top: MARGIN, bottom: MARGIN + FOOTER_HEIGHT, left: MARGIN, right: MARGIN },
+      bufferPages: true,
+      info: {
+        Title: `Website Growth Report - ${report.url}`,
+        Author: 'Rate My Website'
+      }
+    });
+
+    this.drawHeader(doc, report);
+    this.drawScore(doc, report);
+    this.drawCategories(doc, report);
+    this.drawRecommendations(doc, report);
+    this.drawFooters(doc, report);
+
+    doc.end();
+    return doc;
+  }
+
+  /**
+   * Width available for content
+   * @param {PDFDocument} doc - Document
+   * @returns {number} - Content width in points
+   */
+  contentWidth(doc) {
+    return doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  }
+
+  /**
+   * Start a new page when the next block would not fit on the current one
+   * @param {PDFDocument} doc - Document
+   * @param {number} height - Height of the next block in points
+   */
+  ensureSpace(doc, height) {
+    if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+      doc.addPage();
+    }
+  }
+
+  /**
+   * Section heading with a brand-colored rule
+   * @param {PDFDocument} doc - Document
+   * @param {string} title - Heading text
+   */
+  drawSectionTitle(doc, title) {
+    this.ensureSpace(doc, 60);
+    doc.moveDown(1);
+    doc.font('Helvetica-Bold').fontSize(16).fillColor(TEXT_COLOR).text(title, MARGIN);
+    doc.moveTo(MARGIN, doc.y + 4).lineTo(MARGIN + 60, doc.y + 4).lineWidth(2).strokeColor(BRAND_COLOR).stroke();
+    doc.moveDown(0.8);
+  }
+
+  /** Brand band with the analyzed site and date */
+  drawHeader(doc, report) {
+    doc.rect(0, 0, doc.page.width, 90).fill(BRAND_COLOR);
+    doc.font('Helvetica-BoldOblique').fontSize(24).fillColor('white').text('Rate My Website', MARGIN, 28);
+    doc.font('Helvetica-Oblique').fontSize(12).text('Website Growth Report', MARGIN, 58);
+
+    doc.y = 120;
+    doc.font('Helvetica-Bold').fontSize(14).fillColor(TEXT_COLOR).text(cleanText(report.url), MARGIN);
+    const details = [
+      `Analyzed on ${new Date(report.timestamp).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })}`,
+      report.rubric && `${report.rubric.name} rubric v${report.rubric.version}`
+    ].filter(Boolean).join('  |  ');
+    doc.font('Helvetica').fontSize(10).fillColor(MUTED_COLOR).text(cleanText(details));
+  }
+
+  /** Overall score badge and summary */
+  drawScore(doc, report) {
+    const { score, summary } = report.analysis;
+    const top = doc.y + 20;
+    const radius = 36;
+
+    doc.circle(MARGIN + radius, top + radius, radius).fill(getScoreColor(score / 100));
+    doc.font('Helvetica-Bold').fontSize(26).fillColor('white')
+      .text(String(score), MARGIN, top + radius - 13, { width: radius * 2, align: 'center' });
+
+    const textLeft = MARGIN + radius * 2 + 20;
+    const textWidth = this.contentWidth(doc) - radius * 2 - 20;
+    doc.font('Helvetica-Bold').fontSize(18).fillColor(TEXT_COLOR)
+      .text(`${reportService.getScoreLabel(score)} - ${score}/100`, textLeft, top + 4, { width: textWidth });
+    doc.font('Helvetica').fontSize(11).fillColor(TEXT_COLOR)
+      .text(cleanText(summary), textLeft, doc.y + 6, { width: textWidth, lineGap: 2 });
+
+    doc.x = MARGIN;
+    doc.y = Math.max(doc.y, top + radius * 2) + 10;
+  }
+
+  /** Category scores with bars and feedback */
+  drawCategories(doc, report) {
+    const categories = report.analysis.categories || [];
+    if (categories.length === 0) return;
+
+    this.drawSectionTitle(doc, 'Detailed Analysis');
+    const width = this.contentWidth(doc);
+
+    for (const category of categories) {
+      const maxScore = category.maxScore ||
+        report.rubric?.categories.find(item => item.name === category.name)?.maxScore || 100;
+      const ratio = Math.min(1, category.score / maxScore);
+      const feedback = cleanText(category.feedback);
+
+      doc.font('Helvetica').fontSize(10);
+      this.ensureSpace(doc, 40 + doc.heightOfString(feedback, { width, lineGap: 2 }));
+
+      const top = doc.y;
+      doc.font('Helvetica-Bold').fontSize(12).fillColor(TEXT_COLOR).text(cleanText(category.name), MARGIN, top, { width: width - 60 });
+      doc.fillColor(getScoreColor(ratio)).text(`${category.score}/${maxScore}`, MARGIN, top, { width, align: 'right' });
+
+      const barTop = doc.y + 4;
+      doc.roundedRect(MARGIN, barTop, width, 6, 3).fill('#e5e7eb');
+      if (ratio > 0) {
+        doc.roundedRect(MARGIN, barTop, width * ratio, 6, 3).fill(getScoreColor(ratio));
+      }
+
+      doc.font('Helvetica').fontSize(10).fillColor(MUTED_COLOR)
+        .text(feedback, MARGIN, barTop + 14, { width, lineGap: 2 });
+      doc.moveDown(1);
+    }
+
+    const audit = report.analysis.seoAudit;
+    if (audit?.counts) {
+      this.ensureSpace(doc, 30);
+      doc.font('Helvetica-Oblique').fontSize(10).fillColor(MUTED_COLOR).text(
+        `Technical SEO audit: ${audit.counts.pass} checks passed, ${audit.counts.warn} warnings, ${audit.counts.fail} failed.`,
+        MARGIN
+      );
+    }
+  }
+
+  /** Recommendations, highest priority first */
+  drawRecommendations(doc, report) {
+    const recommendations = [...(report.analysis.recommendations || [])]
+      .sort((a, b) => PRIORITY_ORDER.indexOf(a.priority) - PRIORITY_ORDER.indexOf(b.priority));
+    if (recommendations.length === 0) return;
+
+    this.drawSectionTitle(doc, 'Priority Recommendations');
+    const width = this.contentWidth(doc);
+
+    recommendations.forEach((recommendation, index) => {
+      const action = cleanText(recommendation.action);
+      const impact = cleanText(recommendation.impact);
+
+      doc.font('Helvetica-Bold').fontSize(11);
+      const actionHeight = doc.heightOfString(action, { width: width - 20 });
+      doc.font('Helvetica').fontSize(10);
+      const impactHeight = doc.heightOfString(impact, { width: width - 20 });
+      this.ensureSpace(doc, 36 + actionHeight + impactHeight);
+
+      const top = doc.y;
+      doc.rect(MARGIN, top, 3, 24 + actionHeight + impactHeight).fill(PRIORITY_COLORS[recommendation.priority] || BRAND_COLOR);
+
+      const details = [
+        `${recommendation.priority} priority`,
+        `Effort: ${recommendation.effort}`,
+        recommendation.page && `${recommendation.page} page`
+      ].filter(Boolean).join('  |  ');
+
+      doc.font('Helvetica-Bold').fontSize(9).fillColor(PRIORITY_COLORS[recommendation.priority] || BRAND_COLOR)
+        .text(`${index + 1}. ${cleanText(details)}`, MARGIN + 12, top, { width: width - 20 });
+      doc.font('Helvetica-Bold').fontSize(11).fillColor(TEXT_COLOR)
+        .text(action, MARGIN + 12, doc.y + 3, { width: width - 20 });
+      doc.font('Helvetica').fontSize(10).fillColor(MUTED_COLOR)
+        .text(impact, MARGIN + 12, doc.y + 2, { width: width - 20 });
+
+      doc.x = MARGIN;
+      doc.moveDown(1.2);
+    });
+  }
+
+  /** Site and page number on every page */
+  drawFooters(doc, report) {
+    const range = doc.bufferedPageRange();
+
+    for (let index = range.start; index < range.start + range.count; index++) {
+      doc.switchToPage(index);
+
+      // Writing inside the bottom margin would otherwise start a new page
+      const bottomMargin = doc.page.margins.bottom;
+      doc.page.margins.bottom = 0;
+
+      const y = doc.page.height - MARGIN;
+      doc.font('Helvetica').fontSize(8).fillColor(MUTED_COLOR)
+        .text(`Rate My Website  |  ${cleanText(report.url)}`, MARGIN, y, { width: this.contentWidth(doc) / 2, lineBreak: false })
+        .text(`Page ${index - range.start + 1} of ${range.count}`, MARGIN, y, { width: this.contentWidth(doc), align: 'right', lineBreak: false });
+
+      doc.page.margins.bottom = bottomMargin;
+    }
+  }
+}
+
+module.exports = new PdfReportService();
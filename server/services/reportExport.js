@@ -0,0 +1,281 @@
+// Export formats for a single analysis report: Markdown, self-contained HTML and versioned JSON
+// The JSON format is described by server/schemas/analysis-export.v1.json; bump
+// EXPORT_SCHEMA_VERSION (and add a new schema file) for any breaking change.
+
+const reportService = require('./reports');
+
+const { escapeHtml } = reportService;
+
+const EXPORT_SCHEMA_ID = 'rate-my-website/analysis-export';
+const EXPORT_SCHEMA_VERSION = '1.0.0';
+
+const PRIORITY_ORDER = ['High', 'Medium', 'Low'];
+const STATUS_LABELS = { pass: 'PASS', warn: 'WARN', fail: 'FAIL' };
+
+// Content type and file extension of each export format
+const EXPORT_FORMATS = {
+  markdown: { contentType: 'text/markdown; charset=utf-8', extension: 'md' },
+  html: { contentType: 'text/html; charset=utf-8', extension: 'html' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' }
+};
+
+// Keep user-provided text from breaking Markdown tables
+const escapeTableCell = (value) => String(value ?? '').replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ');
+
+const formatDate = (value) => new Date(value).toLocaleString('en-US', {
+  year: 'numeric', month: 'long', day: 'numeric', hour: '2-digit', minute: '2-digit', timeZone: 'UTC', timeZoneName: 'short'
+});
+
+class ReportExportService {
+  /**
+   * Render a report in the requested format
+   * @param {Object} report - Stored analysis report (reportService.toResponse())
+   * @param {string} format - markdown, html or json
+   * @param {string} origin - Public origin of the app, used for links back to the report
+   * @returns {Object} - { body, contentType, extension }
+   */
+  render(report, format, origin) {
+    const { contentType, extension } = EXPORT_FORMATS[format];
+    const renderers = {
+      markdown: () => this.toMarkdown(report, origin),
+      html: () => this.toHtml(report, origin),
+      json: () => JSON.stringify(this.toJson(report, origin), null, 2)
+    };
+
+    return { body: renderers[format](), contentType, extension };
+  }
+
+  /**
+   * Recommendations with the highest priority first
+   * @param {Object} report - Stored analysis report
+   * @returns {Object[]} - Sorted recommendations
+   */
+  sortedRecommendations(report) {
+    return [...(report.analysis.recommendations || [])]
+      .sort((a, b) => PRIORITY_ORDER.indexOf(a.priority) - PRIORITY_ORDER.indexOf(b.priority));
+  }
+
+  /**
+   * Versioned JSON export (see server/schemas/analysis-export.v1.json)
+   * @param {Object} report - Stored analysis report
+   * @param {string} origin - Public origin of the app
+   * @returns {Object} - Export document
+   */
+  toJson(report, origin) {
+    const { analysis } = report;
+
+    return {
+      schema: EXPORT_SCHEMA_ID,
+      schemaVersion: EXPORT_SCHEMA_VERSION,
+      exportedAt: new Date().toISOString(),
+      report: {
+        id: report.report?.slug || null,
+        url: report.url,
+        analyzedAt: new Date(report.timestamp).toISOString(),
+        rubric: report.rubric ? { id: report.rubric.id, version: report.rubric.version, name: report.rubric.name } : null,
+        score: analysis.score,
+        scoreLabel: reportService.getScoreLabel(analysis.score),
+        summary: analysis.summary,
+        categories: (analysis.categories || []).map(category => ({
+          name: category.name,
+          score: category.score,
+          maxScore: category.maxScore ?? null,
+          feedback: category.feedback
+        })),
+        recommendations: (analysis.recommendations || []).map(recommendation => ({
+          priority: recommendation.priority,
+          action: recommendation.action,
+          impact: recommendation.impact,
+          effort: recommendation.effort,
+          page: recommendation.page || null
+        })),
+        seoAudit: analysis.seoAudit ? {
+          score: analysis.seoAudit.score,
+          counts: analysis.seoAudit.counts,
+          findings: analysis.seoAudit.findings.map(finding => ({
+            id: finding.id,
+            check: finding.check,
+            status: finding.status,
+            message: finding.message
+          }))
+        } : null,
+        scoringNotes: (analysis.scoringNotes || []).map(note => ({
+          type: note.type,
+          category: note.category || null,
+          message: note.message
+        }))
+      },
+      links: report.report ? {
+        report: `${origin}${report.report.url}`,
+        pdf: `${origin}/api/reports/${report.report.slug}/pdf`
+      } : null
+    };
+  }
+
+  /**
+   * Markdown export, suitable for pasting into tickets and docs
+   * @param {Object} report - Stored analysis report
+   * @param {string} origin - Public origin of the app
+   * @returns {string} - Markdown document
+   */
+  toMarkdown(report, origin) {
+    const { analysis } = report;
+    const lines = [
+      `# Website Growth Report: ${report.url}`,
+      '',
+      `**Analyzed:** ${formatDate(report.timestamp)}` +
+        (report.rubric ? `  \n**Rubric:** ${report.rubric.name} v${report.rubric.version}` : ''),
+      '',
+      `## Overall Score: ${analysis.score}/100 (${reportService.getScoreLabel(analysis.score)})`,
+      '',
+      analysis.summary,
+      ''
+    ];
+
+    if (analysis.categories?.length) {
+      lines.push('## Category Breakdown', '', '| Category | Score |', '|----------|-------|');
+      analysis.categories.forEach(category => {
+        lines.push(`| ${escapeTableCell(category.name)} | ${category.score}${category.maxScore ? `/${category.maxScore}` : ''} |`);
+      });
+      lines.push('');
+      analysis.categories.forEach(category => {
+        lines.push(`### ${category.name}`, '', category.feedback, '');
+      });
+    }
+
+    const recommendations = this.sortedRecommendations(report);
+    if (recommendations.length) {
+      lines.push('## Recommendations', '');
+      recommendations.forEach((recommendation, index) => {
+        const details = [
+          `${recommendation.priority} priority`,
+          `effort: ${recommendation.effort}`,
+          recommendation.page && `page: ${recommendation.page}`
+        ].filter(Boolean).join(', ');
+
+        lines.push(`${index + 1}. **${recommendation.action}** _(${details})_  `, `   ${recommendation.impact}`);
+      });
+      lines.push('');
+    }
+
+    if (analysis.seoAudit) {
+      const { counts, findings } = analysis.seoAudit;
+      lines.push(
+        '## Technical SEO Audit',
+        '',
+        `${counts.pass} passed, ${counts.warn} warnings, ${counts.fail} failed.`,
+        '',
+        ...findings.map(finding => `- **${STATUS_LABELS[finding.status]}** ${finding.check}: ${finding.message}`),
+        ''
+      );
+    }
+
+    if (report.report) {
+      lines.push('---', '', `[View the full report](${origin}${report.report.url})`, '');
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Self-contained, styled HTML export
+   * @param {Object} report - Stored analysis report
+   * @param {string} origin - Public origin of the app
+   * @returns {string} - HTML document
+   */
+  toHtml(report, origin) {
+    const { analysis } = report;
+    const scoreColor = (ratio) => ratio >= 0.75 ? '#10b981' : ratio >= 0.5 ? '#f59e0b' : '#ef4444';
+
+    const categories = (analysis.categories || []).map(category => {
+      const ratio = category.maxScore ? category.score / category.maxScore : 0;
+      return `
+      <div class="category">
+        <div class="row"><h3>${escapeHtml(category.name)}</h3><strong style="color: ${scoreColor(ratio)}">${category.score}${category.maxScore ? `/${category.maxScore}` : ''}</strong></div>
+        <div class="bar"><div style="width: ${Math.round(Math.min(1, ratio) * 100)}%; background: ${scoreColor(ratio)}"></div></div>
+        <p>${escapeHtml(category.feedback)}</p>
+      </div>`;
+    }).join('');
+
+    const recommendations = this.sortedRecommendations(report).map(recommendation => `
+      <li class="recommendation ${escapeHtml(recommendation.priority.toLowerCase())}">
+        <span class="meta">${escapeHtml(recommendation.priority)} priority &middot; Effort: ${escapeHtml(recommendation.effort)}${recommendation.page ? ` &middot; ${escapeHtml(recommendation.page)} page` : ''}</span>
+        <strong>${escapeHtml(recommendation.action)}</strong>
+        <p>${escapeHtml(recommendation.impact)}</p>
+      </li>`).join('');
+
+    const audit = analysis.seoAudit ? `
+    <h2>Technical SEO Audit</h2>
+    <p class="muted">${analysis.seoAudit.counts.pass} passed, ${analysis.seoAudit.counts.warn} warnings, ${analysis.seoAudit.counts.fail} failed.</p>
+    <ul class="audit">${analysis.seoAudit.findings.map(finding => `
+      <li><span class="status ${finding.status}">${STATUS_LABELS[finding.status]}</span> <strong>${escapeHtml(finding.check)}</strong>: ${escapeHtml(finding.message)}</li>`).join('')}
+    </ul>` : '';
+
+    return `<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+  <title>Website Growth Report: ${escapeHtml(report.url)}</title>
+  <style>
+    body { font-family: 'Trebuchet MS', Arial, sans-serif; color: #1f2937; max-width: 760px; margin: 0 auto; padding: 0 1.5rem 3rem; line-height: 1.5; }
+    header { background: #ff6b35; color: white; margin: 0 -1.5rem 2rem; padding: 1.5rem; }
+    header h1 { margin: 0; font-style: italic; }
+    h2 { border-bottom: 2px solid #ff6b35; padding-bottom: 0.25rem; margin-top: 2rem; }
+    h3 { margin: 0; font-size: 1rem; }
+    .muted, .meta { color: #6b7280; font-size: 0.875rem; }
+    .score { display: flex; align-items: center; gap: 1.5rem; }
+    .score-circle { width: 88px; height: 88px; border-radius: 50%; color: white; font-size: 2rem; font-weight: bold; display: flex; align-items: center; justify-content: center; flex-shrink: 0; }
+    .category { background: #f9fafb; border-radius: 8px; padding: 1rem; margin-bottom: 1rem; }
+    .category p { margin: 0.5rem 0 0; color: #4b5563; }
+    .row { display: flex; justify-content: space-between; align-items: center; }
+    .bar { height: 8px; background: #e5e7eb; border-radius: 4px; margin-top: 0.5rem; }
+    .bar div { height: 100%; border-radius: 4px; }
+    ol { padding-left: 0; list-style: none; }
+    .recommendation { border-left: 4px solid #16a34a; padding: 0.5rem 1rem; margin-bottom: 1rem; }
+    .recommendation.high { border-color: #dc2626; }
+    .recommendation.medium { border-color: #d97706; }
+    .recommendation .meta { display: block; }
+    .recommendation p { margin: 0.25rem 0 0; color: #6b7280; }
+    .audit { padding-left: 0; list-style: none; }
+    .audit li { padding: 0.35rem 0; border-bottom: 1px solid #f3f4f6; }
+    .status { display: inline-block; min-width: 3rem; text-align: center; font-size: 0.75rem; font-weight: bold; border-radius: 4px; padding: 1px 6px; }
+    .status.pass { background: #f0fdf4; color: #16a34a; }
+    .status.warn { background: #fffbeb; color: #d97706; }
+    .status.fail { background: #fef2f2; color: #dc2626; }
+    footer { margin-top: 2rem; font-size: 0.75rem; color: #9ca3af; text-align: center; }
+  </style>
+</head>
+<body>
+  <header>
+    <h1>Rate My Website</h1>
+    <div>Website Growth Report</div>
+  </header>
+
+  <p><strong>${escapeHtml(report.url)}</strong><br />
+  <span class="muted">Analyzed ${escapeHtml(formatDate(report.timestamp))}${report.rubric ? ` &middot; ${escapeHtml(report.rubric.name)} rubric v${escapeHtml(report.rubric.version)}` : ''}</span></p>
+
+  <div class="score">
+    <div class="score-circle" style="background: ${scoreColor(analysis.score / 100)}">${analysis.score}</div>
+    <div>
+      <h2 style="border: none; margin: 0">${reportService.getScoreLabel(analysis.score)}</h2>
+      <p>${escapeHtml(analysis.summary)}</p>
+    </div>
+  </div>
+
+  ${categories ? `<h2>Detailed Analysis</h2>${categories}` : ''}
+  ${recommendations ? `<h2>Priority Recommendations</h2>\n    <ol>${recommendations}\n    </ol>` : ''}
+  ${audit}
+
+  <footer>
+    Generated by Rate My Website${report.report ? ` &middot; <a href="${escapeHtml(`${origin}${report.report.url}`)}">View online</a>` : ''}
+  </footer>
+</body>
+</html>
+`;
+  }
+}
+
+module.exports = new ReportExportService();
+module.exports.EXPORT_FORMATS = EXPORT_FORMATS;
+module.exports.EXPORT_SCHEMA_VERSION = EXPORT_SCHEMA_VERSION;
@@ -0,0 +1,151 @@
+// Shareable reports: stored analyses looked up by their public share slug
+// Slugs are random (gen_random_uuid() without dashes) so reports can't be enumerated.
+// Also renders the report page's Open Graph tags so shared links preview the site and score.
+
+const databaseService = require('./database');
+const rubricService = require('./rubrics');
+
+const SLUG_PATTERN = /^[a-f0-9]{32}$/;
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+class ReportService {
+  /**
+   * Check that a slug has the shape of a share slug before querying for it
+   * @param {string} slug - Slug from the URL
+   * @returns {boolean} - True if the slug is well-formed
+   */
+  isValidSlug(slug) {
+    return typeof slug === 'string' && SLUG_PATTERN.test(slug);
+  }
+
+  /**
+   * Score band shown with an overall score (same bands as the results page)
+   * @param {number} score - Overall score 0-100
+   * @returns {string} - Excellent, Good, Fair or Needs Improvement
+   */
+  getScoreLabel(score) {
+    if (score >= 80) return 'Excellent';
+    if (score >= 65) return 'Good';
+    if (score >= 45) return 'Fair';
+    return 'Needs Improvement';
+  }
+
+  /**
+   * Public link details of a stored analysis
+   * @param {Object} row - website_submissions row
+   * @returns {Object|null} - { id, slug, url }, or null if the row has no slug
+   */
+  describe(row) {
+    if (!row?.share_slug) {
+      return null;
+    }
+
+    return {
+      id: row.id,
+      slug: row.share_slug,
+      url: `/report/${row.share_slug}`
+    };
+  }
+
+  /**
+   * Load a report by its share slug
+   * @param {string} slug - Share slug
+   * @returns {Object|null} - Report in the same shape as an analysis result, or null if not found
+   */
+  async getBySlug(slug) {
+    if (!this.isValidSlug(slug)) {
+      return null;
+    }
+
+    const row = await databaseService.getSubmissionBySlug(slug);
+    return row ? this.toResponse(row) : null;
+  }
+
+  /**
+   * Rebuild the analysis response from a stored submission
+   * @param {Object} row - website_submissions row
+   * @returns {Object} - Analysis response payload, as returned by the analysis job
+   */
+  toResponse(row) {
+    const rubric = row.rubric_id ? rubricService.get(row.rubric_id) : null;
+    const crawlSummary = row.crawl_summary || {};
+
+    return {
+      success: true,
+      url: row.url,
+      timestamp: row.analyzed_at,
+      rubric: rubric
+        ? { ...rubricService.toPublic(rubric), version: row.rubric_version || rubric.version }
+        : null,
+      analysis: {
+        score: row.growth_score,
+        feedback: row.analysis_summary,
+        summary: row.analysis_summary,
+        categories: row.analysis_categories || [],
+        recommendations: row.recommendations || [],
+        seoAudit: row.seo_audit || null,
+        scoringNotes: row.scoring_notes || []
+      },
+      metadata: {
+        contentLength: row.content_length,
+        pages: crawlSummary.pages || [],
+        crawler: crawlSummary.crawler,
+        analysisTime: row.analyzed_at
+      },
+      report: this.describe(row)
+    };
+  }
+
+  /**
+   * Fill the client's index.html with the Open Graph and Twitter tags of a report
+   * @param {string} html - Built client index.html
+   * @param {string} slug - Share slug from the page URL
+   * @param {string} origin - Public origin of the app (e.g. https://yourapp.railway.app)
+   * @returns {string|null} - Page HTML, or null if the report can't be found
+   */
+  async renderReportPage(html, slug, origin) {
+    const report = await this.getBySlug(slug);
+    if (!report) {
+      return null;
+    }
+
+    const domain = databaseService.extractDomain(report.url);
+    const title = `${domain} scored ${report.analysis.score}/100 | Rate My Website`;
+    const summary = report.analysis.summary || '';
+    const description = summary.length > 200 ? `${summary.slice(0, 197)}...` : summary;
+
+    const tags = [
+      ['name', 'description', description],
+      ['property', 'og:title', title],
+      ['property', 'og:description', description],
+      ['property', 'og:type', 'article'],
+      ['property', 'og:url', `${origin}${report.report.url}`],
+      ['property', 'og:site_name', 'Rate My Website'],
+      ['name', 'twitter:card', 'summary'],
+      ['name', 'twitter:title', title],
+      ['name', 'twitter:description', description]
+    ];
+
+    // Replacer functions keep "$" in summaries from being read as replacement patterns
+    let page = html.replace(/<title>[^<]*<\/title>/, () => `<title>${escapeHtml(title)}</title>`);
+
+    for (const [attribute, name, content] of tags) {
+      const tag = `<meta ${attribute}="${name}" content="${escapeHtml(content)}" />`;
+      const existing = new RegExp(`<meta\\s+${attribute}="${name}"[^>]*>`);
+
+      page = existing.test(page)
+        ? page.replace(existing, () => tag)
+        : page.replace('</head>', () => `  ${tag}\n  </head>`);
+    }
+
+    return page;
+  }
+}
+
+module.exports = new ReportService();
+module.exports.escapeHtml = escapeHtml;
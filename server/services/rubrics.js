@@ -0,0 +1,119 @@
+// Scoring rubrics loaded from server/rubrics/*.json
+// A rubric defines the categories Claude scores, their maximum points, the criteria
+// and guidance used to build the prompt, and the persona and guidelines of the reviewer.
+
+const fs = require('fs');
+const path = require('path');
+
+const RUBRICS_DIR = path.join(__dirname, '../rubrics');
+const TOTAL_POINTS = 100;
+
+class RubricService {
+  constructor() {
+    this.rubrics = new Map();
+    this.loadRubrics();
+
+    this.defaultId = process.env.DEFAULT_RUBRIC || 'growth';
+    if (!this.rubrics.has(this.defaultId)) {
+      throw new Error(`Default rubric "${this.defaultId}" not found in ${RUBRICS_DIR}`);
+    }
+  }
+
+  /**
+   * Load and validate every rubric definition file
+   * Invalid rubrics stop the server from starting, since analyses depend on them.
+   */
+  loadRubrics() {
+    const files = fs.readdirSync(RUBRICS_DIR).filter(file => file.endsWith('.json'));
+
+    for (const file of files) {
+      const rubric = JSON.parse(fs.readFileSync(path.join(RUBRICS_DIR, file), 'utf8'));
+      const errors = this.validateRubric(rubric);
+
+      if (errors.length > 0) {
+        throw new Error(`Invalid rubric ${file}: ${errors.join('; ')}`);
+      }
+      if (this.rubrics.has(rubric.id)) {
+        throw new Error(`Duplicate rubric id "${rubric.id}" in ${file}`);
+      }
+
+      this.rubrics.set(rubric.id, rubric);
+    }
+
+    console.log(`📐 Loaded scoring rubrics: ${[...this.rubrics.keys()].join(', ')}`);
+  }
+
+  /**
+   * Check a rubric definition for structural problems
+   * @param {Object} rubric - Parsed rubric file
+   * @returns {string[]} - Problems found (empty when valid)
+   */
+  validateRubric(rubric) {
+    const errors = [];
+
+    if (!/^[a-z0-9-]+$/.test(rubric.id || '')) errors.push('id must be lowercase letters, digits and dashes');
+    if (!rubric.version) errors.push('version is required');
+    if (!rubric.name) errors.push('name is required');
+    if (!rubric.persona) errors.push('persona is required');
+
+    if (!Array.isArray(rubric.categories) || rubric.categories.length === 0) {
+      errors.push('categories must be a non-empty array');
+      return errors;
+    }
+
+    const names = rubric.categories.map(category => category.name);
+    if (names.some(name => !name)) errors.push('every category needs a name');
+    if (new Set(names).size !== names.length) errors.push('category names must be unique');
+    if (rubric.categories.some(category => !Number.isInteger(category.maxScore) || category.maxScore <= 0)) {
+      errors.push('every category needs a positive integer maxScore');
+    }
+    if (rubric.categories.filter(category => category.technicalAudit).length > 1) {
+      errors.push('at most one category can receive the technical SEO audit');
+    }
+
+    const total = rubric.categories.reduce((sum, category) => sum + category.maxScore, 0);
+    if (total !== TOTAL_POINTS) errors.push(`category maxScores must add up to ${TOTAL_POINTS} (got ${total})`);
+
+    return errors;
+  }
+
+  /**
+   * Look up a rubric by id, defaulting to the configured default rubric
+   * @param {string} id - Rubric id
+   * @returns {Object|null} - Rubric definition, or null if unknown
+   */
+  get(id) {
+    return this.rubrics.get(id || this.defaultId) || null;
+  }
+
+  /**
+   * List available rubrics for the client
+   * @returns {Object[]} - Public rubric summaries
+   */
+  list() {
+    return [...this.rubrics.values()].map(rubric => ({
+      ...this.toPublic(rubric),
+      isDefault: rubric.id === this.defaultId
+    }));
+  }
+
+  /**
+   * Client-facing summary of a rubric, sent with each result
+   * @param {Object} rubric - Rubric definition
+   * @returns {Object} - Id, version, name and category maxima
+   */
+  toPublic(rubric) {
+    return {
+      id: rubric.id,
+      version: rubric.version,
+      name: rubric.name,
+      description: rubric.description || '',
+      categories: rubric.categories.map(category => ({
+        name: category.name,
+        maxScore: category.maxScore
+      }))
+    };
+  }
+}
+
+module.exports = new RubricService();
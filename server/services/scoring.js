@@ -0,0 +1,82 @@
+// Score reconciliation between the overall score and the category scores
+// Claude reports both an overall score and per-category scores, and the SEO audit blend
+// adjusts them afterwards, so they can drift apart. reconcile() enforces the rubric's
+// category caps and keeps the overall score consistent with the category sum, recording
+// every adjustment in analysis.scoringNotes.
+
+// How far the overall score may differ from the category sum before it is reconciled
+const DEFAULT_TOLERANCE = 2;
+
+// recompute: replace a diverging overall score with the category sum
+// flag: keep Claude's overall score but record the divergence
+const RECONCILE_MODES = ['recompute', 'flag'];
+
+class ScoringService {
+  constructor() {
+    const tolerance = parseInt(process.env.SCORE_TOLERANCE, 10);
+    this.tolerance = Number.isInteger(tolerance) && tolerance >= 0 ? tolerance : DEFAULT_TOLERANCE;
+
+    this.mode = RECONCILE_MODES.includes(process.env.SCORE_RECONCILIATION)
+      ? process.env.SCORE_RECONCILIATION
+      : 'recompute';
+  }
+
+  /**
+   * Enforce category caps and reconcile the overall score with the category sum
+   * @param {Object} analysis - Normalized analysis (mutated in place)
+   * @param {Object} rubric - Scoring rubric the analysis follows
+   * @returns {Object} - The analysis, with scoringNotes describing any adjustments
+   */
+  reconcile(analysis, rubric) {
+    const notes = [];
+
+    for (const category of analysis.categories || []) {
+      const rubricCategory = rubric.categories.find(item => item.name === category.name);
+      const maxScore = rubricCategory ? rubricCategory.maxScore : category.maxScore;
+      const capped = Math.min(maxScore, Math.max(0, Math.round(Number(category.score) || 0)));
+
+      if (capped !== category.score) {
+        notes.push({
+          type: 'category_capped',
+          category: category.name,
+          from: category.score,
+          to: capped,
+          message: `${category.name} score ${category.score} was outside 0-${maxScore} and was set to ${capped}.`
+        });
+        category.score = capped;
+      }
+    }
+
+    const categorySum = (analysis.categories || []).reduce((sum, category) => sum + category.score, 0);
+    const difference = analysis.score - categorySum;
+
+    if (Math.abs(difference) > this.tolerance) {
+      if (this.mode === 'recompute') {
+        notes.push({
+          type: 'overall_recomputed',
+          from: analysis.score,
+          to: categorySum,
+          message: `Overall score ${analysis.score} differed from the category total ${categorySum} by more than ${this.tolerance} points and was recomputed.`
+        });
+        analysis.score = categorySum;
+      } else {
+        notes.push({
+          type: 'overall_divergent',
+          from: analysis.score,
+          to: analysis.score,
+          categorySum,
+          message: `Overall score ${analysis.score} differs from the category total ${categorySum} by more than ${this.tolerance} points.`
+        });
+      }
+    }
+
+    if (notes.length > 0) {
+      console.log(`⚖️  Score reconciliation: ${notes.map(note => note.type).join(', ')}`);
+    }
+
+    analysis.scoringNotes = notes;
+    return analysis;
+  }
+}
+
+module.exports = new ScoringService();
@@ -0,0 +1,291 @@
+// Rule-based technical SEO audit of a page's raw HTML
+// Findings are deterministic facts: they're shown to the user, given to Claude as
+// verified input, and blended into the rubric category marked `technicalAudit`.
+
+const cheerio = require('cheerio');
+
+// Weight of each finding status in the audit score
+const STATUS_POINTS = { pass: 1, warn: 0.5, fail: 0 };
+
+class SeoAuditService {
+  /**
+   * Run every technical SEO check against a page
+   * @param {string} html - Raw page HTML (including <head>)
+   * @param {string} url - Page URL, used to resolve relative URLs
+   * @returns {Object} - Audit score (0-1), status counts and findings
+   */
+  audit(html, url) {
+    const $ = cheerio.load(html);
+
+    const findings = [
+      this.checkTitle($),
+      this.checkMetaDescription($),
+      this.checkH1($),
+      this.checkCanonical($, url),
+      this.checkRobots($),
+      this.checkViewport($),
+      this.checkLanguage($),
+      this.checkOpenGraph($),
+      this.checkTwitterCard($),
+      this.checkStructuredData($),
+      this.checkHreflang($),
+      this.checkImageAlt($)
+    ];
+
+    const counts = { pass: 0, warn: 0, fail: 0 };
+    findings.forEach(finding => counts[finding.status]++);
+
+    const points = findings.reduce((sum, finding) => sum + STATUS_POINTS[finding.status], 0);
+
+    return {
+      url: url,
+      score: Math.round((points / findings.length) * 100) / 100,
+      counts: counts,
+      findings: findings,
+      auditedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Blend the audit into the rubric's technical category and the overall score
+   * The category score becomes the average of Claude's score and the audit's score
+   * scaled to the category maximum.
+   * @param {Object} analysis - Parsed analysis result from Claude (modified in place)
+   * @param {Object} audit - Result of audit()
+   * @param {Object} rubric - Scoring rubric; its `technicalAudit` category receives the audit
+   * @returns {Object} - The updated analysis
+   */
+  mergeIntoAnalysis(analysis, audit, rubric) {
+    const technicalCategory = rubric.categories.find(item => item.technicalAudit);
+    const category = technicalCategory &&
+      (analysis.categories || []).find(item => item.name === technicalCategory.name);
+
+    if (audit && category) {
+      const auditPoints = Math.round(audit.score * technicalCategory.maxScore);
+      const blended = Math.round((category.score + auditPoints) / 2);
+      const delta = blended - category.score;
+
+      category.aiScore = category.score;
+      category.auditScore = auditPoints;
+      category.score = blended;
+      analysis.score = Math.min(100, Math.max(0, analysis.score + delta));
+    }
+
+    analysis.seoAudit = audit;
+    return analysis;
+  }
+
+  /**
+   * Build a finding record
+   * @param {string} id - Stable check identifier
+   * @param {string} check - Human-readable check name
+   * @param {string} status - pass, warn or fail
+   * @param {string} message - What was found
+   * @param {*} value - Observed value, if useful
+   * @returns {Object} - Finding
+   */
+  finding(id, check, status, message, value = null) {
+    return { id, check, status, message, ...(value !== null && { value }) };
+  }
+
+  /** Exactly one <title>, 30-60 characters */
+  checkTitle($) {
+    const titles = $('head title');
+    const title = titles.first().text().trim();
+
+    if (!title) {
+      return this.finding('title', 'Title tag', 'fail', 'Page has no <title>.');
+    }
+    if (titles.length > 1) {
+      return this.finding('title', 'Title tag', 'warn', `Page has ${titles.length} <title> tags; only one is used.`, title);
+    }
+    if (title.length < 30 || title.length > 60) {
+      return this.finding('title', 'Title tag', 'warn', `Title is ${title.length} characters; 30-60 is recommended.`, title);
+    }
+    return this.finding('title', 'Title tag', 'pass', `Title is ${title.length} characters.`, title);
+  }
+
+  /** Meta description present, 70-160 characters */
+  checkMetaDescription($) {
+    const description = ($('meta[name="description"]').attr('content') || '').trim();
+
+    if (!description) {
+      return this.finding('meta-description', 'Meta description', 'fail', 'Page has no meta description.');
+    }
+    if (description.length < 70 || description.length > 160) {
+      return this.finding('meta-description', 'Meta description', 'warn', `Meta description is ${description.length} characters; 70-160 is recommended.`, description);
+    }
+    return this.finding('meta-description', 'Meta description', 'pass', `Meta description is ${description.length} characters.`, description);
+  }
+
+  /** Exactly one <h1> heading */
+  checkH1($) {
+    const headings = $('h1').map((index, element) => $(element).text().replace(/\s+/g, ' ').trim()).get();
+
+    if (headings.length === 0) {
+      return this.finding('h1', 'Single H1', 'fail', 'Page has no <h1> heading.');
+    }
+    if (headings.length > 1) {
+      return this.finding('h1', 'Single H1', 'warn', `Page has ${headings.length} <h1> headings; one is recommended.`, headings);
+    }
+    return this.finding('h1', 'Single H1', 'pass', 'Page has exactly one <h1>.', headings[0]);
+  }
+
+  /** A single, valid, same-site canonical link */
+  checkCanonical($, url) {
+    const canonicals = $('link[rel="canonical"]');
+    const href = canonicals.first().attr('href');
+
+    if (!href) {
+      return this.finding('canonical', 'Canonical URL', 'warn', 'Page has no canonical link.');
+    }
+    if (canonicals.length > 1) {
+      return this.finding('canonical', 'Canonical URL', 'warn', `Page has ${canonicals.length} canonical links; search engines may ignore them.`, href);
+    }
+
+    let canonicalUrl;
+    try {
+      canonicalUrl = new URL(href, url);
+    } catch (error) {
+      return this.finding('canonical', 'Canonical URL', 'fail', 'Canonical link is not a valid URL.', href);
+    }
+
+    if (canonicalUrl.hostname.replace(/^www\./, '') !== new URL(url).hostname.replace(/^www\./, '')) {
+      return this.finding('canonical', 'Canonical URL', 'warn', 'Canonical link points to a different domain.', canonicalUrl.href);
+    }
+    return this.finding('canonical', 'Canonical URL', 'pass', 'Canonical link is set.', canonicalUrl.href);
+  }
+
+  /** Page not blocked by a robots meta tag */
+  checkRobots($) {
+    const robots = $('meta[name="robots"], meta[name="googlebot"]')
+      .map((index, element) => ($(element).attr('content') || '').toLowerCase()).get()
+      .join(', ');
+
+    if (/noindex/.test(robots)) {
+      return this.finding('robots', 'Robots meta', 'fail', 'Page is marked noindex and will not appear in search results.', robots);
+    }
+    if (/nofollow/.test(robots)) {
+      return this.finding('robots', 'Robots meta', 'warn', 'Page is marked nofollow; its links pass no ranking signals.', robots);
+    }
+    return this.finding('robots', 'Robots meta', 'pass', 'Page is indexable.', robots || null);
+  }
+
+  /** Responsive viewport meta tag */
+  checkViewport($) {
+    const viewport = $('meta[name="viewport"]').attr('content');
+
+    if (!viewport) {
+      return this.finding('viewport', 'Mobile viewport', 'fail', 'Page has no viewport meta tag, so it will not scale on mobile.');
+    }
+    if (!/width=device-width/.test(viewport)) {
+      return this.finding('viewport', 'Mobile viewport', 'warn', 'Viewport does not use width=device-width.', viewport);
+    }
+    return this.finding('viewport', 'Mobile viewport', 'pass', 'Viewport is set for mobile devices.', viewport);
+  }
+
+  /** Language declared on <html> */
+  checkLanguage($) {
+    const lang = $('html').attr('lang');
+
+    if (!lang) {
+      return this.finding('lang', 'Language attribute', 'warn', 'The <html> element has no lang attribute.');
+    }
+    return this.finding('lang', 'Language attribute', 'pass', `Page language is declared as "${lang}".`, lang);
+  }
+
+  /** Open Graph title, description and image for link previews */
+  checkOpenGraph($) {
+    const required = ['og:title', 'og:description', 'og:image'];
+    const missing = required.filter(property => !$(`meta[property="${property}"]`).attr('content'));
+
+    if (missing.length === required.length) {
+      return this.finding('open-graph', 'Open Graph tags', 'fail', 'Page has no Open Graph tags; shared links will have no preview.');
+    }
+    if (missing.length > 0) {
+      return this.finding('open-graph', 'Open Graph tags', 'warn', `Missing Open Graph tags: ${missing.join(', ')}.`, missing);
+    }
+    return this.finding('open-graph', 'Open Graph tags', 'pass', 'og:title, og:description and og:image are set.');
+  }
+
+  /** Twitter card tag for link previews */
+  checkTwitterCard($) {
+    const card = $('meta[name="twitter:card"]').attr('content');
+
+    if (!card) {
+      return this.finding('twitter-card', 'Twitter card', 'warn', 'Page has no twitter:card tag.');
+    }
+    return this.finding('twitter-card', 'Twitter card', 'pass', `Twitter card type is "${card}".`, card);
+  }
+
+  /** JSON-LD or microdata present and parseable */
+  checkStructuredData($) {
+    const types = [];
+    let invalidBlocks = 0;
+
+    $('script[type="application/ld+json"]').each((index, element) => {
+      try {
+        const data = JSON.parse($(element).contents().text());
+        const items = Array.isArray(data) ? data : (data['@graph'] || [data]);
+        items.forEach(item => item && item['@type'] && types.push([].concat(item['@type']).join('/')));
+      } catch (error) {
+        invalidBlocks++;
+      }
+    });
+
+    $('[itemscope][itemtype]').each((index, element) => {
+      types.push($(element).attr('itemtype').split('/').pop());
+    });
+
+    if (invalidBlocks > 0) {
+      return this.finding('structured-data', 'Structured data', 'warn', `${invalidBlocks} JSON-LD block(s) could not be parsed.`, types);
+    }
+    if (types.length === 0) {
+      return this.finding('structured-data', 'Structured data', 'warn', 'Page has no structured data (JSON-LD or microdata).');
+    }
+    return this.finding('structured-data', 'Structured data', 'pass', `Structured data found: ${[...new Set(types)].join(', ')}.`, types);
+  }
+
+  /** Valid hreflang codes with an x-default fallback, when used */
+  checkHreflang($) {
+    const alternates = $('link[rel="alternate"][hreflang]')
+      .map((index, element) => $(element).attr('hreflang')).get();
+
+    if (alternates.length === 0) {
+      return this.finding('hreflang', 'Hreflang', 'pass', 'No hreflang tags (fine for single-language sites).');
+    }
+
+    const invalid = alternates.filter(code => !/^(x-default|[a-z]{2,3}(-[a-z0-9]{2,4})?)$/i.test(code));
+    if (invalid.length > 0) {
+      return this.finding('hreflang', 'Hreflang', 'fail', `Invalid hreflang codes: ${invalid.join(', ')}.`, alternates);
+    }
+    if (!alternates.includes('x-default')) {
+      return this.finding('hreflang', 'Hreflang', 'warn', 'Hreflang tags have no x-default fallback.', alternates);
+    }
+    return this.finding('hreflang', 'Hreflang', 'pass', `Hreflang set for ${alternates.length} locale(s).`, alternates);
+  }
+
+  /** Share of images with an alt attribute */
+  checkImageAlt($) {
+    const images = $('img');
+
+    if (images.length === 0) {
+      return this.finding('image-alt', 'Image alt text', 'pass', 'Page has no images.');
+    }
+
+    // alt="" is valid for decorative images, so only a missing attribute counts against coverage
+    const withAlt = images.filter((index, element) => $(element).attr('alt') !== undefined).length;
+    const coverage = withAlt / images.length;
+    const message = `${withAlt} of ${images.length} images have alt text (${Math.round(coverage * 100)}%).`;
+
+    if (coverage >= 0.9) {
+      return this.finding('image-alt', 'Image alt text', 'pass', message, coverage);
+    }
+    if (coverage >= 0.5) {
+      return this.finding('image-alt', 'Image alt text', 'warn', message, coverage);
+    }
+    return this.finding('image-alt', 'Image alt text', 'fail', message, coverage);
+  }
+}
+
+module.exports = new SeoAuditService();
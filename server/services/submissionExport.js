@@ -0,0 +1,152 @@
+// Submission export formats: turns exported rows into CSV, NDJSON or JSON chunks.
+// Rows arrive in batches from DatabaseService.streamSubmissions and are written as they come.
+
+const rubricService = require('./rubrics');
+
+const EXPORT_FORMATS = ['csv', 'ndjson', 'json'];
+
+// Spreadsheet apps evaluate cells starting with these characters as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Quote a CSV field as RFC 4180 requires (commas, quotes and line breaks)
+ * @param {*} value - Field value
+ * @returns {string} - CSV field
+ */
+const csvField = (value) => {
+  if (value === null || value === undefined) return '';
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Category columns: every category of the loaded rubrics, in rubric order, without duplicates
+ * @returns {string[]} - Category names
+ */
+const getCategoryNames = () => [
+  ...new Set(rubricService.list().flatMap(rubric => rubric.categories.map(category => category.name)))
+];
+
+/**
+ * One line per recommendation, for the flattened CSV column
+ * @param {Object[]} recommendations - Stored recommendations
+ * @returns {string} - e.g. "[High, effort Low] Add a headline - More signups"
+ */
+const flattenRecommendations = (recommendations) => (recommendations || [])
+  .map(item => {
+    const tags = [item.priority, item.effort && `effort ${item.effort}`, item.page && `${item.page} page`]
+      .filter(Boolean).join(', ');
+    return `${tags ? `[${tags}] ` : ''}${item.action || ''}${item.impact ? ` - ${item.impact}` : ''}`;
+  })
+  .join('\n');
+
+/**
+ * Full-fidelity export record of a submission row (NDJSON and JSON)
+ * @param {Object} row - Row from streamSubmissions
+ * @returns {Object} - Export record
+ */
+const toRecord = (row) => ({
+  id: row.id,
+  domain: row.domain,
+  url: row.url,
+  rubric: row.rubric_id ? { id: row.rubric_id, version: row.rubric_version } : null,
+  score: row.growth_score,
+  summary: row.analysis_summary,
+  categories: row.analysis_categories || [],
+  recommendations: row.recommendations || [],
+  submittedAt: row.created_at,
+  analyzedAt: row.analyzed_at,
+  lead: row.contact_email ? {
+    name: row.contact_name,
+    email: row.contact_email,
+    company: row.contact_company,
+    consent: row.contact_consent,
+    status: row.lead_status,
+    owner: row.lead_owner
+  } : null
+});
+
+/**
+ * CSV cells of a submission row, in header order
+ * @param {Object} row - Row from streamSubmissions
+ * @param {string[]} categoryNames - Category columns
+ * @returns {Array} - Cell values
+ */
+const toCsvCells = (row, categoryNames) => {
+  const scores = new Map((row.analysis_categories || []).map(category => [category.name, category.score]));
+
+  return [
+    row.id,
+    row.domain,
+    row.url,
+    row.rubric_id,
+    row.growth_score,
+    row.analysis_summary,
+    ...categoryNames.map(name => scores.get(name)),
+    flattenRecommendations(row.recommendations),
+    row.created_at,
+    row.analyzed_at,
+    row.contact_name,
+    row.contact_email,
+    row.contact_company,
+    row.contact_email ? (row.contact_consent ? 'yes' : 'no') : '',
+    row.lead_status,
+    row.lead_owner
+  ];
+};
+
+/**
+ * Create the writer for an export format
+ * @param {string} format - One of EXPORT_FORMATS
+ * @returns {Object} - { contentType, extension, start(), rows(batch), end() }, each returning a string chunk
+ */
+function createExportWriter(format) {
+  if (format === 'ndjson') {
+    return {
+      contentType: 'application/x-ndjson',
+      extension: 'ndjson',
+      start: () => '',
+      rows: (batch) => batch.map(row => `${JSON.stringify(toRecord(row))}\n`).join(''),
+      end: () => ''
+    };
+  }
+
+  if (format === 'json') {
+    let count = 0;
+    return {
+      contentType: 'application/json',
+      extension: 'json',
+      start: () => '[',
+      rows: (batch) => batch.map(row => `${count++ ? ',' : ''}\n${JSON.stringify(toRecord(row))}`).join(''),
+      end: () => '\n]\n'
+    };
+  }
+
+  const categoryNames = getCategoryNames();
+  const header = [
+    'ID', 'Domain', 'URL', 'Rubric', 'Score', 'Summary',
+    ...categoryNames.map(name => `${name} Score`),
+    'Recommendations', 'Submitted', 'Analyzed',
+    'Name', 'Email', 'Company', 'Consent', 'Status', 'Owner'
+  ];
+  const line = (cells) => `${cells.map(csvField).join(',')}\r\n`;
+
+  return {
+    contentType: 'text/csv; charset=utf-8',
+    extension: 'csv',
+    // The byte order mark makes Excel read the file as UTF-8
+    start: () => `\uFEFF${line(header)}`,
+    rows: (batch) => batch.map(row => line(toCsvCells(row, categoryNames))).join(''),
+    end: () => ''
+  };
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  createExportWriter
+};
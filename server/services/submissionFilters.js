@@ -0,0 +1,215 @@
+// Admin submission filters: parses the listing query string into filters and turns them into SQL.
+// Shared by the paginated listing and the exports so both select the same rows.
+
+// Sortable columns; each sort is tie-broken by id so keyset pagination is stable
+const SUBMISSION_SORTS = {
+  created: 's.created_at',
+  score: 's.growth_score',
+  domain: 's.domain'
+};
+
+// Score bands, matching the scoreCategory labels of the admin leads API
+const SCORE_CATEGORIES = {
+  excellent: { min: 80, max: 100 },
+  good: { min: 65, max: 79 },
+  fair: { min: 45, max: 64 },
+  poor: { min: 0, max: 44 }
+};
+
+// Why an analysis was made; only visitor analyses are leads, so they are listed by default
+const SUBMISSION_ORIGINS = ['visitor', 'competitor', 'monitor'];
+
+// Cursor values per sort, checked before they are cast back to the column type in SQL:
+// created_at as Postgres renders TIMESTAMP::TEXT, scores as integers and domains as text
+const CURSOR_VALUE_CHECKS = {
+  created: (value) => typeof value === 'string' && isTimestampText(value),
+  score: (value) => Number.isInteger(value),
+  domain: (value) => typeof value === 'string' && value.length <= 255
+};
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+/**
+ * Escape LIKE wildcards so user input is matched literally
+ * @param {string} value - Search text
+ * @returns {string} - Escaped text
+ */
+const escapeLike = (value) => value.replace(/[\\%_]/g, '\\$&');
+
+/**
+ * Whether text is a valid timestamp in Postgres' TIMESTAMP::TEXT format (e.g. 2026-01-31 09:30:00.123456)
+ * @param {string} value - Text
+ * @returns {boolean} - True for a real date and time
+ */
+const isTimestampText = (value) => {
+  const match = value.match(/^(\d{4}-\d{2}-\d{2})[ T](\d{2}):(\d{2}):(\d{2})(\.\d{1,6})?$/);
+  if (!match) return false;
+
+  // Dates like 2026-02-30 roll over in JavaScript, so the date must survive a round trip
+  const date = new Date(`${match[1]}T00:00:00Z`);
+  return !isNaN(date.getTime()) && date.toISOString().startsWith(match[1]) &&
+    Number(match[2]) < 24 && Number(match[3]) < 60 && Number(match[4]) < 60;
+};
+
+/**
+ * Parse an optional whole-number score
+ * @param {string|undefined} value - Query value
+ * @returns {number|null|undefined} - Score, null when absent, undefined when invalid
+ */
+const parseScore = (value) => {
+  if (value === undefined || value === '') return null;
+  const score = Number(value);
+  return Number.isInteger(score) && score >= 0 && score <= 100 ? score : undefined;
+};
+
+/**
+ * Parse an optional date
+ * @param {string|undefined} value - Query value
+ * @returns {Date|null|undefined} - Date, null when absent, undefined when invalid
+ */
+const parseDate = (value) => {
+  if (value === undefined || value === '') return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? undefined : date;
+};
+
+/**
+ * Validate the filter and sort parameters of a submissions query string
+ * @param {Object} query - Request query ({ domain, minScore, maxScore, category, from, to, q, origin, sort, order })
+ * @returns {Object} - { filters } or { error } describing the invalid parameter
+ */
+function parseSubmissionFilters(query = {}) {
+  const minScore = parseScore(query.minScore);
+  const maxScore = parseScore(query.maxScore);
+  if (minScore === undefined || maxScore === undefined) {
+    return { error: 'minScore and maxScore must be whole numbers between 0 and 100' };
+  }
+
+  const category = query.category ? String(query.category).toLowerCase() : null;
+  if (category && !SCORE_CATEGORIES[category]) {
+    return { error: `category must be one of: ${Object.keys(SCORE_CATEGORIES).join(', ')}` };
+  }
+
+  const from = parseDate(query.from);
+  const to = parseDate(query.to);
+  if (from === undefined || to === undefined) {
+    return { error: 'from and to must be ISO 8601 dates' };
+  }
+
+  const origin = query.origin || 'visitor';
+  if (!SUBMISSION_ORIGINS.includes(origin)) {
+    return { error: `origin must be one of: ${SUBMISSION_ORIGINS.join(', ')}` };
+  }
+
+  const sort = query.sort || 'created';
+  if (!SUBMISSION_SORTS[sort]) {
+    return { error: `sort must be one of: ${Object.keys(SUBMISSION_SORTS).join(', ')}` };
+  }
+
+  const order = (query.order || 'desc').toLowerCase();
+  if (!['asc', 'desc'].includes(order)) {
+    return { error: 'order must be asc or desc' };
+  }
+
+  // A score category narrows the score range
+  const band = category ? SCORE_CATEGORIES[category] : { min: 0, max: 100 };
+
+  return {
+    filters: {
+      domain: query.domain ? String(query.domain).trim().toLowerCase() || null : null,
+      minScore: Math.max(band.min, minScore ?? 0),
+      maxScore: Math.min(band.max, maxScore ?? 100),
+      from,
+      to,
+      search: query.q ? String(query.q).trim() || null : null,
+      origin,
+      sort,
+      order
+    }
+  };
+}
+
+/**
+ * SQL WHERE clause for parsed filters, on website_submissions aliased as s
+ * @param {Object} filters - Parsed filters
+ * @param {Array} params - Query parameters; filter values are appended to it
+ * @returns {string} - Conditions joined with AND
+ */
+function buildSubmissionWhere(filters, params) {
+  const param = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  // Only scored analyses are listed, so score sorting never meets NULLs
+  const conditions = [
+    's.growth_score IS NOT NULL',
+    `s.growth_score BETWEEN ${param(filters.minScore)} AND ${param(filters.maxScore)}`,
+    `s.origin = ${param(filters.origin)}`
+  ];
+
+  if (filters.domain) {
+    conditions.push(`s.domain ILIKE ${param(`%${escapeLike(filters.domain)}%`)}`);
+  }
+  if (filters.from) {
+    conditions.push(`s.created_at >= ${param(filters.from)}`);
+  }
+  if (filters.to) {
+    conditions.push(`s.created_at < ${param(filters.to)}`);
+  }
+  if (filters.search) {
+    conditions.push(`s.analysis_summary ILIKE ${param(`%${escapeLike(filters.search)}%`)}`);
+  }
+
+  return conditions.join(' AND ');
+}
+
+/**
+ * Opaque pagination cursor pointing after a row
+ * @param {Object} filters - Parsed filters (the cursor is only valid for the same sort)
+ * @param {Object} row - Last row of the page, with sort_value and id
+ * @returns {string} - Base64url cursor
+ */
+function encodeCursor(filters, row) {
+  return Buffer.from(JSON.stringify({
+    sort: filters.sort,
+    order: filters.order,
+    value: row.sort_value,
+    id: row.id
+  })).toString('base64url');
+}
+
+/**
+ * Read a pagination cursor
+ * @param {string} cursor - Cursor from the previous page
+ * @param {Object} filters - Parsed filters of the current request
+ * @returns {Object|null} - { value, id }, or null if the cursor is invalid, for another sort
+ *                          or has a value that doesn't fit the sort column
+ */
+function decodeCursor(cursor, filters) {
+  try {
+    const data = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+
+    if (data.sort !== filters.sort || data.order !== filters.order ||
+        !Number.isInteger(data.id) || !CURSOR_VALUE_CHECKS[filters.sort](data.value)) {
+      return null;
+    }
+
+    return { value: data.value, id: data.id };
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  SUBMISSION_SORTS,
+  SUBMISSION_ORIGINS,
+  SCORE_CATEGORIES,
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  parseSubmissionFilters,
+  buildSubmissionWhere,
+  encodeCursor,
+  decodeCursor
+};
@@ -0,0 +1,250 @@
+// Outgoing webhooks: signed JSON notifications for analyses, captured leads and monitor alerts.
+// Every delivery is stored before it is sent; failed attempts are retried with exponential
+// backoff by an in-process worker, and each attempt is logged for the admin API.
+
+const crypto = require('crypto');
+const databaseService = require('./database');
+
+const WEBHOOK_EVENTS = ['analysis.completed', 'analysis.failed', 'lead.captured', 'contact.captured', 'monitor.alert'];
+
+const DELIVERY_TIMEOUT_MS = 10000;
+// How long a delivery being attempted is hidden from other workers, well beyond one attempt
+const DELIVERY_LEASE_SECONDS = DELIVERY_TIMEOUT_MS / 1000 * 3;
+// Attempts per delivery before it is marked failed (replaying starts a new series)
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6;
+// Delay before the first retry, doubled for each following one
+const RETRY_BASE_SECONDS = parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS) || 30;
+const MAX_RETRY_DELAY_SECONDS = 6 * 60 * 60;
+const RETRY_POLL_MS = 15 * 1000;
+const RETRY_BATCH_SIZE = 20;
+
+class WebhookService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Start the retry worker (no-op if already started)
+   */
+  start() {
+    if (this.timer) return;
+
+    console.log('🪝 Webhook retry worker started');
+    this.timer = setInterval(() => this.retryDue(), RETRY_POLL_MS);
+    this.timer.unref();
+  }
+
+  /**
+   * Stop the retry worker
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Send an event to every active subscription listening to it.
+   * Never throws, so callers can fire and forget.
+   * @param {string} event - One of WEBHOOK_EVENTS
+   * @param {Object} data - Event data
+   */
+  async emit(event, data) {
+    // Subscriptions live in Postgres
+    if (!process.env.DATABASE_URL) return;
+
+    try {
+      const subscriptions = await databaseService.listWebhookSubscriptions({ event });
+      if (subscriptions.length === 0) return;
+
+      const payload = {
+        id: crypto.randomUUID(),
+        event: event,
+        createdAt: new Date().toISOString(),
+        data: data
+      };
+
+      const deliveries = await databaseService.createWebhookDeliveries(subscriptions.map(subscription => ({
+        subscriptionId: subscription.id,
+        eventId: payload.id,
+        event: event,
+        payload: payload
+      })), DELIVERY_LEASE_SECONDS);
+
+      console.log(`🪝 Sending ${event} to ${deliveries.length} webhook(s)`);
+      await Promise.all(deliveries.map(delivery => this.deliver(delivery)));
+    } catch (error) {
+      console.error(`❌ Failed to send ${event} webhooks:`, error.message);
+    }
+  }
+
+  /**
+   * Retry every pending delivery whose next attempt is due
+   */
+  async retryDue() {
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      const deliveries = await databaseService.claimDueWebhookDeliveries(RETRY_BATCH_SIZE, DELIVERY_LEASE_SECONDS);
+      for (const delivery of deliveries) {
+        await this.deliver(delivery);
+      }
+    } catch (error) {
+      console.error('❌ Webhook retry failed:', error.message);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Replay a delivery (typically a failed one) right away
+   * @param {number} id - Delivery id
+   * @returns {Object|null} - Outcome of the attempt, or null if the delivery doesn't exist
+   */
+  async replay(id) {
+    const delivery = await databaseService.requeueWebhookDelivery(id);
+    if (!delivery) return null;
+
+    console.log(`🪝 Replaying webhook delivery ${id} (${delivery.event})`);
+    return this.deliver(delivery);
+  }
+
+  /**
+   * POST a stored delivery to its subscription and record the attempt
+   * @param {Object} delivery - Delivery row joined with the subscription's url and secret
+   * @returns {Object} - { status, statusCode, error }
+   */
+  async deliver(delivery) {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const startedAt = Date.now();
+    let statusCode = null;
+    let error = null;
+
+    try {
+      const response = await fetch(delivery.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'RateMyWebsite-Webhooks/1.0',
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Id': delivery.event_id,
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': `sha256=${this.sign(delivery.secret, timestamp, body)}`
+        },
+        body: body,
+        // A redirect is treated as a failure rather than re-posting the payload elsewhere
+        redirect: 'manual',
+        signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS)
+      });
+
+      statusCode = response.status;
+      if (!response.ok) {
+        error = `Endpoint responded with HTTP ${response.status}`;
+      }
+    } catch (requestError) {
+      error = requestError.name === 'TimeoutError'
+        ? `Timed out after ${DELIVERY_TIMEOUT_MS / 1000} seconds`
+        : `Request failed: ${requestError.cause?.code || requestError.message}`;
+    }
+
+    const attempts = delivery.attempts + 1;
+    let status = 'delivered';
+    let nextAttemptAt = null;
+
+    if (error) {
+      status = attempts >= MAX_ATTEMPTS ? 'failed' : 'pending';
+      if (status === 'pending') {
+        nextAttemptAt = new Date(Date.now() + this.getRetryDelay(attempts) * 1000);
+      }
+      console.warn(`⚠️  Webhook delivery ${delivery.id} to ${delivery.url} failed (attempt ${attempts}/${MAX_ATTEMPTS}): ${error}`);
+    }
+
+    await databaseService.recordWebhookAttempt(delivery.id, {
+      status,
+      statusCode,
+      error,
+      durationMs: Date.now() - startedAt,
+      nextAttemptAt
+    });
+
+    return { status, statusCode, error };
+  }
+
+  /**
+   * Seconds to wait before the next attempt
+   * @param {number} attempts - Attempts made so far
+   * @returns {number} - Delay in seconds
+   */
+  getRetryDelay(attempts) {
+    return Math.min(RETRY_BASE_SECONDS * 2 ** (attempts - 1), MAX_RETRY_DELAY_SECONDS);
+  }
+
+  /**
+   * HMAC-SHA256 signature of a payload, as sent in X-Webhook-Signature.
+   * Receivers recompute it over `${X-Webhook-Timestamp}.${raw body}` with the subscription secret.
+   * @param {string} secret - Subscription secret
+   * @param {number} timestamp - Unix timestamp in seconds
+   * @param {string} body - Raw JSON body
+   * @returns {string} - Hex-encoded signature
+   */
+  sign(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  /**
+   * Random signing secret for a new subscription
+   * @returns {string} - Secret
+   */
+  generateSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+  }
+
+  /**
+   * Client-facing view of a subscription
+   * @param {Object} row - Subscription row
+   * @param {boolean} includeSecret - Return the full secret (only when it was just created)
+   * @returns {Object} - Subscription details
+   */
+  toPublic(row, includeSecret = false) {
+    return {
+      id: row.id,
+      url: row.url,
+      events: row.events,
+      active: row.active,
+      secret: includeSecret ? row.secret : `${row.secret.slice(0, 6)}…${row.secret.slice(-4)}`,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  /**
+   * Client-facing view of a delivery
+   * @param {Object} row - Delivery row
+   * @param {Object[]} attempts - Its logged attempts
+   * @returns {Object} - Delivery details
+   */
+  toPublicDelivery(row, attempts = []) {
+    return {
+      id: row.id,
+      subscriptionId: row.subscription_id,
+      eventId: row.event_id,
+      event: row.event,
+      status: row.status,
+      attempts: attempts.map(attempt => ({
+        statusCode: attempt.status_code,
+        error: attempt.error,
+        durationMs: attempt.duration_ms,
+        attemptedAt: attempt.attempted_at
+      })),
+      nextAttemptAt: row.status === 'pending' ? row.next_attempt_at : null,
+      payload: row.payload,
+      createdAt: row.created_at,
+      deliveredAt: row.delivered_at
+    };
+  }
+}
+
+module.exports = new WebhookService();
+module.exports.WEBHOOK_EVENTS = WEBHOOK_EVENTS;
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const adminAuthService = require('../services/adminAuth');
+
+test('hasRole() lets each role do what the roles before it can', () => {
+  assert.ok(adminAuthService.hasRole('owner', 'viewer'));
+  assert.ok(adminAuthService.hasRole('owner', 'owner'));
+  assert.ok(adminAuthService.hasRole('editor', 'editor'));
+  assert.ok(!adminAuthService.hasRole('editor', 'owner'));
+  assert.ok(!adminAuthService.hasRole('viewer', 'editor'));
+  assert.ok(!adminAuthService.hasRole('admin', 'viewer'));
+  assert.ok(!adminAuthService.hasRole(undefined, 'viewer'));
+});
+
+test('validateAccount() checks only the given fields', () => {
+  assert.strictEqual(adminAuthService.validateAccount({ email: 'ops@example.com', password: 'a long passphrase', role: 'editor' }), null);
+  assert.strictEqual(adminAuthService.validateAccount({ role: 'owner' }), null);
+  assert.ok(adminAuthService.validateAccount({ email: 'not-an-email' }));
+  assert.ok(adminAuthService.validateAccount({ password: 'short' }));
+  assert.ok(adminAuthService.validateAccount({ role: 'superuser' }));
+});
+
+test('verifyPassword() accepts only the hashed password', async () => {
+  const stored = await adminAuthService.hashPassword('correct horse battery');
+
+  assert.match(stored, /^scrypt\$/);
+  assert.ok(await adminAuthService.verifyPassword('correct horse battery', stored));
+  assert.ok(!await adminAuthService.verifyPassword('correct horse battery!', stored));
+  assert.ok(!await adminAuthService.verifyPassword('correct horse battery', 'plain-text'));
+});
+
+test('the session cookie is httpOnly, scoped to the admin API and read back', () => {
+  const cookie = adminAuthService.sessionCookie('token=with=equals', new Date(Date.now() + 60 * 60 * 1000));
+
+  assert.match(cookie, /HttpOnly/);
+  assert.match(cookie, /Path=\/api\/admin/);
+  assert.match(cookie, /SameSite=Strict/);
+  assert.strictEqual(adminAuthService.getSessionToken({ headers: { cookie: `theme=dark; ${cookie.split(';')[0]}` } }), 'token=with=equals');
+  assert.strictEqual(adminAuthService.getSessionToken({ headers: {} }), null);
+});
+
+test('failed sign-ins to one email are throttled even from changing IPs', async (t) => {
+  t.mock.method(adminAuthService, 'login', async () => null);
+  t.mock.method(adminAuthService, 'audit', async () => {});
+  t.mock.method(console, 'log', () => {});
+
+  // Trusting every X-Forwarded-For value gives each attempt a new IP
+  const app = express();
+  app.set('trust proxy', true);
+  app.use(express.json());
+  app.use('/api/admin', require('../routes/admin'));
+
+  const server = app.listen(0);
+  t.after(() => server.close());
+  const url = `http://127.0.0.1:${server.address().port}/api/admin/auth/login`;
+
+  const statuses = [];
+  for (let attempt = 0; attempt < 11; attempt++) {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-Forwarded-For': `203.0.113.${attempt}` },
+      body: JSON.stringify({ email: attempt % 2 ? 'Owner@Example.com' : 'owner@example.com ', password: 'guess' })
+    });
+    statuses.push(response.status);
+  }
+
+  assert.deepStrictEqual(statuses.slice(0, 10), Array(10).fill(401));
+  assert.strictEqual(statuses[10], 429);
+});
@@ -0,0 +1,24 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const analysisCache = require('../services/analysisCache');
+
+const RUBRIC = { id: 'saas', version: 2 };
+
+test('normalizeUrl() ignores case, www., fragments, tracking parameters and trailing slashes', () => {
+  assert.strictEqual(
+    analysisCache.normalizeUrl('https://WWW.Example.com/pricing/?utm_source=news&b=2&a=1#plans'),
+    'https://example.com/pricing?a=1&b=2'
+  );
+  assert.strictEqual(analysisCache.normalizeUrl('https://example.com:443/'), 'https://example.com');
+  assert.strictEqual(analysisCache.normalizeUrl('http://example.com:8080/'), 'http://example.com:8080');
+});
+
+test('buildKey() matches spellings of the same request and separates different ones', () => {
+  const { key, normalizedUrl } = analysisCache.buildKey('https://www.example.com/?gclid=abc', RUBRIC, { limit: 3, types: ['pricing', 'home'] });
+
+  assert.strictEqual(normalizedUrl, 'https://example.com');
+  assert.strictEqual(analysisCache.buildKey('https://example.com', RUBRIC, { limit: 3, types: ['home', 'pricing'] }).key, key);
+  assert.notStrictEqual(analysisCache.buildKey('https://example.com', { ...RUBRIC, version: 3 }, { limit: 3, types: ['home', 'pricing'] }).key, key);
+  assert.notStrictEqual(analysisCache.buildKey('https://example.com', RUBRIC, { limit: 2, types: ['home', 'pricing'] }).key, key);
+  assert.notStrictEqual(analysisCache.buildKey('https://example.com/?page=2', RUBRIC, { limit: 3, types: ['home', 'pricing'] }).key, key);
+});
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const rubricService = require('../services/rubrics');
+const anthropicService = require('../services/anthropic');
+const { ANALYSIS_TOOL_NAME, buildAnalysisTool, validateAnalysis } = require('../services/analysisSchema');
+
+const rubric = rubricService.get('growth');
+
+const validAnalysis = () => ({
+  score: rubric.categories.reduce((total, category) => total + Math.floor(category.maxScore / 2), 0),
+  summary: 'Clear offer, but visitors have few reasons to sign up.',
+  categories: rubric.categories.map(category => ({
+    name: category.name,
+    score: Math.floor(category.maxScore / 2),
+    feedback: `Room to improve ${category.name.toLowerCase()}.`
+  })),
+  recommendations: [
+    { priority: 'High', action: 'Add a free trial button above the fold', impact: 'More signups', effort: 'Low', page: null }
+  ]
+});
+
+// Swap in a fake Anthropic client for one test
+const useClient = (t, client) => {
+  const original = anthropicService.anthropic;
+  anthropicService.anthropic = client;
+  t.after(() => { anthropicService.anthropic = original; });
+};
+
+test('validateAnalysis() accepts an analysis that follows the rubric', () => {
+  assert.deepStrictEqual(validateAnalysis(validAnalysis(), rubric), []);
+});
+
+test('validateAnalysis() reports each field that breaks the schema', () => {
+  const analysis = validAnalysis();
+  analysis.score = 101;
+  analysis.categories[0].score = rubric.categories[0].maxScore + 1;
+  analysis.categories[1].name = 'Vibes';
+  analysis.recommendations[0].priority = 'Urgent';
+
+  const errors = validateAnalysis(analysis, rubric);
+
+  assert.ok(errors.some(error => error.startsWith('score')));
+  assert.ok(errors.some(error => error.startsWith('categories[0].score')));
+  assert.ok(errors.some(error => error.includes('"Vibes" is not a rubric category')));
+  assert.ok(errors.some(error => error.includes(`missing "${rubric.categories[1].name}"`)));
+  assert.ok(errors.some(error => error.startsWith('recommendations[0].priority')));
+  assert.deepStrictEqual(validateAnalysis(null, rubric), ['The analysis must be an object']);
+});
+
+test('requestToolOutput() feeds validation errors back until Claude repairs its answer', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const invalid = { ...validAnalysis(), summary: '' };
+  const answers = [invalid, validAnalysis()];
+  const create = t.mock.fn(async () => ({
+    stop_reason: 'tool_use',
+    content: [{ type: 'tool_use', id: `call_${create.mock.callCount()}`, name: ANALYSIS_TOOL_NAME, input: answers.shift() }]
+  }));
+  useClient(t, { messages: { create } });
+
+  const analysis = await anthropicService.requestToolOutput(
+    'Analyze this site',
+    buildAnalysisTool(rubric),
+    (input) => validateAnalysis(input, rubric),
+    'analysis'
+  );
+
+  assert.deepStrictEqual(analysis, validAnalysis());
+  assert.strictEqual(create.mock.callCount(), 2);
+  const repairRequest = create.mock.calls[1].arguments[0].messages.at(-1).content[0];
+  assert.strictEqual(repairRequest.type, 'tool_result');
+  assert.strictEqual(repairRequest.is_error, true);
+  assert.match(repairRequest.content, /summary must be a non-empty string/);
+});
+
+test('requestToolOutput() gives up after repeated invalid answers', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const create = t.mock.fn(async () => ({
+    stop_reason: 'tool_use',
+    content: [{ type: 'tool_use', id: 'call', name: ANALYSIS_TOOL_NAME, input: { score: 'high' } }]
+  }));
+  useClient(t, { messages: { create } });
+
+  await assert.rejects(
+    anthropicService.requestToolOutput('Analyze this site', buildAnalysisTool(rubric), (input) => validateAnalysis(input, rubric), 'analysis'),
+    /did not match the analysis schema after 3 attempts/
+  );
+  assert.strictEqual(create.mock.callCount(), 3);
+});
@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const apiKeyService = require('../services/apiKeys');
+const databaseService = require('../services/database');
+
+test('requestCost() counts one analysis per website', () => {
+  assert.strictEqual(apiKeyService.requestCost({ path: '/', body: { url: 'https://example.com' } }), 1);
+  assert.strictEqual(apiKeyService.requestCost({ path: '/compare', body: { competitors: ['https://a.com', 'https://b.com'] } }), 3);
+  assert.strictEqual(apiKeyService.requestCost({ path: '/compare', body: { competitors: 'https://a.com' } }), 1);
+  assert.strictEqual(apiKeyService.requestCost({ path: '/compare', body: { competitors: Array(20).fill('https://a.com') } }), 5);
+});
+
+test('consume() reports the window a request would go over', async (t) => {
+  t.mock.method(databaseService, 'consumeApiKeyQuota', async () => ({
+    allowed: false,
+    windows: [
+      { name: 'minute', limit: 10, used: 8, resetSeconds: 30 },
+      { name: 'day', limit: 200, used: 40, resetSeconds: 3600 }
+    ]
+  }));
+
+  const usage = await apiKeyService.consume({ id: 1 }, 3);
+
+  assert.strictEqual(usage.allowed, false);
+  assert.strictEqual(usage.units, 3);
+  assert.strictEqual(usage.window.name, 'minute');
+  assert.deepStrictEqual(databaseService.consumeApiKeyQuota.mock.calls[0].arguments, [1, 3]);
+});
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { normalizeAttribution, truncateIp } = require('../services/attribution');
+const analysisCache = require('../services/analysisCache');
+const databaseService = require('../services/database');
+const webhookService = require('../services/webhooks');
+const analysisPipeline = require('../services/analysisPipeline');
+
+test('truncateIp() keeps only the network part of an address', () => {
+  assert.strictEqual(truncateIp('203.0.113.42'), '203.0.113.0');
+  assert.strictEqual(truncateIp('::ffff:203.0.113.42'), '203.0.113.0');
+  assert.strictEqual(truncateIp('2001:0DB8:85a3:1234::1'), '2001:db8:85a3::');
+  assert.strictEqual(truncateIp('2001:db8::1'), '2001:db8:0::');
+  assert.strictEqual(truncateIp('::1'), '0:0:0::');
+  assert.strictEqual(truncateIp('unknown'), null);
+  assert.strictEqual(truncateIp(undefined), null);
+});
+
+test('normalizeAttribution() lowercases grouped fields and strips the referrer query', () => {
+  const attribution = normalizeAttribution({
+    utmSource: ' Newsletter ',
+    utmTerm: 'Growth Tools',
+    utmContent: 42,
+    landingReferrer: 'https://www.Google.com/search?q=private#top'
+  });
+
+  assert.strictEqual(attribution.utmSource, 'newsletter');
+  assert.strictEqual(attribution.utmTerm, 'Growth Tools');
+  assert.strictEqual(attribution.utmContent, null);
+  assert.strictEqual(attribution.landingReferrer, 'https://www.google.com/search');
+  assert.strictEqual(attribution.referrerHost, 'google.com');
+  assert.strictEqual(normalizeAttribution({ landingReferrer: 'javascript:alert(1)' }).landingReferrer, null);
+});
+
+test('an analysis served from the URL cache still records its attribution', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(webhookService, 'emit', () => {});
+  t.mock.method(analysisCache, 'findByUrl', async () => analysisCache.fromRow({
+    id: 7,
+    growth_score: 64,
+    analysis_summary: 'Clear offer, weak calls to action',
+    crawl_summary: { pages: [], crawler: 'local' },
+    content_length: 1200,
+    content_hash: 'abc',
+    analyzed_at: '2026-10-18T08:00:00.000Z',
+    share_slug: 'earlier-visitor'
+  }, 'url'));
+  const save = t.mock.method(databaseService, 'saveWebsiteSubmission', async () => ({
+    id: 8,
+    domain: 'example.com',
+    share_slug: 'this-visitor',
+    created_at: new Date()
+  }));
+
+  const attribution = normalizeAttribution({ utmSource: 'Newsletter', utmCampaign: 'october' });
+  const result = await analysisPipeline.run({ url: 'https://example.com', ip: '203.0.113.42', attribution });
+
+  assert.strictEqual(result.cache.hit, true);
+  assert.strictEqual(save.mock.callCount(), 1);
+  const saved = save.mock.calls[0].arguments[0];
+  assert.deepStrictEqual(saved.attribution, attribution);
+  assert.strictEqual(saved.ipPrefix, '203.0.113.0');
+  assert.strictEqual(saved.origin, 'visitor');
+  assert.strictEqual(result.report.slug, 'this-visitor');
+});
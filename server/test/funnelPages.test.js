@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { normalizePageOptions, selectFunnelPages, MAX_FUNNEL_PAGES } = require('../services/funnelPages');
+const crawlerService = require('../services/crawler');
+
+const LANDING_LINKS = [
+  '/blog/pricing-update',
+  '/pricing/',
+  'https://www.example.com/about#team',
+  '/signup?plan=pro',
+  'https://other.example.org/pricing',
+  '/pricing#faq',
+  '/brochure.pdf',
+  'mailto:sales@example.com',
+  '/contact'
+];
+
+test('normalizePageOptions() applies defaults and rejects invalid options', () => {
+  const defaults = normalizePageOptions({});
+  assert.ok(Number.isInteger(defaults.limit) && defaults.limit <= MAX_FUNNEL_PAGES);
+  assert.deepStrictEqual(defaults.types, ['pricing', 'signup', 'product', 'about', 'contact']);
+
+  assert.deepStrictEqual(normalizePageOptions({ limit: '2', types: ['about'] }), { limit: 2, types: ['about'] });
+  assert.ok(normalizePageOptions({ limit: MAX_FUNNEL_PAGES + 1 }).error);
+  assert.ok(normalizePageOptions({ limit: 1.5 }).error);
+  assert.ok(normalizePageOptions({ types: ['careers'] }).error);
+  assert.ok(normalizePageOptions(null).error);
+  assert.ok(normalizePageOptions(['pricing']).error);
+});
+
+test('selectFunnelPages() picks one same-site page per type, in priority order', () => {
+  const pages = selectFunnelPages(LANDING_LINKS, 'https://example.com/', { limit: 5, types: ['pricing', 'signup', 'about', 'contact'] });
+
+  assert.deepStrictEqual(pages, [
+    { type: 'pricing', label: 'Pricing', url: 'https://example.com/pricing' },
+    { type: 'signup', label: 'Signup', url: 'https://example.com/signup?plan=pro' },
+    { type: 'about', label: 'About', url: 'https://www.example.com/about' },
+    { type: 'contact', label: 'Contact', url: 'https://example.com/contact' }
+  ]);
+});
+
+test('selectFunnelPages() stops at the limit and only looks for the requested types', () => {
+  assert.deepStrictEqual(
+    selectFunnelPages(LANDING_LINKS, 'https://example.com/', { limit: 1, types: ['contact', 'pricing'] }).map(page => page.type),
+    ['contact']
+  );
+  assert.deepStrictEqual(selectFunnelPages(LANDING_LINKS, 'https://example.com/', { limit: 3, types: [] }), []);
+});
+
+test('crawlSite() splits the content budget between the pages it crawled', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+  t.mock.method(crawlerService, 'crawlWebsite', async (url) => {
+    if (url.endsWith('/contact')) throw new Error('Website responded with HTTP 404');
+    return {
+      url,
+      content: 'x'.repeat(40000),
+      links: LANDING_LINKS,
+      html: '<html></html>',
+      metadata: { title: url, crawler: 'local' }
+    };
+  });
+
+  const crawl = await crawlerService.crawlSite('https://example.com/', { limit: 2, types: ['pricing', 'contact'] });
+
+  // Home and pricing share the budget; the missing contact page is skipped
+  assert.deepStrictEqual(crawl.pages.map(page => page.type), ['home', 'pricing']);
+  assert.deepStrictEqual(crawl.pages.map(page => page.content.length), [25000, 25000]);
+  assert.strictEqual(crawl.metadata.contentLength, 50000);
+  assert.strictEqual(crawl.html, '<html></html>');
+  assert.ok(crawl.pages.every(page => page.links === undefined && page.html === undefined));
+});
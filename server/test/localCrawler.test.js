@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const localCrawlerService = require('../services/localCrawler');
+
+const BLOCKED_URLS = [
+  'http://127.0.0.1/',
+  'http://10.0.0.5/',
+  'http://169.254.169.254/latest/meta-data/',
+  'http://[::1]/',
+  'http://[fd00::1]/',
+  'http://[fe80::1]/',
+  'http://[::ffff:127.0.0.1]/',
+  'http://[::ffff:a9fe:a9fe]/',
+  'http://localhost:3001/'
+];
+
+test('assertPublicUrl() refuses private and reserved IPv4, IPv6 and IPv4-mapped addresses', async () => {
+  for (const url of BLOCKED_URLS) {
+    await assert.rejects(localCrawlerService.assertPublicUrl(url), /private or reserved address/, url);
+  }
+});
+
+test('assertPublicUrl() returns the public addresses it checked', async () => {
+  assert.deepStrictEqual(await localCrawlerService.assertPublicUrl('https://93.184.215.14/'), [{ address: '93.184.215.14', family: 4 }]);
+  assert.deepStrictEqual(await localCrawlerService.assertPublicUrl('http://[2606:4700::1111]/'), [{ address: '2606:4700::1111', family: 6 }]);
+  await assert.rejects(localCrawlerService.assertPublicUrl('file:///etc/passwd'), /unsupported protocol/);
+});
+
+test('pinnedLookup() answers every hostname with the checked addresses', () => {
+  const addresses = [{ address: '93.184.215.14', family: 4 }, { address: '2606:4700::1111', family: 6 }];
+  const lookup = localCrawlerService.pinnedLookup(addresses);
+
+  lookup('example.com', { all: true }, (error, result) => assert.deepStrictEqual(result, addresses));
+  lookup('example.com', {}, (error, address, family) => {
+    assert.strictEqual(address, '93.184.215.14');
+    assert.strictEqual(family, 4);
+  });
+});
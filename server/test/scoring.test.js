@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const scoringService = require('../services/scoring');
+
+const RUBRIC = {
+  categories: [
+    { name: 'Value Proposition', maxScore: 40 },
+    { name: 'Conversion', maxScore: 60 }
+  ]
+};
+
+const analysisWith = (score, categoryScores) => ({
+  score,
+  categories: RUBRIC.categories.map((category, index) => ({ name: category.name, score: categoryScores[index] }))
+});
+
+// Run with a reconciliation mode and tolerance, restoring the service settings afterwards
+const withSettings = (t, settings) => {
+  const { mode, tolerance } = scoringService;
+  Object.assign(scoringService, settings);
+  t.after(() => Object.assign(scoringService, { mode, tolerance }));
+};
+
+test('reconcile() caps category scores to the rubric range', (t) => {
+  t.mock.method(console, 'log', () => {});
+  withSettings(t, { mode: 'recompute', tolerance: 2 });
+
+  const analysis = scoringService.reconcile(analysisWith(45, [52, -3]), RUBRIC);
+
+  assert.deepStrictEqual(analysis.categories.map(category => category.score), [40, 0]);
+  assert.deepStrictEqual(analysis.scoringNotes.slice(0, 2).map(note => [note.type, note.from, note.to]), [
+    ['category_capped', 52, 40],
+    ['category_capped', -3, 0]
+  ]);
+});
+
+test('reconcile() keeps an overall score within the tolerance', (t) => {
+  withSettings(t, { mode: 'recompute', tolerance: 2 });
+
+  const analysis = scoringService.reconcile(analysisWith(72, [30, 40]), RUBRIC);
+
+  assert.strictEqual(analysis.score, 72);
+  assert.deepStrictEqual(analysis.scoringNotes, []);
+});
+
+test('reconcile() recomputes an overall score that drifted from the category sum', (t) => {
+  t.mock.method(console, 'log', () => {});
+  withSettings(t, { mode: 'recompute', tolerance: 2 });
+
+  const analysis = scoringService.reconcile(analysisWith(90, [30, 40]), RUBRIC);
+
+  assert.strictEqual(analysis.score, 70);
+  assert.strictEqual(analysis.scoringNotes[0].type, 'overall_recomputed');
+});
+
+test('reconcile() only flags a drifted overall score in flag mode', (t) => {
+  t.mock.method(console, 'log', () => {});
+  withSettings(t, { mode: 'flag', tolerance: 2 });
+
+  const analysis = scoringService.reconcile(analysisWith(90, [30, 40]), RUBRIC);
+
+  assert.strictEqual(analysis.score, 90);
+  assert.strictEqual(analysis.scoringNotes[0].type, 'overall_divergent');
+  assert.strictEqual(analysis.scoringNotes[0].categorySum, 70);
+});
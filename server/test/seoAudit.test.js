@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const seoAuditService = require('../services/seoAudit');
+
+const SAMPLE_PAGE = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <title>Acme Analytics - Product analytics for growing teams</title>
+  <meta name="description" content="Acme Analytics shows which features your customers use, where they drop off and what makes them upgrade, without writing SQL.">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <link rel="canonical" href="https://acme.example/">
+  <meta property="og:title" content="Acme Analytics">
+</head>
+<body>
+  <h1>Product analytics for growing teams</h1>
+  <img src="/hero.png" alt="Dashboard screenshot">
+  <img src="/logo.png">
+</body>
+</html>`;
+
+test('audit() returns status counts for every finding of a sample page', () => {
+  const audit = seoAuditService.audit(SAMPLE_PAGE, 'https://acme.example/');
+  const { pass, warn, fail } = audit.counts;
+
+  assert.ok(audit.findings.length > 0);
+  assert.strictEqual(pass + warn + fail, audit.findings.length);
+  assert.ok(pass > 0);
+  assert.ok(audit.score > 0 && audit.score <= 1);
+});
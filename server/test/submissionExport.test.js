@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createExportWriter } = require('../services/submissionExport');
+
+const ROW = {
+  id: 12,
+  domain: 'example.com',
+  url: 'https://example.com',
+  rubric_id: 'growth',
+  rubric_version: 1,
+  growth_score: 64,
+  analysis_summary: 'Strong "hero", weak pricing,\nno trial',
+  analysis_categories: [],
+  recommendations: [{ priority: 'High', effort: 'Low', action: 'Add a trial', impact: 'More signups' }],
+  created_at: new Date('2026-10-01T12:00:00.000Z'),
+  analyzed_at: new Date('2026-10-01T12:00:00.000Z'),
+  contact_name: '=HYPERLINK("https://evil.example")',
+  contact_email: '+1@example.com',
+  contact_company: '-Acme',
+  contact_consent: true,
+  lead_status: 'new',
+  lead_owner: '@sales'
+};
+
+test('CSV export quotes commas, quotes and line breaks', () => {
+  const writer = createExportWriter('csv');
+  const line = writer.rows([ROW]);
+
+  assert.ok(writer.start().startsWith('\uFEFFID,Domain,URL,Rubric,Score,Summary,'));
+  assert.ok(line.startsWith('12,example.com,https://example.com,growth,64,"Strong ""hero"", weak pricing,\nno trial",'));
+  assert.ok(line.includes(',"[High, effort Low] Add a trial - More signups",2026-10-01T12:00:00.000Z,'));
+  assert.ok(line.endsWith(',yes,new,\'@sales\r\n'));
+});
+
+test('CSV export keeps spreadsheet apps from running cell text as formulas', () => {
+  const line = createExportWriter('csv').rows([ROW]);
+
+  assert.ok(line.includes(`,"'=HYPERLINK(""https://evil.example"")",'+1@example.com,'-Acme,`));
+  // Numbers are not text, so negative values stay numbers
+  assert.ok(createExportWriter('csv').rows([{ ...ROW, growth_score: -1 }]).includes(',growth,-1,'));
+});
+
+test('JSON export writes a valid array across batches', () => {
+  const writer = createExportWriter('json');
+  const output = writer.start() + writer.rows([ROW]) + writer.rows([{ ...ROW, id: 13 }]) + writer.end();
+
+  assert.deepStrictEqual(JSON.parse(output).map(record => record.id), [12, 13]);
+  assert.strictEqual(JSON.parse(output)[0].lead.email, '+1@example.com');
+});
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  parseSubmissionFilters,
+  buildSubmissionWhere,
+  encodeCursor,
+  decodeCursor
+} = require('../services/submissionFilters');
+
+const filtersFor = (query) => parseSubmissionFilters(query).filters;
+const rawCursor = (data) => Buffer.from(JSON.stringify(data)).toString('base64url');
+
+test('parseSubmissionFilters() applies defaults and narrows the score range by category', () => {
+  const filters = filtersFor({ category: 'good', minScore: '70' });
+
+  assert.strictEqual(filters.minScore, 70);
+  assert.strictEqual(filters.maxScore, 79);
+  assert.strictEqual(filters.sort, 'created');
+  assert.strictEqual(filters.order, 'desc');
+});
+
+test('parseSubmissionFilters() rejects invalid parameters', () => {
+  assert.ok(parseSubmissionFilters({ minScore: '101' }).error);
+  assert.ok(parseSubmissionFilters({ category: 'great' }).error);
+  assert.ok(parseSubmissionFilters({ from: 'yesterday' }).error);
+  assert.ok(parseSubmissionFilters({ sort: 'url' }).error);
+  assert.ok(parseSubmissionFilters({ order: 'up' }).error);
+});
+
+test('buildSubmissionWhere() passes values as parameters and escapes LIKE wildcards', () => {
+  const params = [];
+  const where = buildSubmissionWhere(filtersFor({ domain: '100%_off' }), params);
+
+  assert.match(where, /s\.domain ILIKE \$\d+/);
+  assert.ok(params.includes('%100\\%\\_off%'));
+});
+
+test('a cursor decodes to the row it was encoded from', () => {
+  const cases = [
+    [{}, '2026-01-31 09:30:00.123456'],
+    [{ sort: 'score', order: 'asc' }, 72],
+    [{ sort: 'domain' }, 'example.com']
+  ];
+
+  for (const [query, value] of cases) {
+    const filters = filtersFor(query);
+    const cursor = encodeCursor(filters, { sort_value: value, id: 42 });
+    assert.deepStrictEqual(decodeCursor(cursor, filters), { value, id: 42 });
+  }
+});
+
+test('a cursor is rejected for another sort order or when malformed', () => {
+  const cursor = encodeCursor(filtersFor({ sort: 'score' }), { sort_value: 72, id: 42 });
+
+  assert.strictEqual(decodeCursor(cursor, filtersFor({ sort: 'score', order: 'asc' })), null);
+  assert.strictEqual(decodeCursor(cursor, filtersFor({})), null);
+  assert.strictEqual(decodeCursor('not-a-cursor', filtersFor({})), null);
+});
+
+test('a cursor value must fit the type of the sort column', () => {
+  const created = filtersFor({});
+  const score = filtersFor({ sort: 'score' });
+  const domain = filtersFor({ sort: 'domain' });
+  const cursorFor = (filters, value) => rawCursor({ sort: filters.sort, order: filters.order, value, id: 1 });
+
+  for (const value of [{}, [], 5, 'soon', '2026-02-30 10:00:00', '2026-01-31 25:00:00']) {
+    assert.strictEqual(decodeCursor(cursorFor(created, value), created), null, `created ${JSON.stringify(value)}`);
+  }
+  for (const value of ['72', 7.5, null, {}]) {
+    assert.strictEqual(decodeCursor(cursorFor(score, value), score), null, `score ${JSON.stringify(value)}`);
+  }
+  for (const value of [3, {}, 'x'.repeat(256)]) {
+    assert.strictEqual(decodeCursor(cursorFor(domain, value), domain), null, `domain ${JSON.stringify(value)}`);
+  }
+});
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const webhookService = require('../services/webhooks');
+const databaseService = require('../services/database');
+
+test('sign() is the HMAC-SHA256 of "<timestamp>.<body>"', () => {
+  // Computed independently: printf '%s' '<timestamp>.<body>' | openssl dgst -sha256 -hmac whsec_test
+  assert.strictEqual(
+    webhookService.sign('whsec_test', 1700000000, '{"id":"evt_1","event":"lead.captured"}'),
+    '329c50a66a3c35b1caa17f2f80132a55a1440554f1cdfd379ce4383b2811469a'
+  );
+  assert.notStrictEqual(
+    webhookService.sign('whsec_test', 1700000001, '{"id":"evt_1","event":"lead.captured"}'),
+    webhookService.sign('whsec_test', 1700000000, '{"id":"evt_1","event":"lead.captured"}')
+  );
+});
+
+test('deliver() sends a signature the receiver can verify', async (t) => {
+  t.mock.method(databaseService, 'recordWebhookAttempt', async () => {});
+  const fetchMock = t.mock.method(global, 'fetch', async () => new Response(null, { status: 204 }));
+
+  const outcome = await webhookService.deliver({
+    id: 1,
+    event: 'lead.captured',
+    event_id: 'evt_1',
+    url: 'https://hooks.example.com/growth',
+    secret: 'whsec_test',
+    attempts: 0,
+    payload: { id: 'evt_1', event: 'lead.captured', data: { domain: 'example.com' } }
+  });
+
+  const { headers, body } = fetchMock.mock.calls[0].arguments[1];
+  const expected = crypto.createHmac('sha256', 'whsec_test')
+    .update(`${headers['X-Webhook-Timestamp']}.${body}`)
+    .digest('hex');
+
+  assert.strictEqual(outcome.status, 'delivered');
+  assert.strictEqual(headers['X-Webhook-Signature'], `sha256=${expected}`);
+  assert.strictEqual(headers['X-Webhook-Id'], 'evt_1');
+});
+
+test('getRetryDelay() doubles from the base delay up to six hours', () => {
+  const first = webhookService.getRetryDelay(1);
+
+  assert.strictEqual(webhookService.getRetryDelay(2), first * 2);
+  assert.strictEqual(webhookService.getRetryDelay(3), first * 4);
+  assert.strictEqual(webhookService.getRetryDelay(50), 6 * 60 * 60);
+});